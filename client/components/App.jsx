@@ -1,30 +1,166 @@
-import { useEffect, useRef, useState, useCallback } from "react";
+import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import logo from "/assets/openai-logomark.svg";
 import EventLog from "./EventLog";
 import SessionControls from "./SessionControls";
 import ToolPanel from "./ToolPanel";
+import AudioSettings from "./AudioSettings";
+import MicrophoneSettings from "./MicrophoneSettings";
+import PromptSettings from "./PromptSettings";
+import SessionConfigPanel from "./SessionConfigPanel";
+import ModelSelector from "./ModelSelector";
+import UsagePanel, { UsageMeter } from "./UsagePanel";
+import TurnDetectionSettings from "./TurnDetectionSettings";
+import PushToTalkSettings, { PushToTalkIndicator } from "./PushToTalk";
+import Transcript from "./Transcript";
+import SessionHistory from "./SessionHistory";
+import SessionReview from "./SessionReview";
+import ReplayTimeline from "./ReplayTimeline";
+import ConnectionDiagnostics, { ConnectionStatus } from "./ConnectionDiagnostics";
+import usePersistentState from "../lib/usePersistentState";
+import useSessionPersistence from "../lib/useSessionPersistence";
+import { createAudioOutput, clampGain } from "../lib/audioOutput";
+import { createSessionRecorder } from "../lib/sessionRecorder";
+import { createPlaybackTracker } from "../lib/playbackTracker";
+import { createTransport, DEFAULT_TRANSPORT, TRANSPORTS } from "../lib/realtimeTransport";
+import { fetchRealtimeConfig } from "../lib/realtimeApi";
+import {
+  addUsage,
+  budgetStatus,
+  calculateCost,
+  DEFAULT_BUDGET,
+  DEFAULT_PRICES,
+  EMPTY_USAGE,
+  extractUsage,
+  formatCost,
+  priceFor,
+  totalTokens,
+} from "../lib/usage";
+import {
+  DEFAULT_SESSION_CONFIG,
+  diffSessionConfig,
+  normalizeSessionConfig,
+  validateSessionConfig,
+} from "../lib/sessionConfig";
+import { buildSeedItems, DEFAULT_RESUME_BUDGET } from "../lib/conversationSeed";
+import { transcriptFromStoredEvents } from "../lib/exportFormats";
+import { fetchSession } from "../lib/sessionsApi";
+import { createReplayer } from "../lib/replay";
+import { appendLogEvent, EMPTY_EVENT_LOG } from "../lib/eventLog";
+import { createTranscriptBuilder } from "../lib/transcript";
+import { isToolEvent } from "../tools";
+import { DEFAULT_INPUT_PROCESSING, openMicrophone } from "../lib/microphone";
+import {
+  buildRecordingStopEvents,
+  DEFAULT_PUSH_TO_TALK,
+  getPushToTalkAction,
+  MIN_UTTERANCE_MS,
+  normalizePushToTalk,
+} from "../lib/pushToTalk";
+import {
+  buildTurnDetectionUpdate,
+  DEFAULT_TURN_DETECTION,
+  describeTurnDetection,
+  normalizeTurnDetection,
+} from "../lib/turnDetection";
+import {
+  SessionError,
+  toSessionError,
+} from "../lib/sessionErrors";
+import {
+  backoffDelay,
+  MAX_RECONNECT_ATTEMPTS,
+} from "../lib/connectionSupervisor";
+import { DEFAULT_VOICE, isValidVoice } from "../lib/voices";
 
 export default function App() {
   const [isSessionActive, setIsSessionActive] = useState(false);
-  const [events, setEvents] = useState([]);
-  const [dataChannel, setDataChannel] = useState(null);
-  const [vadThreshold, setVadThreshold] = useState(0.5);
+  // イベントログ（上限付き）と、会話の表示・ツール用の状態はそれぞれ別に持つ
+  const [eventLog, setEventLog] = useState(EMPTY_EVENT_LOG);
+  const transcriptBuilder = useRef(createTranscriptBuilder());
+  const [turns, setTurns] = useState([]);
+  const [toolEvents, setToolEvents] = useState([]);
+  const [transport, setTransport] = useState(null);
+  const [transportKind, setTransportKind] = usePersistentState("talktive.transport", DEFAULT_TRANSPORT);
+  const [realtimeConfig, setRealtimeConfig] = useState({ mock: null, transports: TRANSPORTS });
   const [isPushToTalkEnabled, setIsPushToTalkEnabled] = useState(false);
+  const [isTextOnly, setIsTextOnly] = usePersistentState("talktive.textOnly", false);
   const [isRecording, setIsRecording] = useState(false);
-  const peerConnection = useRef(null);
+  const [activeView, setActiveView] = useState("transcript");
+  const [reviewSessionId, setReviewSessionId] = useState(null);
+  // リプレイ中のイベントログ { name, session, events（古い順）, step }
+  const [replay, setReplay] = useState(null);
   const audioElement = useRef(null);
+  const audioOutput = useRef(null);
+  const outputGainRef = useRef(1.0);
+  const sessionRecorder = useRef(null);
+  const pendingSeed = useRef(null);
+  const transportRef = useRef(null);
+  const reconnectTimer = useRef(null);
+  const reconnectAttempt = useRef(0);
+  const isReconnecting = useRef(false);
+  const isSessionWanted = useRef(false);
+  const handleConnectionLostRef = useRef(() => {});
+  const [connectionState, setConnectionState] = useState("idle");
+  const [peerState, setPeerState] = useState(null);
+  const [reconnectCount, setReconnectCount] = useState(0);
+  const [sessionError, setSessionError] = useState(null);
+  const [playbackTracker] = useState(createPlaybackTracker);
+  const [isAssistantSpeaking, setIsAssistantSpeaking] = useState(false);
+  const isOutputMuted = useRef(false);
+  const getConnectionStats = useCallback(() => transportRef.current?.getStats() ?? null, []);
   const localStream = useRef(null);
+  const [micStream, setMicStream] = useState(null);
+  const handleMicEndedRef = useRef(() => {});
+  const stopSessionRef = useRef(() => {});
   const spaceKeyTimer = useRef(null);
   const isRecordingRef = useRef(false);
-  const defaultModel = import.meta.env.VITE_OPENAI_MODEL || "gpt-4o-realtime-preview-2024-12-17";
-  const [selectedModel, setSelectedModel] = useState(defaultModel);
+  const recordingStartedAtRef = useRef(null);
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
+  const [selectedModel, setSelectedModel] = usePersistentState("talktive.model", "");
+  const activeModel = useRef(null);
+  const [voice, setVoice] = usePersistentState("talktive.voice", DEFAULT_VOICE);
+  const [outputGain, setOutputGain] = usePersistentState("talktive.outputGain", 1.0);
+  const [promptProfile, setPromptProfile] = usePersistentState("talktive.promptProfile", "default");
+  const [isAudioRecordingEnabled, setIsAudioRecordingEnabled] = usePersistentState("talktive.recordAudio", false);
+  const [resumeBudget, setResumeBudget] = usePersistentState("talktive.resumeBudget", DEFAULT_RESUME_BUDGET);
+  const [autoBargeIn, setAutoBargeIn] = usePersistentState("talktive.autoBargeIn", false);
+  const [sessionConfig, setSessionConfig] = usePersistentState("talktive.sessionConfig", DEFAULT_SESSION_CONFIG);
+  const [serverSession, setServerSession] = useState(null);
+  const [prices, setPrices] = usePersistentState("talktive.prices", DEFAULT_PRICES);
+  const [budget, setBudget] = usePersistentState("talktive.budget", DEFAULT_BUDGET);
+  const [sessionUsage, setSessionUsage] = useState({ model: null, usage: EMPTY_USAGE, responses: [] });
+  const budgetWarned = useRef(false);
+  const [micDeviceId, setMicDeviceId] = usePersistentState("talktive.micDeviceId", "");
+  const [inputProcessing, setInputProcessing] = usePersistentState("talktive.inputProcessing", DEFAULT_INPUT_PROCESSING);
+  const [turnDetection, setTurnDetection] = usePersistentState("talktive.turnDetection", DEFAULT_TURN_DETECTION);
+  const [turnDetectionPresets, setTurnDetectionPresets] = usePersistentState("talktive.turnDetectionPresets", {});
+  const { recordEvent, beginSession, endSession, updateSessionMeta, historyVersion } = useSessionPersistence();
   
-  // 環境変数からPush-to-Talk制限時間を取得（デフォルト5秒）
-  const pushToTalkTimeLimit = parseInt(import.meta.env.VITE_PUSH_TO_TALK_TIME_LIMIT) || 5000;
+  const [storedPushToTalk, setPushToTalkSettings] = usePersistentState("talktive.pushToTalk", DEFAULT_PUSH_TO_TALK);
+  const pushToTalkSettings = useMemo(() => normalizePushToTalk(storedPushToTalk), [storedPushToTalk]);
+
+  // 送受信したイベントをログ・会話・ツールの状態に反映する
+  // 全イベントの配列は持たず、それぞれ差分だけを更新する
+  const appendEvent = useCallback((event) => {
+    setEventLog((prev) => appendLogEvent(prev, event));
+    if (transcriptBuilder.current.add(event)) {
+      setTurns(transcriptBuilder.current.turns());
+    }
+    if (isToolEvent(event)) {
+      setToolEvents((prev) => [event, ...prev]);
+    }
+  }, []);
+
+  const clearEvents = useCallback(() => {
+    setEventLog(EMPTY_EVENT_LOG);
+    transcriptBuilder.current = createTranscriptBuilder();
+    setTurns([]);
+    setToolEvents([]);
+  }, []);
 
   // Send a message to the model
   const sendClientEvent = useCallback((message) => {
-    if (dataChannel) {
+    if (transport && transport.isOpen()) {
       const timestamp = new Date().toLocaleTimeString();
       const messageWithId = {
         ...message,
@@ -32,21 +168,24 @@ export default function App() {
       };
 
       // send event before setting timestamp since the backend peer doesn't expect this field
-      dataChannel.send(JSON.stringify(messageWithId));
+      transport.send(messageWithId);
       console.log("📤 Sent event:", messageWithId.type);
 
       // if guard just in case the timestamp exists by miracle
       if (!messageWithId.timestamp) {
         messageWithId.timestamp = timestamp;
       }
-      setEvents((prev) => [messageWithId, ...prev]);
+      // エクスポートの字幕タイミング用（ミリ秒）
+      messageWithId.logged_at = Date.now();
+      appendEvent(messageWithId);
+      recordEvent(messageWithId);
     } else {
       console.error(
-        "Failed to send message - no data channel available",
+        "Failed to send message - no open connection available",
         message,
       );
     }
-  }, [dataChannel]);
+  }, [transport, recordEvent, appendEvent]);
 
   // マイクの有効/無効を切り替える
   const toggleMicrophone = useCallback((enabled) => {
@@ -63,33 +202,86 @@ export default function App() {
     }
   }, []);
 
-  // VAD設定を送信する関数
-  const updateVADSettings = useCallback(() => {
-    if (dataChannel && dataChannel.readyState === 'open' && !isPushToTalkEnabled) {
-      console.log(`🎛️ Updating VAD threshold to: ${vadThreshold}`);
-      const vadEvent = {
-        type: "session.update",
-        session: {
-          input_audio_transcription: {
-            model: "whisper-1"
-          },
-          turn_detection: {
-            type: "server_vad",
-            threshold: vadThreshold,
-            prefix_padding_ms: 300,
-            silence_duration_ms: vadThreshold > 0.7 ? 1000 : 500 // 高いスレッショルド時は長い無音時間
-          }
-        }
-      };
-      
-      sendClientEvent(vadEvent);
-      console.log(`✅ VAD settings sent: threshold=${vadThreshold}, silence_duration=${vadThreshold > 0.7 ? 1000 : 500}ms`);
-    } else {
-      console.log(`❌ Cannot update VAD settings - Push-to-Talk: ${isPushToTalkEnabled}, DataChannel: ${dataChannel?.readyState}`);
+  // ターン検出の設定を送信する関数（不正な組み合わせは送らない）
+  // Push-to-Talk中はサーバー側のターン検出を止め、入力バッファの確定をクライアントが行う
+  const updateTurnDetection = useCallback(() => {
+    if (!transport || !transport.isOpen()) {
+      console.log("❌ Cannot update turn detection - connection is not open");
+      return;
+    }
+    // テキストのみのセッションには音声入力がないので送らない
+    if (isTextOnly) return;
+
+    const { event, errors } = buildTurnDetectionUpdate(turnDetection, { isPushToTalkEnabled });
+    if (errors.length > 0) {
+      console.warn("⚠️ Turn detection settings are invalid, not sending:", errors);
+      return;
+    }
+
+    sendClientEvent(event);
+    console.log(`✅ Turn detection sent: ${
+      isPushToTalkEnabled ? "none (Push-to-Talk)" : describeTurnDetection(normalizeTurnDetection(turnDetection))
+    }`);
+  }, [transport, turnDetection, sendClientEvent, isPushToTalkEnabled, isTextOnly]);
+
+  // セッション設定のうちサーバーの状態と異なる項目だけを送る
+  const sendSessionConfig = useCallback((baseSession) => {
+    const config = normalizeSessionConfig(sessionConfig);
+    // テキストのみのセッションでは音声で応答させない
+    if (isTextOnly) {
+      config.modalities = "text";
+    }
+    const errors = validateSessionConfig(config);
+    if (errors.length > 0) {
+      console.warn("⚠️ Session config is invalid, not sending:", errors);
+      return;
+    }
+
+    const { changes } = diffSessionConfig(config, baseSession);
+    if (Object.keys(changes).length === 0) {
+      console.log("✅ Session config already up to date");
+      return;
+    }
+    sendClientEvent({ type: "session.update", session: changes });
+    console.log("✅ Session config sent:", Object.keys(changes).join(", "));
+  }, [sessionConfig, sendClientEvent, isTextOnly]);
+
+  // アシスタントの応答を途中で止める
+  // ユーザーが実際に聞いた位置までで会話履歴を切り詰め、モデルが聞かれていない続きを前提にしないようにする
+  const interruptResponse = useCallback((reason = "manual") => {
+    if (!playbackTracker.isSpeaking()) return;
+
+    const wasResponding = playbackTracker.isResponding();
+    const { itemId, contentIndex, audioEndMs } = playbackTracker.interrupt();
+    console.log(`✋ Interrupting assistant (${reason}) at ${audioEndMs}ms`);
+
+    // 手元の再生をすぐに止める
+    isOutputMuted.current = true;
+    audioOutput.current?.setMuted(true);
+
+    if (wasResponding) {
+      sendClientEvent({ type: "response.cancel" });
+    }
+    // WebRTCではサーバー側に残っている未再生の音声も破棄する
+    sendClientEvent({ type: "output_audio_buffer.clear" });
+    if (itemId) {
+      sendClientEvent({
+        type: "conversation.item.truncate",
+        item_id: itemId,
+        content_index: contentIndex,
+        audio_end_ms: audioEndMs,
+      });
     }
-  }, [dataChannel, vadThreshold, sendClientEvent, isPushToTalkEnabled]);
+    setIsAssistantSpeaking(false);
+  }, [playbackTracker, sendClientEvent]);
+
+  // 手動モードで入力音声を確定して応答を要求する
+  const requestManualResponse = useCallback(() => {
+    sendClientEvent({ type: "input_audio_buffer.commit" });
+    sendClientEvent({ type: "response.create" });
+  }, [sendClientEvent]);
 
-  // 録音停止
+  // 録音停止（入力バッファを確定して応答を要求する）
   const stopRecording = useCallback(() => {
     if (!isRecordingRef.current) {
       console.log("⚠️ stopRecording called but not recording");
@@ -104,45 +296,62 @@ export default function App() {
       spaceKeyTimer.current = null;
     }
     
+    const duration = Date.now() - recordingStartedAtRef.current;
     isRecordingRef.current = false;
+    recordingStartedAtRef.current = null;
     setIsRecording(false);
+    setRecordingStartedAt(null);
     
     // マイクを無効にする
     toggleMicrophone(false);
+
+    buildRecordingStopEvents(duration).forEach((event) => sendClientEvent(event));
+    if (duration < MIN_UTTERANCE_MS) {
+      console.log(`🗑️ Recording discarded (${duration}ms)`);
+      return;
+    }
     
-    // OpenAI Realtime APIにレスポンス生成を要求
-    sendClientEvent({
-      type: "response.create"
-    });
-    
-    console.log("🛑 Recording stopped");
+    console.log(`🛑 Recording stopped (${duration}ms)`);
   }, [toggleMicrophone, sendClientEvent]);
 
-  // 録音開始
+  // 録音開始（前のターンの音声が混ざらないよう入力バッファを空にしてから始める）
   const startRecording = useCallback(() => {
-    if (!isSessionActive || !dataChannel || isRecordingRef.current) {
-      console.log("❌ Cannot start recording:", { isSessionActive, hasDataChannel: !!dataChannel, isRecording: isRecordingRef.current });
+    if (!isSessionActive || !transport || isRecordingRef.current) {
+      console.log("❌ Cannot start recording:", { isSessionActive, hasTransport: !!transport, isRecording: isRecordingRef.current });
       return;
     }
     
     console.log("📢 startRecording called");
+    // Push-to-Talkではspeech_startedが届かないため、話し始めの操作で割り込む
+    if (autoBargeIn) {
+      interruptResponse("push-to-talk");
+    }
+    sendClientEvent({ type: "input_audio_buffer.clear" });
+
+    const startedAt = Date.now();
     isRecordingRef.current = true;
+    recordingStartedAtRef.current = startedAt;
     setIsRecording(true);
+    setRecordingStartedAt(startedAt);
     
     // マイクを有効にする
     toggleMicrophone(true);
     
-    // 環境変数で設定された時間後に自動的に停止するタイマーを設定（安全装置）
+    // 設定された時間後に自動的に停止するタイマーを設定（安全装置、0なら無制限）
     if (spaceKeyTimer.current) {
       clearTimeout(spaceKeyTimer.current);
+      spaceKeyTimer.current = null;
+    }
+    const { timeLimitMs } = pushToTalkSettings;
+    if (timeLimitMs > 0) {
+      spaceKeyTimer.current = setTimeout(() => {
+        console.log(`⏰ Timer: Auto-stopping recording after ${timeLimitMs}ms`);
+        stopRecording();
+      }, timeLimitMs);
     }
-    spaceKeyTimer.current = setTimeout(() => {
-      console.log(`⏰ Timer: Auto-stopping recording after ${pushToTalkTimeLimit}ms`);
-      stopRecording();
-    }, pushToTalkTimeLimit);
     
-    console.log(`✅ Recording started (auto-stop in ${pushToTalkTimeLimit}ms)`);
-  }, [isSessionActive, dataChannel, toggleMicrophone, stopRecording, pushToTalkTimeLimit]);
+    console.log(`✅ Recording started (auto-stop: ${timeLimitMs > 0 ? `${timeLimitMs}ms` : "off"})`);
+  }, [isSessionActive, transport, toggleMicrophone, stopRecording, sendClientEvent, pushToTalkSettings, autoBargeIn, interruptResponse]);
 
   // キーボードイベントの処理
   useEffect(() => {
@@ -151,40 +360,31 @@ export default function App() {
       return;
     }
 
-    console.log("🎯 Setting up keyboard events");
+    const { code, mode } = pushToTalkSettings;
+    console.log(`🎯 Setting up keyboard events (${code}, ${mode})`);
 
-    const handleKeyDown = (event) => {
-      console.log("⌨️ Key down:", event.code, "Repeat:", event.repeat, "Recording:", isRecordingRef.current);
-      
-      if (event.code === 'Space' && !event.repeat && !isRecordingRef.current) {
-        event.preventDefault();
-        console.log("🔴 Space DOWN - calling startRecording");
-        startRecording();
-      }
-    };
+    const handleKey = (event) => {
+      const action = getPushToTalkAction(event, pushToTalkSettings, isRecordingRef.current);
+      if (!action) return;
 
-    const handleKeyUp = (event) => {
-      console.log("⌨️ Key up:", event.code, "Recording:", isRecordingRef.current);
-      
-      if (event.code === 'Space' && isRecordingRef.current) {
-        event.preventDefault();
-        console.log("🔵 Space UP - calling stopRecording");
+      event.preventDefault();
+      if (action === "stop") {
+        console.log(`🔵 ${code} ${event.type === "keyup" ? "UP" : "DOWN"} - calling stopRecording`);
         stopRecording();
+      } else {
+        console.log(`🔴 ${code} DOWN - calling startRecording`);
+        startRecording();
       }
     };
 
-    // windowとdocumentの両方にイベントリスナーを追加
-    window.addEventListener('keydown', handleKeyDown, true);
-    window.addEventListener('keyup', handleKeyUp, true);
-    document.addEventListener('keydown', handleKeyDown, true);
-    document.addEventListener('keyup', handleKeyUp, true);
+    // キー割り当ての変更中はそちらが先に受け取れるよう、バブリング段階で登録する
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('keyup', handleKey);
 
     return () => {
       console.log("🧹 Cleaning up keyboard events");
-      window.removeEventListener('keydown', handleKeyDown, true);
-      window.removeEventListener('keyup', handleKeyUp, true);
-      document.removeEventListener('keydown', handleKeyDown, true);
-      document.removeEventListener('keyup', handleKeyUp, true);
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('keyup', handleKey);
       
       // タイマーもクリア
       if (spaceKeyTimer.current) {
@@ -192,7 +392,7 @@ export default function App() {
         spaceKeyTimer.current = null;
       }
     };
-  }, [isPushToTalkEnabled, isSessionActive, startRecording, stopRecording]);
+  }, [isPushToTalkEnabled, isSessionActive, startRecording, stopRecording, pushToTalkSettings]);
 
   // Push-to-Talkモードの切り替え
   const togglePushToTalk = useCallback(() => {
@@ -203,7 +403,9 @@ export default function App() {
     
     // 録音状態をリセット
     isRecordingRef.current = false;
+    recordingStartedAtRef.current = null;
     setIsRecording(false);
+    setRecordingStartedAt(null);
     
     if (spaceKeyTimer.current) {
       clearTimeout(spaceKeyTimer.current);
@@ -219,85 +421,250 @@ export default function App() {
     }
   }, [isPushToTalkEnabled, toggleMicrophone]);
 
-  async function startSession() {
-    console.log("🚀 Starting session...");
-    
-    // Get a session token for OpenAI Realtime API
-    const tokenResponse = await fetch("/token");
-    const data = await tokenResponse.json();
-    const EPHEMERAL_KEY = data.client_secret.value;
-
-    // Create a peer connection
-    const pc = new RTCPeerConnection();
-
-    // Set up to play remote audio from the model
-    audioElement.current = document.createElement("audio");
-    audioElement.current.autoplay = true;
-    audioElement.current.volume = 1.0; // 音量を明示的に設定
-    console.log("🔊 Audio element created:", audioElement.current);
-    
-    pc.ontrack = (e) => {
-      console.log("📡 Received audio track:", e.streams[0]);
-      audioElement.current.srcObject = e.streams[0];
-      console.log("🔊 Audio source set:", audioElement.current.srcObject);
-      
-      // 音声再生を強制的に開始
-      audioElement.current.play().then(() => {
-        console.log("✅ Audio playback started successfully");
-      }).catch((error) => {
-        console.error("❌ Audio playback failed:", error);
-      });
-    };
+  // モデルの音声を再生する（WebRTCのリモートトラックと中継の再生ストリームの両方）
+  function handleRemoteStream(stream) {
+    // Chromeではリモートストリームを<audio>に接続しないとWeb Audioに音が流れないため、
+    // ミュートした<audio>を残しつつ実際の再生はゲインチェーン経由で行う
+    if (!audioElement.current) {
+      audioElement.current = document.createElement("audio");
+      audioElement.current.autoplay = true;
+      audioElement.current.muted = true;
+      console.log("🔊 Audio element created:", audioElement.current);
+    }
 
-    // Add local audio track for microphone input in the browser
-    const ms = await navigator.mediaDevices.getUserMedia({
-      audio: true,
+    console.log("📡 Received audio stream:", stream);
+    audioElement.current.srcObject = stream;
+
+    if (audioOutput.current) {
+      audioOutput.current.close();
+    }
+    audioOutput.current = createAudioOutput(stream, outputGainRef.current);
+    isOutputMuted.current = false;
+    if (sessionRecorder.current) {
+      sessionRecorder.current.addRemoteStream(stream);
+    }
+
+    // 音声再生を強制的に開始
+    Promise.all([
+      audioElement.current.play(),
+      audioOutput.current.resume(),
+    ]).then(() => {
+      console.log(`✅ Audio playback started (gain: ${outputGainRef.current})`);
+    }).catch((error) => {
+      console.error("❌ Audio playback failed:", error);
     });
-    
+  }
+
+  // マイクを開く（セッション全体で使い回し、再接続時は取得し直さない）
+  async function ensureMicrophone() {
+    if (!localStream.current) {
+      const ms = await openMicrophone(micDeviceId, inputProcessing);
+      attachMicStream(ms);
+
+      // Push-to-Talkモードが有効な場合、最初はマイクを無効にする
+      if (isPushToTalkEnabled) {
+        ms.getAudioTracks()[0].enabled = false;
+        console.log("🔇 Initial microphone disabled (Push-to-Talk mode)");
+      }
+
+      // 録音モード: マイクとモデル出力をステムごとに録音する
+      if (isAudioRecordingEnabled) {
+        try {
+          sessionRecorder.current = createSessionRecorder(ms);
+        } catch (error) {
+          console.error("❌ Failed to start audio recording:", error);
+        }
+      }
+    }
+    return localStream.current;
+  }
+
+  // Realtime APIへの接続を1本張る（初回接続と再接続の両方で使う）
+  // 接続方式（WebRTC / WebSocket中継）の違いはトランスポートが吸収する
+  async function openConnection() {
+    const micStream = isTextOnly ? null : await ensureMicrophone();
+    if (isTextOnly) {
+      // テキストのみ: マイクも音声の再生も使わない
+      console.log("⌨️ Text-only session (no microphone)");
+    }
+
+    // サーバーが対応していない接続方式（モックでのWebRTCなど）は使える方に切り替える
+    const { transports } = realtimeConfig;
+    const kind = transports.includes(transportKind) ? transportKind : transports[0];
+    const next = createTransport(kind, {
+      model: selectedModel,
+      voice: isValidVoice(voice) ? voice : DEFAULT_VOICE,
+      prompt: promptProfile,
+      micStream,
+      onRemoteStream: isTextOnly ? null : handleRemoteStream,
+      // 接続状態を監視し、切断されたら再接続する
+      onStateChange: setPeerState,
+      onLost: (reason) => handleConnectionLostRef.current(reason),
+    });
+    console.log(`🔌 Connecting via ${next.kind}`);
+    transportRef.current = next;
+    setTransport(next);
+
+    await next.connect();
+  }
+
+  // 取得したマイクのストリームを現在の入力として登録する
+  function attachMicStream(ms) {
     localStream.current = ms;
-    const audioTrack = ms.getTracks()[0];
-    
-    console.log("🎤 Audio track created:", audioTrack);
-    
-    // Push-to-Talkモードが有効な場合、最初はマイクを無効にする
-    if (isPushToTalkEnabled) {
-      audioTrack.enabled = false;
-      console.log("🔇 Initial microphone disabled (Push-to-Talk mode)");
+    setMicStream(ms);
+    // USBマイクが抜かれたときなど、トラックが終了したら既定のデバイスに切り替える
+    ms.getAudioTracks()[0].addEventListener("ended", () => {
+      if (localStream.current === ms) handleMicEndedRef.current();
+    });
+  }
+
+  // セッション中にマイクを差し替える（接続は張り直さない）
+  async function switchMicrophone(deviceId, processing) {
+    const previous = localStream.current;
+    if (!previous) return;
+
+    const ms = await openMicrophone(deviceId, processing);
+    const track = ms.getAudioTracks()[0];
+    // Push-to-Talkのミュート状態を引き継ぐ
+    track.enabled = previous.getAudioTracks()[0]?.enabled ?? true;
+
+    if (transportRef.current) {
+      await transportRef.current.replaceMicStream(ms);
     }
-    
-    pc.addTrack(audioTrack);
-
-    // Set up data channel for sending and receiving events
-    const dc = pc.createDataChannel("oai-events");
-    setDataChannel(dc);
-
-    // Start the session using the Session Description Protocol (SDP)
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-
-    const baseUrl = "https://api.openai.com/v1/realtime";
-    //const baseUrl = "gpt-4o-mini-realtime-preview-2024-12-17";
-    const sdpResponse = await fetch(`${baseUrl}?model=${selectedModel}`, {
-      method: "POST",
-      body: offer.sdp,
-      headers: {
-        Authorization: `Bearer ${EPHEMERAL_KEY}`,
-        "Content-Type": "application/sdp",
-      },
+    if (sessionRecorder.current) {
+      sessionRecorder.current.setMicStream(ms);
+    }
+
+    attachMicStream(ms);
+    previous.getTracks().forEach((t) => t.stop());
+    console.log("🎤 Microphone switched:", track.label);
+  }
+
+  // マイク設定の変更（セッション中なら即座に反映する）
+  async function applyMicrophoneSettings({ deviceId = micDeviceId, processing = inputProcessing }) {
+    setMicDeviceId(deviceId);
+    setInputProcessing(processing);
+    await switchMicrophone(deviceId, processing);
+  }
+
+  handleMicEndedRef.current = () => {
+    console.warn("⚠️ Microphone track ended, switching to the default device");
+    switchMicrophone("", inputProcessing).catch((error) => {
+      console.error("❌ Failed to switch to the default microphone:", error);
     });
+  };
 
-    const answer = {
-      type: "answer",
-      sdp: await sdpResponse.text(),
-    };
-    await pc.setRemoteDescription(answer);
+  // 接続を閉じる（マイクのストリームは残す）
+  function closeConnection() {
+    if (transportRef.current) {
+      transportRef.current.close();
+      transportRef.current = null;
+    }
+
+    if (audioOutput.current) {
+      audioOutput.current.close();
+      audioOutput.current = null;
+    }
+
+    if (audioElement.current) {
+      audioElement.current.srcObject = null;
+      audioElement.current = null;
+    }
+
+    setTransport(null);
+    setPeerState(null);
+    setServerSession(null);
+    playbackTracker.reset();
+    setIsAssistantSpeaking(false);
+  }
+
+  async function startSession() {
+    console.log("🚀 Starting session...");
+    setSessionError(null);
+    isSessionWanted.current = true;
+    isReconnecting.current = false;
+    reconnectAttempt.current = 0;
+    setReconnectCount(0);
+    setConnectionState("connecting");
+
+    try {
+      await openConnection();
+    } catch (error) {
+      console.error("❌ Failed to start session:", error);
+      stopSession();
+      setConnectionState("failed");
+      setSessionError(toSessionError(error));
+    }
+  }
+
+  // 再接続を予約する（指数バックオフ、毎回新しいトークンを取得する）
+  // 再試行しても解決しないエラー（APIキー未設定など）の場合はすぐに諦める
+  function scheduleReconnect(lastError = null) {
+    reconnectAttempt.current += 1;
+    setReconnectCount(reconnectAttempt.current);
+
+    const isFatal = lastError && !lastError.retryable;
+    if (isFatal || reconnectAttempt.current > MAX_RECONNECT_ATTEMPTS) {
+      console.error(`❌ Giving up reconnecting after ${reconnectAttempt.current - 1} attempt(s)`);
+      stopSession();
+      setConnectionState("failed");
+      setSessionError(
+        isFatal
+          ? lastError
+          : new SessionError("reconnect_failed", lastError?.message || "Reconnect attempts exhausted"),
+      );
+      return;
+    }
+
+    const delay = backoffDelay(reconnectAttempt.current);
+    console.log(`🔁 Reconnecting in ${delay}ms (attempt ${reconnectAttempt.current})`);
+    reconnectTimer.current = setTimeout(async () => {
+      reconnectTimer.current = null;
+      if (!isSessionWanted.current) return;
+      isReconnecting.current = true;
+      try {
+        await openConnection();
+      } catch (error) {
+        handleConnectionLostRef.current(`reconnect failed: ${error.message}`, toSessionError(error));
+      }
+    }, delay);
+  }
+
+  // 接続が切れたときの処理（ユーザーが停止した場合は何もしない）
+  function handleConnectionLost(reason, error = null) {
+    if (!isSessionWanted.current || reconnectTimer.current) return;
+    console.warn("⚠️ Connection lost:", reason);
+    closeConnection();
+    setConnectionState("reconnecting");
+    scheduleReconnect(error);
+  }
+  handleConnectionLostRef.current = handleConnectionLost;
+
+  // 保存済みの会話を引き継いで新しいセッションを開始する
+  async function resumeSession(session) {
+    console.log("↪️ Resuming session:", session.id);
+    const { events: storedEvents } = await fetchSession(session.id);
+    const items = buildSeedItems(transcriptFromStoredEvents(storedEvents), resumeBudget);
+    console.log(`📚 Seeding ${items.length} item(s) from previous session`);
 
-    peerConnection.current = pc;
+    pendingSeed.current = { sessionId: session.id, items };
+    setActiveView("transcript");
+    await startSession();
   }
 
   // Stop current session, clean up peer connection and data channel
   function stopSession() {
     console.log("🛑 Stopping session...");
+    isSessionWanted.current = false;
+
+    if (reconnectTimer.current) {
+      clearTimeout(reconnectTimer.current);
+      reconnectTimer.current = null;
+    }
+
+    // トラックを止める前に録音を停止する
+    const recording = sessionRecorder.current ? sessionRecorder.current.stop() : null;
+    sessionRecorder.current = null;
     
     // タイマーをクリア
     if (spaceKeyTimer.current) {
@@ -307,31 +674,33 @@ export default function App() {
     
     // 録音状態をリセット
     isRecordingRef.current = false;
+    recordingStartedAtRef.current = null;
     setIsRecording(false);
-    
-    if (dataChannel) {
-      dataChannel.close();
-    }
+    setRecordingStartedAt(null);
+
+    closeConnection();
 
     if (localStream.current) {
       localStream.current.getTracks().forEach(track => track.stop());
       localStream.current = null;
     }
-
-    if (peerConnection.current) {
-      peerConnection.current.getSenders().forEach((sender) => {
-        if (sender.track) {
-          sender.track.stop();
-        }
-      });
-      peerConnection.current.close();
-    }
+    setMicStream(null);
 
     setIsSessionActive(false);
-    setDataChannel(null);
-    peerConnection.current = null;
+    setConnectionState("idle");
+
+    endSession(recording);
   }
 
+  stopSessionRef.current = stopSession;
+
+  // ログインの期限切れなどでAuthGateがアプリを外したときも、接続・マイク・録音・再接続のタイマーを残さない
+  useEffect(() => () => {
+    if (isSessionWanted.current || transportRef.current || localStream.current) {
+      stopSessionRef.current();
+    }
+  }, []);
+
   // Send a text message to the model
   const sendTextMessage = useCallback((message) => {
     const event = {
@@ -352,38 +721,215 @@ export default function App() {
     sendClientEvent({ type: "response.create" });
   }, [sendClientEvent]);
 
-  // Attach event listeners to the data channel when a new one is created
+  // Attach event listeners to the transport when a new one is created
+  // 依存値が変わるたびにリスナーが重複登録されないよう、クリーンアップで外す
   useEffect(() => {
-    if (dataChannel) {
-      // Append new server events to the list
-      dataChannel.addEventListener("message", (e) => {
-        const event = JSON.parse(e.data);
-        if (!event.timestamp) {
-          event.timestamp = new Date().toLocaleTimeString();
+    if (!transport) return;
+
+    // Append new server events to the list
+    const handleMessage = (e) => {
+      const event = JSON.parse(e.data);
+      if (!event.timestamp) {
+        event.timestamp = new Date().toLocaleTimeString();
+      }
+      event.logged_at = Date.now();
+
+      appendEvent(event);
+      recordEvent(event);
+
+      // サーバーが報告するセッションの状態を差分表示用に保持し、新しいセッションには設定を送る
+      if (event.type === "session.created" || event.type === "session.updated") {
+        setServerSession(event.session);
+      }
+      if (event.type === "session.created") {
+        sendSessionConfig(event.session);
+      }
+
+      // 応答ごとのトークン使用量を集計する
+      if (event.type === "response.done") {
+        const usage = extractUsage(event);
+        if (usage) {
+          setSessionUsage((prev) => ({
+            ...prev,
+            usage: addUsage(prev.usage, usage),
+            responses: [
+              { id: event.response.id || event.event_id, usage, at: event.logged_at },
+              ...prev.responses,
+            ],
+          }));
         }
+      }
 
-        setEvents((prev) => [event, ...prev]);
-      });
+      playbackTracker.handleEvent(event);
+      // 割り込みでミュートした出力は次の応答が始まったら戻す
+      if (event.type === "response.created" && isOutputMuted.current) {
+        isOutputMuted.current = false;
+        audioOutput.current?.setMuted(false);
+      }
+      setIsAssistantSpeaking(playbackTracker.isSpeaking());
+
+      // 自動割り込み: 応答の再生中にユーザーが話し始めたら止める
+      if (event.type === "input_audio_buffer.speech_started" && autoBargeIn) {
+        interruptResponse("barge-in");
+      }
+    };
 
-      // Set session active when the data channel is opened
-      dataChannel.addEventListener("open", () => {
-        console.log("🔗 Data channel opened");
-        setIsSessionActive(true);
-        setEvents([]);
-        // データチャンネルが開いたらVAD設定を送信
+    // Set session active when the connection is opened
+    const handleOpen = () => {
+      console.log(`🔗 Connection opened (${transport.kind})`);
+      // 接続したモデル（/token や中継が決めたもの）で使用量の集計と履歴を記録する
+      activeModel.current = transport.model;
+      setConnectionState("connected");
+
+      // 再接続時は会話とログを引き継ぎ、設定（ターン検出）だけ送り直す
+      // ツールはToolPanelが新しいsession.createdを見て送り直し、instructionsは/tokenで復元される
+      if (isReconnecting.current) {
+        console.log("✅ Reconnected");
+        isReconnecting.current = false;
+        reconnectAttempt.current = 0;
+        setReconnectCount(0);
         setTimeout(() => {
-          updateVADSettings();
+          updateTurnDetection();
         }, 100);
+        return;
+      }
+
+      setIsSessionActive(true);
+      clearEvents();
+      setReplay(null);
+      setSessionUsage({ model: activeModel.current, usage: EMPTY_USAGE, responses: [] });
+      budgetWarned.current = false;
+
+      const seed = pendingSeed.current;
+      pendingSeed.current = null;
+      beginSession({
+        model: activeModel.current,
+        voice: isValidVoice(voice) ? voice : DEFAULT_VOICE,
+        promptProfile,
+        resumedFrom: seed?.sessionId,
       });
+
+      // 継続時は最初の応答より前に過去の会話を積んでおく
+      if (seed) {
+        seed.items.forEach((item) => sendClientEvent(item));
+      }
+
+      // データチャンネルが開いたらターン検出の設定を送信
+      setTimeout(() => {
+        updateTurnDetection();
+      }, 100);
+    };
+
+    transport.addEventListener("message", handleMessage);
+    transport.addEventListener("open", handleOpen);
+
+    return () => {
+      transport.removeEventListener("message", handleMessage);
+      transport.removeEventListener("open", handleOpen);
+    };
+  }, [transport, updateTurnDetection, recordEvent, appendEvent, clearEvents, beginSession, sendClientEvent, voice, promptProfile, playbackTracker, autoBargeIn, interruptResponse, sendSessionConfig]);
+
+  // 割り込みのホットキー（Esc）
+  useEffect(() => {
+    if (!isSessionActive) return;
+
+    const handleKeyDown = (event) => {
+      if (event.code !== "Escape" || event.repeat) return;
+      interruptResponse("hotkey");
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isSessionActive, interruptResponse]);
+
+  // セッションの料金（料金表を変えたら再計算される）
+  const sessionCost = useMemo(
+    () => calculateCost(sessionUsage.usage, priceFor(sessionUsage.model, prices)),
+    [sessionUsage, prices],
+  );
+
+  // 使用量を履歴に保存し、予算を超えたら警告・切断する
+  useEffect(() => {
+    if (!isSessionActive) return;
+    updateSessionMeta({
+      usage: {
+        ...sessionUsage.usage,
+        costUsd: sessionCost,
+        responses: sessionUsage.responses.length,
+      },
+    });
+
+    const status = budgetStatus(sessionCost, budget);
+    if (status === "warning" && !budgetWarned.current) {
+      budgetWarned.current = true;
+      console.warn(`⚠️ Session cost ${formatCost(sessionCost)} is approaching the budget ${formatCost(budget.limitUsd)}`);
     }
-  }, [dataChannel, updateVADSettings]);
+    if (status === "exceeded" && budget.autoDisconnect) {
+      console.warn(`💸 Session cost ${formatCost(sessionCost)} exceeded the budget, disconnecting`);
+      stopSession();
+      setSessionError(new SessionError(
+        "budget_exceeded",
+        `${formatCost(sessionCost)} / ${formatCost(budget.limitUsd)}`,
+        { retryable: false },
+      ));
+    }
+  }, [sessionUsage, sessionCost, budget, isSessionActive, updateSessionMeta]);
 
-  // VADスレッショルドが変更されたときに設定を更新
+  // 出力音量の変更を再生中のゲインチェーンに反映
+  useEffect(() => {
+    outputGainRef.current = clampGain(outputGain);
+    if (audioOutput.current) {
+      audioOutput.current.setGain(outputGainRef.current);
+    }
+  }, [outputGain]);
+
+  // サーバーが対応している接続方式（モック使用中は中継のみ）
+  useEffect(() => {
+    fetchRealtimeConfig()
+      .then((config) => {
+        setRealtimeConfig(config);
+        if (config.mock) {
+          console.log(`🧪 Server is using the mock Realtime API (fixture: ${config.mock})`);
+        }
+      })
+      .catch((e) => {
+        console.error("❌ Failed to load realtime config:", e);
+      });
+  }, []);
+
+  // ターン検出の設定が変更されたときに送り直す
   useEffect(() => {
     if (isSessionActive) {
-      updateVADSettings();
+      updateTurnDetection();
     }
-  }, [vadThreshold, isSessionActive, updateVADSettings]);
+  }, [turnDetection, isSessionActive, updateTurnDetection]);
+
+  // リプレイ中は、読み込んだログのstep件目までを流した状態を各パネルに表示する
+  // ログを読み込んだときに作ったリプレイヤーが、前のstepからの差分だけを流す
+  const replayEvents = replay?.events;
+  const replaySession = replay?.session;
+  const replayStep = replay?.step;
+  const replayer = useMemo(
+    () => (replayEvents ? createReplayer(replayEvents, replaySession) : null),
+    [replayEvents, replaySession],
+  );
+  const replayState = useMemo(() => (replayer ? replayer.stateAt(replayStep) : null), [replayer, replayStep]);
+  const shownEventLog = replayState ? replayState.eventLog : eventLog;
+  const shownTurns = replayState ? replayState.turns : turns;
+  const shownToolEvents = replayState ? replayState.toolEvents : toolEvents;
+  const shownUsage = replayState ? replayState.sessionUsage : sessionUsage;
+
+  const setReplayStep = useCallback((step) => {
+    setReplay((prev) => prev && { ...prev, step: Math.max(0, Math.min(prev.events.length, step)) });
+  }, []);
+
+  const startReplay = useCallback(({ name, session, events: loadedEvents }) => {
+    console.log(`⏪ Replaying ${loadedEvents.length} events (${name})`);
+    setReplay({ name, session, events: loadedEvents, step: 0 });
+    setActiveView((view) => (view === "review" ? "transcript" : view));
+  }, []);
 
   return (
     <>
@@ -394,23 +940,52 @@ export default function App() {
           
           {/* Push-to-Talk制御パネル */}
           <div className="ml-auto flex items-center gap-4">
+            <ConnectionStatus
+              connectionState={connectionState}
+              reconnectAttempt={reconnectCount}
+            />
+
+            <UsageMeter
+              cost={sessionCost}
+              budget={budget}
+              tokens={totalTokens(sessionUsage.usage)}
+            />
+
+            <ModelSelector
+              model={selectedModel}
+              setModel={setSelectedModel}
+              disabled={isSessionActive || connectionState === "connecting"}
+            />
+
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={isTextOnly}
+                onChange={(e) => {
+                  setIsTextOnly(e.target.checked);
+                  if (e.target.checked) setIsPushToTalkEnabled(false);
+                }}
+                disabled={isSessionActive || connectionState === "connecting"}
+              />
+              <span className="text-sm">テキストのみ</span>
+            </label>
+
             <label className="flex items-center gap-2">
               <input
                 type="checkbox"
                 checked={isPushToTalkEnabled}
                 onChange={togglePushToTalk}
-                disabled={isSessionActive}
+                disabled={isSessionActive || isTextOnly}
               />
               <span className="text-sm">Push-to-Talk モード</span>
             </label>
             
             {isPushToTalkEnabled && (
-              <div className="flex items-center gap-2">
-                <div className={`w-3 h-3 rounded-full ${isRecording ? 'bg-red-500' : 'bg-gray-300'}`}></div>
-                <span className="text-sm">
-                  {isRecording ? `録音中（${pushToTalkTimeLimit/1000}秒で自動停止）` : 'スペースキーを押して話す'}
-                </span>
-              </div>
+              <PushToTalkIndicator
+                isRecording={isRecording}
+                recordingStartedAt={recordingStartedAt}
+                settings={pushToTalkSettings}
+              />
             )}
           </div>
         </div>
@@ -418,123 +993,154 @@ export default function App() {
       
       <main className="absolute top-16 left-0 right-0 bottom-0">
         <section className="absolute top-0 left-0 right-[380px] bottom-0 flex">
-          <section className="absolute top-0 left-0 right-0 bottom-32 px-4 overflow-y-auto">
-            <EventLog events={events} />
+          <div className="absolute top-0 left-0 right-0 h-10 px-4 flex items-center gap-2">
+            {[
+              ["transcript", "会話"],
+              ["events", "イベントログ"],
+              ...(reviewSessionId ? [["review", "レビュー"]] : []),
+            ].map(([view, label]) => (
+              <button
+                key={view}
+                onClick={() => setActiveView(view)}
+                className={`px-3 py-1 text-xs rounded ${
+                  activeView === view ? "bg-gray-800 text-white" : "bg-gray-200 hover:bg-gray-300"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <section className="absolute top-10 left-0 right-0 bottom-32 px-4 overflow-y-auto">
+            {activeView === "transcript" && <Transcript turns={shownTurns} />}
+            {activeView === "events" && <EventLog log={shownEventLog} />}
+            {activeView === "review" && reviewSessionId && (
+              <SessionReview sessionId={reviewSessionId} />
+            )}
           </section>
           <section className="absolute h-32 left-0 right-0 bottom-0 p-4">
-            <SessionControls
-              startSession={startSession}
-              stopSession={stopSession}
-              sendClientEvent={sendClientEvent}
-              sendTextMessage={sendTextMessage}
-              events={events}
-              isSessionActive={isSessionActive}
-              isPushToTalkEnabled={isPushToTalkEnabled}
-              isRecording={isRecording}
-              startRecording={startRecording}
-              stopRecording={stopRecording}
-            />
+            {replay ? (
+              <ReplayTimeline
+                replay={replay}
+                setStep={setReplayStep}
+                isAssistantSpeaking={replayState.isAssistantSpeaking}
+                onClose={() => setReplay(null)}
+              />
+            ) : (
+              <SessionControls
+                startSession={startSession}
+                connectionState={connectionState}
+                sessionError={sessionError}
+                dismissError={() => setSessionError(null)}
+                stopSession={stopSession}
+                sendClientEvent={sendClientEvent}
+                sendTextMessage={sendTextMessage}
+                isSessionActive={isSessionActive}
+                isPushToTalkEnabled={isPushToTalkEnabled}
+                isRecording={isRecording}
+                startRecording={startRecording}
+                stopRecording={stopRecording}
+                interruptResponse={interruptResponse}
+                isAssistantSpeaking={isAssistantSpeaking}
+              />
+            )}
           </section>
         </section>
         <section className="absolute top-0 w-[380px] right-0 bottom-0 p-4 pt-0 overflow-y-auto">
-          {/* VADスレッショルド調整UI */}
-          <div className="bg-gray-50 rounded-md p-4 mb-4">
-            <h3 className="text-sm font-semibold mb-2">マイク感度設定</h3>
-            {isPushToTalkEnabled && (
-              <div className="bg-yellow-100 border border-yellow-300 rounded p-2 mb-2">
-                <p className="text-xs text-yellow-800">
-                  ⚠️ Push-to-Talkモード中はVAD設定は無効です
-                </p>
-              </div>
-            )}
-            <div className={`flex flex-col gap-2 ${isPushToTalkEnabled ? 'opacity-50' : ''}`}>
-              <label className="text-xs text-gray-600">
-                VADスレッショルド: {vadThreshold.toFixed(2)}
-                {vadThreshold <= 0.2 && " (超高感度)"}
-                {vadThreshold > 0.2 && vadThreshold <= 0.5 && " (高感度)"}
-                {vadThreshold > 0.5 && vadThreshold <= 0.8 && " (中感度)"}
-                {vadThreshold > 0.8 && vadThreshold < 0.95 && " (低感度)"}
-                {vadThreshold >= 0.95 && vadThreshold < 1.0 && " (超低感度・要調整)"}
-                {vadThreshold >= 1.0 && " (無効)"}
-              </label>
-              <input
-                type="range"
-                min="0.0"
-                max="1.0"
-                step="0.01"
-                value={vadThreshold}
-                onChange={(e) => setVadThreshold(parseFloat(e.target.value))}
-                className="w-full"
-                disabled={isPushToTalkEnabled}
-              />
-              <div className="flex justify-between text-xs text-gray-500">
-                <span>超高感度<br/>0.0</span>
-                <span>中間<br/>0.5</span>
-                <span>調整範囲<br/>0.95-1.0</span>
-              </div>
-              <p className="text-xs text-gray-600 mt-1">
-                0.95-1.00の範囲で細かく調整してください。1.00で完全無効化。
-              </p>
-              {vadThreshold >= 0.95 && (
-                <div className="bg-blue-50 border border-blue-200 rounded p-2">
-                  <p className="text-xs text-blue-800">
-                    💡 現在は超低感度域です。0.96-0.99で最適値を見つけてください。
-                  </p>
-                </div>
-              )}
-              <div className="flex gap-1 mt-2">
-                <button
-                  onClick={() => setVadThreshold(0.96)}
-                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
-                  disabled={isPushToTalkEnabled}
-                >
-                  0.96
-                </button>
-                <button
-                  onClick={() => setVadThreshold(0.97)}
-                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
-                  disabled={isPushToTalkEnabled}
-                >
-                  0.97
-                </button>
-                <button
-                  onClick={() => setVadThreshold(0.98)}
-                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
-                  disabled={isPushToTalkEnabled}
-                >
-                  0.98
-                </button>
-                <button
-                  onClick={() => setVadThreshold(0.99)}
-                  className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
-                  disabled={isPushToTalkEnabled}
-                >
-                  0.99
-                </button>
-                <button
-                  onClick={() => setVadThreshold(1.00)}
-                  className="px-2 py-1 text-xs bg-red-200 hover:bg-red-300 rounded"
-                  disabled={isPushToTalkEnabled}
-                >
-                  1.00
-                </button>
-              </div>
-              {isSessionActive && !isPushToTalkEnabled && (
-                <button
-                  onClick={() => updateVADSettings()}
-                  className="mt-2 px-3 py-1 bg-blue-500 text-white text-xs rounded hover:bg-blue-600"
-                >
-                  設定を再送信
-                </button>
-              )}
-            </div>
-          </div>
-              
+          <AudioSettings
+            voice={voice}
+            setVoice={setVoice}
+            outputGain={outputGain}
+            setOutputGain={setOutputGain}
+            isAudioRecordingEnabled={isAudioRecordingEnabled}
+            setIsAudioRecordingEnabled={setIsAudioRecordingEnabled}
+            autoBargeIn={autoBargeIn}
+            setAutoBargeIn={setAutoBargeIn}
+            isSessionActive={isSessionActive}
+          />
+
+          <MicrophoneSettings
+            micDeviceId={micDeviceId}
+            inputProcessing={inputProcessing}
+            applyMicrophoneSettings={applyMicrophoneSettings}
+            micStream={micStream}
+          />
+
+          <PromptSettings
+            promptProfile={promptProfile}
+            setPromptProfile={setPromptProfile}
+            isSessionActive={isSessionActive}
+          />
+
+          <SessionConfigPanel
+            sessionConfig={sessionConfig}
+            setSessionConfig={setSessionConfig}
+            serverSession={replayState ? replayState.serverSession : serverSession}
+            applySessionConfig={() => sendSessionConfig(serverSession)}
+            isSessionActive={isSessionActive}
+            isTextOnly={isTextOnly}
+          />
+
+          {isPushToTalkEnabled && (
+            <PushToTalkSettings
+              settings={pushToTalkSettings}
+              setSettings={setPushToTalkSettings}
+            />
+          )}
+
+          <TurnDetectionSettings
+            turnDetection={turnDetection}
+            setTurnDetection={setTurnDetection}
+            presets={turnDetectionPresets}
+            setPresets={setTurnDetectionPresets}
+            isPushToTalkEnabled={isPushToTalkEnabled}
+            isSessionActive={isSessionActive}
+            resendTurnDetection={updateTurnDetection}
+            requestManualResponse={requestManualResponse}
+          />
+
+          <UsagePanel
+            model={shownUsage.model}
+            usage={shownUsage.usage}
+            responses={shownUsage.responses}
+            prices={prices}
+            setPrices={setPrices}
+            budget={budget}
+            setBudget={setBudget}
+          />
+
+          <ConnectionDiagnostics
+            getConnectionStats={getConnectionStats}
+            transportKind={transportKind}
+            setTransportKind={setTransportKind}
+            isTransportLocked={isSessionActive || connectionState === "connecting"}
+            availableTransports={realtimeConfig.transports}
+            mockFixture={realtimeConfig.mock}
+            connectionState={connectionState}
+            peerState={peerState}
+          />
+
+          <SessionHistory
+            historyVersion={historyVersion}
+            onOpen={(session) => {
+              setReviewSessionId(session.id);
+              setActiveView("review");
+            }}
+            onResume={(session) => {
+              resumeSession(session).catch((error) => {
+                console.error("❌ Failed to resume session:", error);
+              });
+            }}
+            onReplay={startReplay}
+            resumeBudget={resumeBudget}
+            setResumeBudget={setResumeBudget}
+            isSessionActive={isSessionActive}
+          />
+
           <ToolPanel
             sendClientEvent={sendClientEvent}
-            sendTextMessage={sendTextMessage}
-            events={events}
+            events={shownToolEvents}
             isSessionActive={isSessionActive}
+            isReplay={Boolean(replay)}
           />
         </section>
       </main>
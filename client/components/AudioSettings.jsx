@@ -0,0 +1,84 @@
+import { VOICES } from "../lib/voices";
+import { MAX_OUTPUT_GAIN, MIN_OUTPUT_GAIN } from "../lib/audioOutput";
+
+export default function AudioSettings({
+  voice,
+  setVoice,
+  outputGain,
+  setOutputGain,
+  isAudioRecordingEnabled,
+  setIsAudioRecordingEnabled,
+  autoBargeIn,
+  setAutoBargeIn,
+  isSessionActive,
+}) {
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">音声設定</h3>
+      <div className="flex flex-col gap-2">
+        <label className="text-xs text-gray-600" htmlFor="voice-select">
+          ボイス
+        </label>
+        <select
+          id="voice-select"
+          value={voice}
+          onChange={(e) => setVoice(e.target.value)}
+          disabled={isSessionActive}
+          className="border border-gray-200 rounded p-1 text-sm"
+        >
+          {VOICES.map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        {isSessionActive && (
+          <p className="text-xs text-gray-500">
+            ボイスはセッション開始前に選択してください
+          </p>
+        )}
+
+        <label className="text-xs text-gray-600 mt-2">
+          出力音量: {Math.round(outputGain * 100)}%
+          {outputGain > 1 && " (ブースト)"}
+        </label>
+        <input
+          type="range"
+          min={MIN_OUTPUT_GAIN}
+          max={MAX_OUTPUT_GAIN}
+          step="0.05"
+          value={outputGain}
+          onChange={(e) => setOutputGain(parseFloat(e.target.value))}
+          className="w-full"
+        />
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>0%</span>
+          <span>{MAX_OUTPUT_GAIN * 100}%</span>
+        </div>
+
+        <label className="flex items-center gap-2 mt-2">
+          <input
+            type="checkbox"
+            checked={isAudioRecordingEnabled}
+            onChange={(e) => setIsAudioRecordingEnabled(e.target.checked)}
+            disabled={isSessionActive}
+          />
+          <span className="text-xs">
+            会話を録音する（マイク・モデル・ミックスを保存）
+          </span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={autoBargeIn}
+            onChange={(e) => setAutoBargeIn(e.target.checked)}
+          />
+          <span className="text-xs">
+            自動割り込み（応答中に話し始めたら応答を止める）
+          </span>
+        </label>
+      </div>
+    </div>
+  );
+}
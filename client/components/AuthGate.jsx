@@ -0,0 +1,133 @@
+import { useEffect, useState } from "react";
+import { LogOut } from "react-feather";
+import { fetchMe, login, logout, onUnauthorized } from "../lib/authApi";
+
+// 認証が有効なサーバーではログインするまでアプリの代わりにログインフォームを出す
+// SSRと最初の描画はそのまま子を出す（ハイドレーションの不一致を避けるため）
+export default function AuthGate({ children }) {
+  const [auth, setAuth] = useState(null);
+  const [loginCount, setLoginCount] = useState(0);
+
+  useEffect(() => {
+    fetchMe()
+      .then(setAuth)
+      .catch((e) => {
+        console.error("❌ Failed to load auth status:", e);
+      });
+  }, []);
+
+  // ログイン中にAPIが401を返したら（Cookieの期限切れなど）ログインフォームに戻す
+  // ログイン状態の取得前に届いた401は、取得後にログインフォームが出るので無視する
+  useEffect(
+    () =>
+      onUnauthorized(() => {
+        setAuth((current) => (current?.user ? { ...current, user: null, isExpired: true } : current));
+      }),
+    [],
+  );
+
+  async function handleLogout() {
+    try {
+      await logout();
+    } catch (e) {
+      console.error("❌ Failed to log out:", e);
+    }
+    setAuth({ ...auth, user: null });
+  }
+
+  if (auth && !auth.user) {
+    return (
+      <LoginForm
+        mode={auth.mode}
+        isExpired={auth.isExpired}
+        onLogin={(data) => {
+          setAuth(data);
+          // ログイン前に失敗したAPI呼び出しをやり直すため、アプリを作り直す
+          setLoginCount((count) => count + 1);
+        }}
+      />
+    );
+  }
+
+  return (
+    <>
+      <div key={loginCount} className="contents">
+        {children}
+      </div>
+      {auth && auth.mode !== "none" && (
+        <div className="fixed bottom-2 left-2 z-20 flex items-center gap-2 bg-white border border-gray-200 rounded px-2 py-1 text-xs shadow-sm">
+          <span>{auth.user.username}</span>
+          <button onClick={handleLogout} title="ログアウト" className="text-gray-500 hover:text-gray-800">
+            <LogOut height={12} />
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+function LoginForm({ mode, isExpired, onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isPasscode = mode === "passcode";
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      onLogin(await login(username.trim(), password));
+    } catch (e) {
+      setError(
+        e.code === "rate_limited"
+          ? `試行回数が多すぎます。${e.retryAfter ?? ""}秒後に再試行してください。`
+          : isPasscode
+            ? "パスコードが正しくありません。"
+            : "ユーザー名またはパスワードが正しくありません。",
+      );
+      setPassword("");
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <main className="absolute inset-0 flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="flex flex-col gap-3 w-72 bg-gray-50 rounded-md p-6">
+        <h1 className="text-lg font-semibold">talktive にログイン</h1>
+        {isExpired && <p className="text-xs text-gray-600">ログインの有効期限が切れました。もう一度ログインしてください。</p>}
+        <label className="flex flex-col gap-1 text-sm">
+          <span>ユーザー名{isPasscode && "（任意）"}</span>
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required={!isPasscode}
+            className="border border-gray-200 rounded p-1"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-sm">
+          <span>{isPasscode ? "パスコード" : "パスワード"}</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="border border-gray-200 rounded p-1"
+          />
+        </label>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-3 py-2 text-sm text-white bg-gray-800 hover:bg-gray-700 rounded disabled:opacity-50"
+        >
+          {isSubmitting ? "ログイン中..." : "ログイン"}
+        </button>
+      </form>
+    </main>
+  );
+}
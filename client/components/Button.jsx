@@ -1,8 +1,9 @@
-export default function Button({ icon, children, onClick, className }) {
+export default function Button({ icon, children, onClick, className, ...props }) {
   return (
     <button
-      className={`bg-gray-800 text-white rounded-full p-4 flex items-center gap-1 hover:opacity-90 ${className}`}
+      className={`bg-gray-800 text-white rounded-full p-4 flex items-center gap-1 hover:opacity-90 disabled:opacity-50 ${className}`}
       onClick={onClick}
+      {...props}
     >
       {icon}
       {children}
@@ -0,0 +1,134 @@
+import { useEffect, useState } from "react";
+import { CONNECTION_STATE_LABELS } from "../lib/connectionSupervisor";
+import { TRANSPORT_LABELS, TRANSPORTS } from "../lib/realtimeTransport";
+
+const POLL_INTERVAL_MS = 2000;
+
+function formatNumber(value, digits = 0, unit = "") {
+  return value === null || value === undefined ? "-" : `${value.toFixed(digits)}${unit}`;
+}
+
+function formatBytes(value) {
+  if (value === null || value === undefined) return "-";
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ヘッダーに表示する接続状態
+export function ConnectionStatus({ connectionState, reconnectAttempt }) {
+  const color = {
+    idle: "bg-gray-300",
+    connecting: "bg-yellow-400",
+    connected: "bg-green-500",
+    reconnecting: "bg-orange-400 animate-pulse",
+    failed: "bg-red-500",
+  }[connectionState];
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className={`w-3 h-3 rounded-full ${color}`}></div>
+      <span className="text-sm">
+        {CONNECTION_STATE_LABELS[connectionState]}
+        {connectionState === "reconnecting" && reconnectAttempt > 0 && `（${reconnectAttempt}回目）`}
+      </span>
+    </div>
+  );
+}
+
+// 接続方式の選択と、getStats()の指標を定期的に表示する診断パネル
+// WebSocket中継ではRTTやパケットロスは取れないため、送受信量だけを表示する
+export default function ConnectionDiagnostics({
+  getConnectionStats,
+  connectionState,
+  peerState,
+  transportKind,
+  setTransportKind,
+  isTransportLocked,
+  availableTransports = TRANSPORTS,
+  mockFixture = null,
+}) {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    if (connectionState !== "connected") {
+      setStats(null);
+      return;
+    }
+
+    let cancelled = false;
+    const poll = async () => {
+      const request = getConnectionStats();
+      if (!request) return;
+      try {
+        const next = await request;
+        if (!cancelled) setStats(next);
+      } catch (error) {
+        console.error("❌ Failed to read connection stats:", error);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [connectionState, getConnectionStats]);
+
+  const rows = [
+    ["接続状態", peerState?.connectionState || "-"],
+    ["ICE状態", peerState?.iceConnectionState || "-"],
+    ["RTT", formatNumber(stats?.rttMs, 0, " ms")],
+    ["ジッター", formatNumber(stats?.jitterMs, 1, " ms")],
+    [
+      "パケットロス",
+      stats?.packetsLost === null || stats?.packetsLost === undefined
+        ? "-"
+        : `${stats.packetsLost} (${formatNumber(stats.packetLossPercent, 2, "%")})`,
+    ],
+    ["受信", formatBytes(stats?.bytesReceived)],
+    ["送信", formatBytes(stats?.bytesSent)],
+  ];
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">
+        接続診断
+        {mockFixture && (
+          <span className="ml-2 px-1 text-xs font-normal bg-yellow-100 text-yellow-800 rounded">
+            モック: {mockFixture}
+          </span>
+        )}
+      </h3>
+      <div className="flex items-center gap-2 mb-2 text-xs">
+        <label htmlFor="transport-kind" className="text-gray-600">
+          接続方式
+        </label>
+        <select
+          id="transport-kind"
+          value={availableTransports.includes(transportKind) ? transportKind : availableTransports[0]}
+          onChange={(e) => setTransportKind(e.target.value)}
+          disabled={isTransportLocked}
+          className="flex-1 border border-gray-200 rounded p-1"
+        >
+          {TRANSPORTS.map((kind) => (
+            <option key={kind} value={kind} disabled={!availableTransports.includes(kind)}>
+              {TRANSPORT_LABELS[kind]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <table className="w-full text-xs">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <td className="text-gray-600 py-0.5">{label}</td>
+              <td className="text-right font-mono">{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
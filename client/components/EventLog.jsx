@@ -1,10 +1,55 @@
-import { ArrowUp, ArrowDown } from "react-feather";
-import { useState } from "react";
+import { ArrowUp, ArrowDown, Copy, Check, Pause, Play } from "react-feather";
+import { useEffect, useMemo, useState } from "react";
+import {
+  DEFAULT_EVENT_FILTER,
+  entryEventCount,
+  entryEvents,
+  entryFirstEvent,
+  EVENT_DIRECTIONS,
+  filterLogEntries,
+  isClientEvent,
+} from "../lib/eventLog";
 
-function Event({ event, timestamp }) {
+// 一度に描画するエントリ数（ログ自体の上限は MAX_LOG_ENTRIES）
+const PAGE_SIZE = 200;
+
+function CopyButton({ value }) {
+  const [isCopied, setIsCopied] = useState(false);
+
+  useEffect(() => {
+    if (!isCopied) return;
+    const timer = setTimeout(() => setIsCopied(false), 1500);
+    return () => clearTimeout(timer);
+  }, [isCopied]);
+
+  async function handleCopy(e) {
+    e.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(value, null, 2));
+      setIsCopied(true);
+    } catch (error) {
+      console.error("❌ Failed to copy event:", error);
+    }
+  }
+
+  return (
+    <button
+      onClick={handleCopy}
+      title="JSONをコピー"
+      className="ml-auto p-1 text-gray-400 hover:text-gray-700"
+    >
+      {isCopied ? <Check size={14} /> : <Copy size={14} />}
+    </button>
+  );
+}
+
+function Entry({ entry }) {
   const [isExpanded, setIsExpanded] = useState(false);
 
-  const isClient = event.event_id && !event.event_id.startsWith("event_");
+  const first = entryFirstEvent(entry);
+  const isClient = isClientEvent(first);
+  const isDeltas = entry.kind === "deltas";
+  const events = entryEvents(entry);
 
   return (
     <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-50">
@@ -19,45 +64,129 @@ function Event({ event, timestamp }) {
         )}
         <div className="text-sm text-gray-500">
           {isClient ? "client:" : "server:"}
-          &nbsp;{event.type} | {timestamp}
+          &nbsp;{first.type}
+          {isDeltas && ` ×${entryEventCount(entry)}`} | {first.timestamp}
         </div>
+        <CopyButton value={isDeltas ? events : first} />
       </div>
-      <div
-        className={`text-gray-500 bg-gray-200 p-2 rounded-md overflow-x-auto ${
-          isExpanded ? "block" : "hidden"
+      {isExpanded && (
+        <div className="flex flex-col gap-2">
+          {isDeltas && (
+            <div className="text-sm bg-white border border-gray-200 p-2 rounded-md whitespace-pre-wrap">
+              {entry.isAudio ? `🔊 ${entry.byteLength.toLocaleString()} bytes` : entry.text || "（空）"}
+            </div>
+          )}
+          {isDeltas && events.length < entry.count && (
+            <div className="text-xs text-gray-500">
+              先頭の{events.length}件のみ表示（全{entry.count}件）
+            </div>
+          )}
+          <div className="text-gray-500 bg-gray-200 p-2 rounded-md overflow-x-auto">
+            <pre className="text-xs">{JSON.stringify(isDeltas ? events : first, null, 2)}</pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function EventLogToolbar({ filter, setFilter, eventTypes, isPaused, pendingCount, onTogglePause }) {
+  return (
+    <div className="sticky top-0 z-10 flex flex-wrap items-center gap-2 py-2 bg-white text-xs">
+      <select
+        value={filter.direction}
+        onChange={(e) => setFilter({ ...filter, direction: e.target.value })}
+        className="border border-gray-200 rounded p-1"
+      >
+        {Object.entries(EVENT_DIRECTIONS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={filter.type}
+        onChange={(e) => setFilter({ ...filter, type: e.target.value })}
+        className="border border-gray-200 rounded p-1 max-w-[16rem]"
+      >
+        <option value="">すべての種類</option>
+        {eventTypes.map((type) => (
+          <option key={type} value={type}>
+            {type}
+          </option>
+        ))}
+      </select>
+      <input
+        type="search"
+        value={filter.query}
+        onChange={(e) => setFilter({ ...filter, query: e.target.value })}
+        placeholder="ペイロードを検索"
+        className="flex-1 min-w-[8rem] border border-gray-200 rounded p-1"
+      />
+      <button
+        onClick={onTogglePause}
+        className={`flex items-center gap-1 px-2 py-1 rounded ${
+          isPaused ? "bg-yellow-100 text-yellow-800 hover:bg-yellow-200" : "bg-gray-200 hover:bg-gray-300"
         }`}
       >
-        <pre className="text-xs">{JSON.stringify(event, null, 2)}</pre>
-      </div>
+        {isPaused ? <Play size={12} /> : <Pause size={12} />}
+        {isPaused ? `再開${pendingCount > 0 ? `（新着${pendingCount}件）` : ""}` : "一時停止"}
+      </button>
     </div>
   );
 }
 
-export default function EventLog({ events }) {
-  const eventsToDisplay = [];
-  let deltaEvents = {};
+// log は appendLogEvent で組み立てたイベントログ（deltaはまとめ済み）
+export default function EventLog({ log }) {
+  const [filter, setFilter] = useState(DEFAULT_EVENT_FILTER);
+  // 一時停止中は停止した時点のログを表示し続ける
+  const [pausedLog, setPausedLog] = useState(null);
+  const [limit, setLimit] = useState(PAGE_SIZE);
 
-  events.forEach((event) => {
-    if (event.type.endsWith("delta")) {
-      if (deltaEvents[event.type]) {
-        // for now just log a single event per render pass
-        return;
-      } else {
-        deltaEvents[event.type] = event;
-      }
-    }
+  const shownLog = pausedLog ?? log;
+  const filteredEntries = useMemo(() => filterLogEntries(shownLog.entries, filter), [shownLog, filter]);
+
+  // 絞り込みを変えたら先頭のページから表示し直す
+  useEffect(() => {
+    setLimit(PAGE_SIZE);
+  }, [filter]);
+
+  function togglePause() {
+    setPausedLog(pausedLog ? null : log);
+  }
 
-    eventsToDisplay.push(
-      <Event key={event.event_id} event={event} timestamp={event.timestamp} />,
-    );
-  });
+  const pendingCount = pausedLog ? Math.max(0, log.count - pausedLog.count) : 0;
+  const hiddenCount = filteredEntries.length - limit;
 
   return (
     <div className="flex flex-col gap-2 overflow-x-auto">
-      {events.length === 0 ? (
+      <EventLogToolbar
+        filter={filter}
+        setFilter={setFilter}
+        eventTypes={shownLog.types}
+        isPaused={Boolean(pausedLog)}
+        pendingCount={pendingCount}
+        onTogglePause={togglePause}
+      />
+      {shownLog.count === 0 ? (
         <div className="text-gray-500">Awaiting events...</div>
+      ) : filteredEntries.length === 0 ? (
+        <div className="text-gray-500">条件に一致するイベントはありません</div>
       ) : (
-        eventsToDisplay
+        filteredEntries.slice(0, limit).map((entry) => <Entry key={entry.key} entry={entry} />)
+      )}
+      {hiddenCount > 0 && (
+        <button
+          onClick={() => setLimit(limit + PAGE_SIZE)}
+          className="px-2 py-1 mb-2 text-xs bg-gray-200 hover:bg-gray-300 rounded"
+        >
+          古いイベントをさらに表示（残り{hiddenCount}件）
+        </button>
+      )}
+      {hiddenCount <= 0 && shownLog.dropped > 0 && (
+        <div className="mb-2 text-xs text-gray-500">
+          ログの上限を超えた古いイベント{shownLog.dropped}件は破棄しました
+        </div>
       )}
     </div>
   );
@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  createLevelMeter,
+  DEFAULT_INPUT_PROCESSING,
+  INPUT_PROCESSING_LABELS,
+  listInputDevices,
+} from "../lib/microphone";
+import { SESSION_ERROR_MESSAGES, toSessionError } from "../lib/sessionErrors";
+
+// 入力レベルメーター（描画はDOMを直接更新し、毎フレームの再レンダリングを避ける）
+function LevelMeter({ stream }) {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    if (!stream) return;
+    const meter = createLevelMeter(stream);
+    let frame = null;
+
+    const draw = () => {
+      // 小さな声でも振れるように対数寄りに持ち上げる
+      const level = Math.min(1, Math.sqrt(meter.getLevel()) * 1.5);
+      if (barRef.current) {
+        barRef.current.style.width = `${Math.round(level * 100)}%`;
+        barRef.current.className = `h-full transition-[width] duration-75 ${
+          level > 0.9 ? "bg-red-500" : "bg-green-500"
+        }`;
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      meter.close();
+    };
+  }, [stream]);
+
+  if (!stream) {
+    return <p className="text-xs text-gray-500">入力レベルはセッション中に表示されます</p>;
+  }
+
+  return (
+    <div className="h-2 w-full bg-gray-200 rounded overflow-hidden">
+      <div ref={barRef} className="h-full bg-green-500" style={{ width: "0%" }} />
+    </div>
+  );
+}
+
+export default function MicrophoneSettings({
+  micDeviceId,
+  inputProcessing,
+  applyMicrophoneSettings,
+  micStream,
+}) {
+  const [devices, setDevices] = useState([]);
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reloadDevices = useCallback(async () => {
+    try {
+      setDevices(await listInputDevices());
+    } catch (e) {
+      console.error("❌ Failed to list input devices:", e);
+    }
+  }, []);
+
+  // マイク許可後はラベルが取れるようになるので、ストリームが変わるたびに読み直す
+  useEffect(() => {
+    reloadDevices();
+  }, [reloadDevices, micStream]);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.addEventListener) return;
+    navigator.mediaDevices.addEventListener("devicechange", reloadDevices);
+    return () => {
+      navigator.mediaDevices.removeEventListener("devicechange", reloadDevices);
+    };
+  }, [reloadDevices]);
+
+  async function apply(settings) {
+    setIsSwitching(true);
+    setError(null);
+    try {
+      await applyMicrophoneSettings(settings);
+    } catch (e) {
+      console.error("❌ Failed to switch microphone:", e);
+      const sessionError = toSessionError(e);
+      setError(SESSION_ERROR_MESSAGES[sessionError.code].title);
+    } finally {
+      setIsSwitching(false);
+    }
+  }
+
+  const processing = { ...DEFAULT_INPUT_PROCESSING, ...inputProcessing };
+  const activeDeviceId = micStream?.getAudioTracks()[0]?.getSettings?.().deviceId;
+  const hasSelectedDevice = !micDeviceId || devices.some((device) => device.deviceId === micDeviceId);
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">マイク設定</h3>
+      <div className="flex flex-col gap-2">
+        <label className="text-xs text-gray-600" htmlFor="mic-select">
+          入力デバイス
+        </label>
+        <select
+          id="mic-select"
+          value={micDeviceId}
+          onChange={(e) => apply({ deviceId: e.target.value })}
+          disabled={isSwitching}
+          className="border border-gray-200 rounded p-1 text-sm"
+        >
+          <option value="">既定のデバイス</option>
+          {devices
+            .filter((device) => device.deviceId && device.deviceId !== "default")
+            .map((device) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label}
+              </option>
+            ))}
+          {!hasSelectedDevice && <option value={micDeviceId}>（接続されていないデバイス）</option>}
+        </select>
+        {micStream && micDeviceId && activeDeviceId && activeDeviceId !== micDeviceId && (
+          <p className="text-xs text-yellow-700">
+            選択したデバイスが見つからないため、既定のデバイスを使用しています
+          </p>
+        )}
+
+        <div className="flex flex-col gap-1 mt-1">
+          {Object.keys(DEFAULT_INPUT_PROCESSING).map((key) => (
+            <label key={key} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={processing[key]}
+                onChange={(e) => apply({ processing: { ...processing, [key]: e.target.checked } })}
+                disabled={isSwitching}
+              />
+              <span className="text-xs">{INPUT_PROCESSING_LABELS[key]}</span>
+            </label>
+          ))}
+        </div>
+
+        <label className="text-xs text-gray-600 mt-2">入力レベル</label>
+        <LevelMeter stream={micStream} />
+
+        {error && <p className="text-xs text-red-600">⚠️ {error}</p>}
+      </div>
+    </div>
+  );
+}
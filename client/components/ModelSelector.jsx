@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import { fetchModels } from "../lib/modelsApi";
+
+// ヘッダーのモデル選択（空文字はサーバーの既定モデル）
+export default function ModelSelector({ model, setModel, disabled }) {
+  const [models, setModels] = useState([]);
+  const [defaultModel, setDefaultModel] = useState(null);
+
+  useEffect(() => {
+    fetchModels()
+      .then((data) => {
+        setModels(data.models);
+        setDefaultModel(data.default);
+      })
+      .catch((e) => {
+        console.error("❌ Failed to load models:", e);
+      });
+  }, []);
+
+  // 許可リストから外れたモデルが保存されていたら既定に戻す
+  useEffect(() => {
+    if (model && models.length > 0 && !models.includes(model)) {
+      setModel("");
+    }
+  }, [model, models, setModel]);
+
+  return (
+    <select
+      value={model}
+      onChange={(e) => setModel(e.target.value)}
+      disabled={disabled}
+      title="モデル"
+      className="border border-gray-200 rounded p-1 text-sm max-w-64"
+    >
+      <option value="">既定{defaultModel ? `（${defaultModel}）` : ""}</option>
+      {models.map((name) => (
+        <option key={name} value={name}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+}
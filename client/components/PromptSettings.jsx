@@ -0,0 +1,173 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  createPromptProfile,
+  deletePromptProfile,
+  fetchPromptProfiles,
+  updatePromptProfile,
+} from "../lib/promptsApi";
+
+const DEFAULT_PROFILE = "default";
+
+export default function PromptSettings({
+  promptProfile,
+  setPromptProfile,
+  isSessionActive,
+}) {
+  const [profiles, setProfiles] = useState([]);
+  const [draft, setDraft] = useState("");
+  const [newName, setNewName] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const selected = profiles.find((profile) => profile.name === promptProfile);
+  const isDirty = selected ? draft !== selected.instructions : false;
+
+  const reload = useCallback(async () => {
+    try {
+      setProfiles(await fetchPromptProfiles());
+      setError(null);
+    } catch (e) {
+      console.error("❌ Failed to load prompt profiles:", e);
+      setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // 選択中のプロファイルが消えていたらdefaultに戻す
+  useEffect(() => {
+    if (profiles.length > 0 && !selected) {
+      setPromptProfile(DEFAULT_PROFILE);
+    }
+  }, [profiles, selected, setPromptProfile]);
+
+  useEffect(() => {
+    setDraft(selected ? selected.instructions : "");
+  }, [selected]);
+
+  // 一覧の再読み込み後にselectProfileを選択する（先に選ぶとdefaultに戻されるため）
+  async function run(action, successMessage, selectProfile) {
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+      await reload();
+      if (selectProfile) {
+        setPromptProfile(selectProfile);
+      }
+      setNotice(successMessage);
+    } catch (e) {
+      console.error("❌ Prompt profile operation failed:", e);
+      setError(e.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  function handleSave() {
+    run(() => updatePromptProfile(promptProfile, draft), "保存しました");
+  }
+
+  function handleCreate() {
+    const name = newName.trim();
+    if (!name) return;
+    run(
+      async () => {
+        await createPromptProfile(name, draft);
+        setNewName("");
+      },
+      `「${name}」を作成しました`,
+      name,
+    );
+  }
+
+  function handleDelete() {
+    if (promptProfile === DEFAULT_PROFILE) return;
+    if (!window.confirm(`プロファイル「${promptProfile}」を削除しますか？`)) return;
+    run(
+      () => deletePromptProfile(promptProfile),
+      "削除しました",
+      DEFAULT_PROFILE,
+    );
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">プロンプト設定</h3>
+      <div className="flex flex-col gap-2">
+        <select
+          value={promptProfile}
+          onChange={(e) => setPromptProfile(e.target.value)}
+          disabled={isSessionActive || isSaving}
+          className="border border-gray-200 rounded p-1 text-sm"
+        >
+          {profiles.map((profile) => (
+            <option key={profile.name} value={profile.name}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+        {isSessionActive && (
+          <p className="text-xs text-gray-500">
+            変更は次のセッションから反映されます
+          </p>
+        )}
+
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          rows={6}
+          className="border border-gray-200 rounded p-2 text-xs"
+          disabled={!selected || isSaving}
+        />
+        <div className="flex gap-1">
+          <button
+            onClick={handleSave}
+            className="px-3 py-1 bg-blue-500 text-white text-xs rounded hover:bg-blue-600 disabled:opacity-50"
+            disabled={!isDirty || isSaving}
+          >
+            保存
+          </button>
+          <button
+            onClick={() => setDraft(selected?.instructions || "")}
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+            disabled={!isDirty || isSaving}
+          >
+            元に戻す
+          </button>
+          <button
+            onClick={handleDelete}
+            className="ml-auto px-2 py-1 text-xs bg-red-200 hover:bg-red-300 rounded disabled:opacity-50"
+            disabled={promptProfile === DEFAULT_PROFILE || isSaving}
+          >
+            削除
+          </button>
+        </div>
+
+        <div className="flex gap-1 mt-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="新しいプロファイル名"
+            className="border border-gray-200 rounded p-1 text-xs flex-1"
+          />
+          <button
+            onClick={handleCreate}
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+            disabled={!newName.trim() || isSaving}
+          >
+            複製して作成
+          </button>
+        </div>
+
+        {error && <p className="text-xs text-red-600">⚠️ {error}</p>}
+        {notice && !error && <p className="text-xs text-green-700">{notice}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import {
+  formatKeyCode,
+  isBindableKey,
+  PUSH_TO_TALK_MODES,
+} from "../lib/pushToTalk";
+
+// ヘッダー用の録音状態表示（残り時間のカウントダウン付き）
+export function PushToTalkIndicator({ isRecording, recordingStartedAt, settings }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!isRecording) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  const key = formatKeyCode(settings.code);
+  let label;
+  if (!isRecording) {
+    label = settings.mode === "toggle" ? `${key}キーで録音開始` : `${key}キーを押して話す`;
+  } else if (settings.timeLimitMs > 0 && recordingStartedAt) {
+    const remaining = Math.max(0, settings.timeLimitMs - (now - recordingStartedAt));
+    label = `録音中（残り ${(remaining / 1000).toFixed(1)}秒）`;
+  } else {
+    label = "録音中";
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className={`w-3 h-3 rounded-full ${isRecording ? "bg-red-500" : "bg-gray-300"}`}></div>
+      <span className="text-sm tabular-nums">{label}</span>
+    </div>
+  );
+}
+
+export default function PushToTalkSettings({ settings, setSettings }) {
+  const [isCapturing, setIsCapturing] = useState(false);
+
+  // 次に押されたキーを割り当てる（Escで取り消し）
+  useEffect(() => {
+    if (!isCapturing) return;
+
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (isBindableKey(event.code)) {
+        setSettings({ ...settings, code: event.code });
+      }
+      if (event.code === "Escape" || isBindableKey(event.code)) {
+        setIsCapturing(false);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, true);
+    };
+  }, [isCapturing, settings, setSettings]);
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">Push-to-Talk設定</h3>
+      <div className="flex flex-col gap-2">
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-gray-600">キー:</span>
+          <kbd className="px-2 py-0.5 text-xs bg-white border border-gray-300 rounded">
+            {formatKeyCode(settings.code)}
+          </kbd>
+          <button
+            onClick={() => setIsCapturing(!isCapturing)}
+            className="ml-auto px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
+          >
+            {isCapturing ? "キーを押してください（Escで取消）" : "キーを変更"}
+          </button>
+        </div>
+
+        <label className="text-xs text-gray-600" htmlFor="ptt-mode">
+          操作方法
+        </label>
+        <select
+          id="ptt-mode"
+          value={settings.mode}
+          onChange={(e) => setSettings({ ...settings, mode: e.target.value })}
+          className="border border-gray-200 rounded p-1 text-sm"
+        >
+          {Object.entries(PUSH_TO_TALK_MODES).map(([mode, label]) => (
+            <option key={mode} value={mode}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <label className="text-xs text-gray-600" htmlFor="ptt-time-limit">
+          自動停止までの時間（秒、0で無制限）
+        </label>
+        <input
+          id="ptt-time-limit"
+          type="number"
+          min="0"
+          max="300"
+          step="1"
+          value={settings.timeLimitMs / 1000}
+          onChange={(e) => {
+            const seconds = Math.min(300, Math.max(0, parseFloat(e.target.value) || 0));
+            setSettings({ ...settings, timeLimitMs: Math.round(seconds * 1000) });
+          }}
+          className="border border-gray-200 rounded p-1 text-sm w-24"
+        />
+        <p className="text-xs text-gray-500">
+          テキスト入力欄にフォーカスがある間はキー操作を無視します
+        </p>
+      </div>
+    </div>
+  );
+}
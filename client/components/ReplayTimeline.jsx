@@ -0,0 +1,153 @@
+import { useEffect, useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight, Pause, Play, SkipBack, SkipForward, X } from "react-feather";
+import { buildTimelineMarkers, elapsedAt, MARKER_KINDS } from "../lib/replay";
+
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+// 再生中、記録時刻の間隔が長くてもこれ以上は待たない
+const MAX_STEP_DELAY_MS = 1000;
+const DEFAULT_STEP_DELAY_MS = 100;
+
+function formatElapsed(ms) {
+  if (ms === null) return "-";
+  const seconds = ms / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, "0")}`;
+}
+
+function IconButton({ onClick, disabled, title, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      className="flex items-center p-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+    >
+      {children}
+    </button>
+  );
+}
+
+// 読み込んだイベントログを1件ずつ進めたり戻したりするタイムライン
+// step はその時点までに流したイベントの件数（0なら何も届いていない状態）
+export default function ReplayTimeline({ replay, setStep, isAssistantSpeaking, onClose }) {
+  const { name, events, step } = replay;
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const markers = useMemo(() => buildTimelineMarkers(events), [events]);
+  const total = events.length;
+  const current = step > 0 ? events[step - 1] : null;
+
+  // 記録時刻の間隔（速度で割る）で次のイベントに進む
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (step >= total) {
+      setIsPlaying(false);
+      return;
+    }
+    const next = events[step];
+    const gap =
+      current && typeof current.logged_at === "number" && typeof next.logged_at === "number"
+        ? next.logged_at - current.logged_at
+        : DEFAULT_STEP_DELAY_MS;
+    const timer = setTimeout(() => setStep(step + 1), Math.min(MAX_STEP_DELAY_MS, Math.max(0, gap)) / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, total, events, current, speed, setStep]);
+
+  const previousMarker = [...markers].reverse().find((marker) => marker.step < step);
+  const nextMarker = markers.find((marker) => marker.step > step);
+
+  return (
+    <div className="flex flex-col justify-center w-full h-full gap-2 text-xs">
+      <div className="flex items-center gap-2">
+        <span className="px-1 bg-yellow-100 text-yellow-800 rounded">リプレイ</span>
+        <span className="font-semibold truncate max-w-[16rem]" title={name}>
+          {name}
+        </span>
+        <span className="text-gray-500">
+          {step} / {total}件 ・ {formatElapsed(elapsedAt(events, step))}
+        </span>
+        <span className="text-gray-700 truncate">{current ? current.type : "（開始前）"}</span>
+        {isAssistantSpeaking && <span className="text-green-700">🔊 応答中</span>}
+        <button
+          onClick={onClose}
+          className="ml-auto flex items-center gap-1 px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded"
+        >
+          <X size={12} />
+          リプレイを終了
+        </button>
+      </div>
+      <div className="relative h-3">
+        {markers.map((marker) => (
+          <button
+            key={marker.step}
+            onClick={() => setStep(marker.step)}
+            title={`${MARKER_KINDS[marker.kind].label}: ${marker.type}`}
+            className={`absolute top-0 w-1 h-3 rounded-sm ${MARKER_KINDS[marker.kind].color}`}
+            style={{ left: `${(marker.step / Math.max(total, 1)) * 100}%` }}
+          />
+        ))}
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={total}
+        value={step}
+        onChange={(e) => setStep(Number(e.target.value))}
+        className="w-full"
+      />
+      <div className="flex items-center gap-1">
+        <IconButton onClick={() => setStep(0)} disabled={step === 0} title="最初へ">
+          <SkipBack size={14} />
+        </IconButton>
+        <IconButton
+          onClick={() => setStep(previousMarker ? previousMarker.step : 0)}
+          disabled={step === 0}
+          title="前の目印へ"
+        >
+          <ChevronLeft size={14} />
+          <ChevronLeft size={14} className="-ml-2" />
+        </IconButton>
+        <IconButton onClick={() => setStep(step - 1)} disabled={step === 0} title="1件戻る">
+          <ChevronLeft size={14} />
+        </IconButton>
+        <IconButton
+          onClick={() => setIsPlaying(!isPlaying)}
+          disabled={!isPlaying && step >= total}
+          title={isPlaying ? "一時停止" : "再生"}
+        >
+          {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        </IconButton>
+        <IconButton onClick={() => setStep(step + 1)} disabled={step >= total} title="1件進む">
+          <ChevronRight size={14} />
+        </IconButton>
+        <IconButton onClick={() => nextMarker && setStep(nextMarker.step)} disabled={!nextMarker} title="次の目印へ">
+          <ChevronRight size={14} />
+          <ChevronRight size={14} className="-ml-2" />
+        </IconButton>
+        <IconButton onClick={() => setStep(total)} disabled={step >= total} title="最後へ">
+          <SkipForward size={14} />
+        </IconButton>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="border border-gray-200 rounded p-1"
+          title="再生速度"
+        >
+          {PLAYBACK_SPEEDS.map((value) => (
+            <option key={value} value={value}>
+              ×{value}
+            </option>
+          ))}
+        </select>
+        <div className="ml-auto flex items-center gap-2">
+          {Object.entries(MARKER_KINDS).map(([kind, { label, color }]) => (
+            <span key={kind} className="flex items-center gap-1 text-gray-600">
+              <span className={`inline-block w-2 h-2 rounded-sm ${color}`} />
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
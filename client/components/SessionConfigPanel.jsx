@@ -0,0 +1,240 @@
+import {
+  AUDIO_FORMATS,
+  configFromSession,
+  diffSessionConfig,
+  MAX_OUTPUT_TOKENS_LIMIT,
+  normalizeSessionConfig,
+  SESSION_CONFIG_OPTIONS,
+  TEMPERATURE_RANGE,
+  TRANSCRIPTION_MODELS,
+  validateSessionConfig,
+} from "../lib/sessionConfig";
+
+function formatValue(value) {
+  if (value === undefined) return "-";
+  if (value === "" || value === null) return "（なし）";
+  const text = String(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+function OptionSelect({ id, value, options, onChange, disabled }) {
+  return (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="border border-gray-200 rounded p-1 text-sm"
+    >
+      {Object.entries(options).map(([option, label]) => (
+        <option key={option} value={option}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function SessionConfigPanel({
+  sessionConfig,
+  setSessionConfig,
+  serverSession,
+  applySessionConfig,
+  isSessionActive,
+  isTextOnly,
+}) {
+  const storedConfig = normalizeSessionConfig(sessionConfig);
+  // テキストのみのモードでは応答の形式をtextに固定する（App側の送信と同じ扱い、保存値は変えない）
+  const config = isTextOnly ? { ...storedConfig, modalities: "text" } : storedConfig;
+  const errors = validateSessionConfig(config);
+  const { rows, changes } = diffSessionConfig(config, serverSession);
+  const changeCount = Object.keys(changes).length;
+
+  function update(field, value) {
+    setSessionConfig({ ...storedConfig, [field]: value });
+  }
+
+  const formatOptions = Object.fromEntries(AUDIO_FORMATS.map((format) => [format, format]));
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">セッション設定</h3>
+      <div className="flex flex-col gap-2">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={config.instructions !== null}
+            onChange={(e) =>
+              update("instructions", e.target.checked ? serverSession?.instructions ?? "" : null)
+            }
+          />
+          <span className="text-xs">instructions を上書きする（オフならプロンプト設定に従う）</span>
+        </label>
+        {config.instructions !== null && (
+          <textarea
+            value={config.instructions}
+            onChange={(e) => update("instructions", e.target.value)}
+            rows={4}
+            className="border border-gray-200 rounded p-2 text-xs"
+          />
+        )}
+
+        <label className="text-xs text-gray-600" htmlFor="config-modalities">応答の形式</label>
+        <OptionSelect
+          id="config-modalities"
+          value={config.modalities}
+          options={SESSION_CONFIG_OPTIONS.modalities}
+          onChange={(value) => update("modalities", value)}
+          disabled={isTextOnly}
+        />
+        {isTextOnly && (
+          <p className="text-xs text-gray-500">テキストのみのモードでは常にテキストで応答します</p>
+        )}
+
+        <label className="text-xs text-gray-600">temperature: {config.temperature.toFixed(2)}</label>
+        <input
+          type="range"
+          {...TEMPERATURE_RANGE}
+          value={config.temperature}
+          onChange={(e) => update("temperature", parseFloat(e.target.value))}
+          className="w-full"
+        />
+
+        <label className="text-xs text-gray-600">最大出力トークン</label>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={config.maxResponseOutputTokens === "inf"}
+              onChange={(e) => update("maxResponseOutputTokens", e.target.checked ? "inf" : 1024)}
+            />
+            <span className="text-xs">無制限</span>
+          </label>
+          {config.maxResponseOutputTokens !== "inf" && (
+            <input
+              type="number"
+              min="1"
+              max={MAX_OUTPUT_TOKENS_LIMIT}
+              value={config.maxResponseOutputTokens}
+              onChange={(e) => update("maxResponseOutputTokens", parseInt(e.target.value, 10) || 0)}
+              className="border border-gray-200 rounded p-1 text-sm w-24"
+            />
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-input-format">入力音声</label>
+            <OptionSelect
+              id="config-input-format"
+              value={config.inputAudioFormat}
+              options={formatOptions}
+              onChange={(value) => update("inputAudioFormat", value)}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-output-format">出力音声</label>
+            <OptionSelect
+              id="config-output-format"
+              value={config.outputAudioFormat}
+              options={formatOptions}
+              onChange={(value) => update("outputAudioFormat", value)}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-transcription">書き起こし</label>
+            <OptionSelect
+              id="config-transcription"
+              value={config.transcriptionModel}
+              options={{ "": "なし", ...Object.fromEntries(TRANSCRIPTION_MODELS.map((m) => [m, m])) }}
+              onChange={(value) => update("transcriptionModel", value)}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-language">言語（空欄で自動）</label>
+            <input
+              id="config-language"
+              type="text"
+              value={config.transcriptionLanguage}
+              onChange={(e) => update("transcriptionLanguage", e.target.value.trim().toLowerCase())}
+              placeholder="ja"
+              disabled={!config.transcriptionModel}
+              className="border border-gray-200 rounded p-1 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-noise">ノイズ低減</label>
+            <OptionSelect
+              id="config-noise"
+              value={config.noiseReduction}
+              options={SESSION_CONFIG_OPTIONS.noiseReduction}
+              onChange={(value) => update("noiseReduction", value)}
+            />
+          </div>
+          <div className="flex flex-col">
+            <label className="text-xs text-gray-600" htmlFor="config-tool-choice">ツールの使用</label>
+            <OptionSelect
+              id="config-tool-choice"
+              value={config.toolChoice}
+              options={SESSION_CONFIG_OPTIONS.toolChoice}
+              onChange={(value) => update("toolChoice", value)}
+            />
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 list-disc pl-4">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <h4 className="text-xs font-semibold mt-2">
+          サーバーとの差分{!serverSession && "（未接続: セッション開始時にすべて送信します）"}
+        </h4>
+        <table className="text-xs w-full">
+          <thead>
+            <tr className="text-gray-500 text-left">
+              <th className="font-normal">項目</th>
+              <th className="font-normal">サーバー</th>
+              <th className="font-normal">設定</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className={row.changed && serverSession ? "bg-yellow-100" : ""}>
+                <td className="pr-1">{row.label}</td>
+                <td className="pr-1 break-all">{formatValue(row.server)}</td>
+                <td className="break-all">{formatValue(row.desired)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex gap-1 mt-2">
+          <button
+            onClick={applySessionConfig}
+            className="px-3 py-1 bg-blue-500 text-white text-xs rounded hover:bg-blue-600 disabled:opacity-50"
+            disabled={!isSessionActive || !serverSession || changeCount === 0 || errors.length > 0}
+          >
+            変更を適用{changeCount > 0 && serverSession ? `（${changeCount}件）` : ""}
+          </button>
+          <button
+            onClick={() => setSessionConfig(configFromSession(serverSession, storedConfig))}
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+            disabled={!serverSession}
+          >
+            サーバーの値を取り込む
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
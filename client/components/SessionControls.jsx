@@ -1,19 +1,22 @@
 import { useState } from "react";
-import { CloudLightning, CloudOff, MessageSquare, Mic, MicOff } from "react-feather";
+import { AlertTriangle, CloudLightning, CloudOff, MessageSquare, Mic, MicOff, StopCircle } from "react-feather";
 import Button from "./Button";
+import { SESSION_ERROR_MESSAGES } from "../lib/sessionErrors";
 
-function SessionStopped({ startSession }) {
-  const [isActivating, setIsActivating] = useState(false);
+function SessionStopped({ startSession, connectionState, sessionError, dismissError }) {
+  // 開始中かどうかは接続状態から決める（失敗後もボタンが押せなくならないように）
+  const isActivating = connectionState === "connecting";
 
   function handleStartSession() {
     if (isActivating) return;
-
-    setIsActivating(true);
     startSession();
   }
 
   return (
-    <div className="flex items-center justify-center w-full h-full">
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      {sessionError && !isActivating && (
+        <SessionErrorNotice error={sessionError} onRetry={startSession} onDismiss={dismissError} />
+      )}
       <Button
         onClick={handleStartSession}
         className={isActivating ? "bg-gray-600" : "bg-red-600"}
@@ -25,13 +28,50 @@ function SessionStopped({ startSession }) {
   );
 }
 
+function SessionErrorNotice({ error, onRetry, onDismiss }) {
+  const { title, hint } = SESSION_ERROR_MESSAGES[error.code] || SESSION_ERROR_MESSAGES.unknown;
+
+  return (
+    <div className="flex-1 max-w-lg max-h-full overflow-y-auto bg-red-50 border border-red-200 rounded-md p-2 text-xs">
+      <div className="flex items-start gap-2">
+        <AlertTriangle height={14} className="text-red-600 shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-semibold text-red-700">{title}</p>
+          <p className="text-gray-700">{hint}</p>
+          {error.message && (
+            <p className="text-gray-500 font-mono break-all mt-1">{error.message}</p>
+          )}
+        </div>
+        <div className="flex gap-1 shrink-0">
+          {error.retryable && (
+            <button
+              onClick={onRetry}
+              className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700"
+            >
+              再試行
+            </button>
+          )}
+          <button
+            onClick={onDismiss}
+            className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            閉じる
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function SessionActive({ 
   stopSession, 
   sendTextMessage, 
   isPushToTalkEnabled, 
   isRecording, 
   startRecording, 
-  stopRecording 
+  stopRecording,
+  interruptResponse,
+  isAssistantSpeaking,
 }) {
   const [message, setMessage] = useState("");
 
@@ -78,6 +118,17 @@ function SessionActive({
         </Button>
       )}
       
+      {/* 割り込みボタン（Escキーでも可） */}
+      <Button
+        onClick={() => interruptResponse("button")}
+        className={isAssistantSpeaking ? "bg-orange-500" : "bg-gray-400"}
+        icon={<StopCircle height={16} />}
+        disabled={!isAssistantSpeaking}
+        title="応答を止める (Esc)"
+      >
+        割り込み
+      </Button>
+
       <Button onClick={stopSession} icon={<CloudOff height={16} />}>
         disconnect
       </Button>
@@ -87,6 +138,9 @@ function SessionActive({
 
 export default function SessionControls({
   startSession,
+  connectionState,
+  sessionError,
+  dismissError,
   stopSession,
   sendClientEvent,
   sendTextMessage,
@@ -96,6 +150,8 @@ export default function SessionControls({
   isRecording,
   startRecording,
   stopRecording,
+  interruptResponse,
+  isAssistantSpeaking,
 }) {
   return (
     <div className="flex gap-4 border-t-2 border-gray-200 h-full rounded-md">
@@ -109,9 +165,16 @@ export default function SessionControls({
           isRecording={isRecording}
           startRecording={startRecording}
           stopRecording={stopRecording}
+          interruptResponse={interruptResponse}
+          isAssistantSpeaking={isAssistantSpeaking}
         />
       ) : (
-        <SessionStopped startSession={startSession} />
+        <SessionStopped
+          startSession={startSession}
+          connectionState={connectionState}
+          sessionError={sessionError}
+          dismissError={dismissError}
+        />
       )}
     </div>
   );
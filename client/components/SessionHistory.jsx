@@ -0,0 +1,215 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { EXPORT_FORMATS } from "../lib/exportFormats";
+import { parseEventLog } from "../lib/replay";
+import { formatCost, totalTokens } from "../lib/usage";
+import {
+  deleteSessionRecord,
+  fetchSession,
+  fetchSessions,
+  sessionExportUrl,
+} from "../lib/sessionsApi";
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "-";
+}
+
+function SessionItem({ session, onOpen, onResume, onReplay, onDelete, isSessionActive }) {
+  return (
+    <li className="flex flex-col gap-1 p-2 rounded bg-white border border-gray-200">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-semibold">{formatDate(session.startedAt)}</span>
+        {!session.endedAt && <span className="text-red-500">● 記録中</span>}
+        {session.recordings && <span title="録音あり">🎧</span>}
+        {session.resumedFrom && <span title="前回の会話からの継続">↪</span>}
+      </div>
+      <div className="text-xs text-gray-500">
+        {session.promptProfile || "default"} / {session.voice || "-"} / {session.eventCount} events
+        {session.usage && (
+          <span title={`${totalTokens(session.usage).toLocaleString()} tokens`}>
+            {" "}/ {formatCost(session.usage.costUsd)}
+          </span>
+        )}
+      </div>
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => onOpen(session)}
+          className="px-2 py-1 text-xs bg-blue-500 text-white hover:bg-blue-600 rounded"
+        >
+          開く
+        </button>
+        <button
+          onClick={() => onResume(session)}
+          className="px-2 py-1 text-xs bg-green-500 text-white hover:bg-green-600 rounded disabled:opacity-50"
+          disabled={isSessionActive}
+          title="この会話の内容を引き継いで新しいセッションを開始"
+        >
+          続ける
+        </button>
+        <button
+          onClick={() => onReplay(session)}
+          className="px-2 py-1 text-xs bg-yellow-200 hover:bg-yellow-300 rounded disabled:opacity-50"
+          disabled={isSessionActive}
+          title="イベントを1件ずつ再生して当時の画面を再現"
+        >
+          リプレイ
+        </button>
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <a
+            key={format}
+            href={sessionExportUrl(session.id, format)}
+            download
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
+          >
+            {label}
+          </a>
+        ))}
+        <button
+          onClick={() => onDelete(session)}
+          className="ml-auto px-2 py-1 text-xs bg-red-200 hover:bg-red-300 rounded"
+        >
+          削除
+        </button>
+      </div>
+    </li>
+  );
+}
+
+export default function SessionHistory({
+  historyVersion,
+  onOpen,
+  onResume,
+  onReplay,
+  resumeBudget,
+  setResumeBudget,
+  isSessionActive,
+}) {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setSessions(await fetchSessions());
+      setError(null);
+    } catch (e) {
+      console.error("❌ Failed to load session history:", e);
+      setError(e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload, historyVersion]);
+
+  async function handleDelete(session) {
+    if (!window.confirm(`${formatDate(session.startedAt)} のセッションを削除しますか？`)) return;
+    try {
+      await deleteSessionRecord(session.id);
+      await reload();
+    } catch (e) {
+      console.error("❌ Failed to delete session:", e);
+      setError(e.message);
+    }
+  }
+
+  async function handleReplay(session) {
+    try {
+      const record = await fetchSession(session.id);
+      onReplay({ name: formatDate(session.startedAt), session: record.session, events: record.events });
+      setError(null);
+    } catch (e) {
+      console.error("❌ Failed to load session for replay:", e);
+      setError(e.message);
+    }
+  }
+
+  // エクスポートしたJSONやイベントのJSONLをファイルから読み込んでリプレイする
+  async function handleReplayFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { session, events } = parseEventLog(await file.text());
+      onReplay({ name: file.name, session, events });
+      setError(null);
+    } catch (error) {
+      console.error("❌ Failed to load event log:", error);
+      setError(`${file.name}: ${error.message}`);
+    }
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <div className="flex items-center mb-2">
+        <h3 className="text-sm font-semibold">会話履歴</h3>
+        <button
+          onClick={() => fileInput.current?.click()}
+          disabled={isSessionActive}
+          className="ml-auto px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+          title="保存したイベントログ（JSON / JSONL）をリプレイ"
+        >
+          ログを読み込む
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.jsonl,application/json"
+          onChange={handleReplayFile}
+          className="hidden"
+        />
+        <button
+          onClick={reload}
+          className="ml-1 px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
+        >
+          更新
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600 mb-2">⚠️ {error}</p>}
+      <div className="flex items-center gap-2 mb-2 text-xs text-gray-600">
+        <span>継続時の上限</span>
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            value={resumeBudget.maxTurns}
+            onChange={(e) =>
+              setResumeBudget({ ...resumeBudget, maxTurns: Math.max(0, parseInt(e.target.value) || 0) })
+            }
+            className="w-14 border border-gray-200 rounded p-1"
+          />
+          ターン
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={resumeBudget.maxTokens}
+            onChange={(e) =>
+              setResumeBudget({ ...resumeBudget, maxTokens: Math.max(0, parseInt(e.target.value) || 0) })
+            }
+            className="w-20 border border-gray-200 rounded p-1"
+          />
+          トークン
+        </label>
+      </div>
+      {sessions.length === 0 ? (
+        <p className="text-xs text-gray-500">保存されたセッションはありません</p>
+      ) : (
+        <ul className="flex flex-col gap-2 max-h-64 overflow-y-auto">
+          {sessions.map((session) => (
+            <SessionItem
+              key={session.id}
+              session={session}
+              onOpen={onOpen}
+              onResume={onResume}
+              onReplay={handleReplay}
+              onDelete={handleDelete}
+              isSessionActive={isSessionActive}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
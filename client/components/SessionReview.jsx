@@ -0,0 +1,101 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import Transcript from "./Transcript";
+import { fetchSession, recordingUrl } from "../lib/sessionsApi";
+import { buildTranscript } from "../lib/transcript";
+
+const STEM_LABELS = {
+  mix: "ミックス",
+  mic: "マイク",
+  model: "モデル",
+};
+
+// 保存済みセッションの書き起こしと録音を並べて表示する
+// 書き起こしの行をクリックすると録音のその時点にジャンプする
+export default function SessionReview({ sessionId }) {
+  const [record, setRecord] = useState(null);
+  const [error, setError] = useState(null);
+  const [stem, setStem] = useState("mix");
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRecord(null);
+    setError(null);
+    fetchSession(sessionId)
+      .then((data) => {
+        if (!cancelled) setRecord(data);
+      })
+      .catch((e) => {
+        console.error("❌ Failed to load session:", e);
+        if (!cancelled) setError(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  // 保存イベントは古い順なので、新しい順を前提とするbuildTranscriptに合わせて反転する
+  const turns = useMemo(() => (record ? buildTranscript([...record.events].reverse()) : []), [record]);
+
+  if (error) {
+    return <p className="text-sm text-red-600 py-2">⚠️ {error}</p>;
+  }
+  if (!record) {
+    return <p className="text-gray-500 py-2">Loading session...</p>;
+  }
+
+  const { session } = record;
+  const recordings = session.recordings;
+  const stems = recordings ? Object.keys(recordings.stems) : [];
+  const activeStem = stems.includes(stem) ? stem : stems[0];
+
+  function handleSelectTurn(turn) {
+    if (!audioRef.current || !recordings || turn.startedAt === null) return;
+    const offset = Math.max(0, (turn.startedAt - recordings.startedAt) / 1000);
+    audioRef.current.currentTime = offset;
+    audioRef.current.play().catch((e) => {
+      console.error("❌ Audio playback failed:", e);
+    });
+  }
+
+  return (
+    <div className="flex flex-col gap-2 py-2">
+      <div className="text-xs text-gray-500">
+        {new Date(session.startedAt).toLocaleString()} / {session.promptProfile || "default"} /{" "}
+        {session.voice || "-"}
+      </div>
+      {recordings && activeStem ? (
+        <div className="sticky top-0 bg-[var(--color-base)] py-2 flex flex-col gap-1">
+          <div className="flex gap-1">
+            {stems.map((name) => (
+              <button
+                key={name}
+                onClick={() => setStem(name)}
+                className={`px-2 py-1 text-xs rounded ${
+                  name === activeStem ? "bg-gray-800 text-white" : "bg-gray-200 hover:bg-gray-300"
+                }`}
+              >
+                {STEM_LABELS[name] || name}
+              </button>
+            ))}
+          </div>
+          <audio
+            ref={audioRef}
+            key={activeStem}
+            controls
+            src={recordingUrl(session.id, activeStem)}
+            className="w-full"
+          />
+          <p className="text-xs text-gray-500">発話をクリックすると録音のその位置から再生します</p>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">このセッションには録音がありません</p>
+      )}
+      <Transcript
+        turns={turns}
+        onSelectTurn={recordings ? handleSelectTurn : undefined}
+        autoScroll={false}
+      />
+    </div>
+  );
+}
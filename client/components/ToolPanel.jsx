@@ -1,133 +1,141 @@
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  buildFunctionCallOutput,
+  buildToolResults,
+  buildToolsSessionUpdate,
+  createToolRegistry,
+  dispatchFunctionCall,
+  fetchServerTools,
+  mergeServerTools,
+  registry,
+  takePendingFunctionCalls,
+} from "../tools";
 
-const functionDescription = `
-Call this function when a user asks for a color palette.
-`;
-
-const sessionUpdate = {
-  type: "session.update",
-  session: {
-    tools: [
-      {
-        type: "function",
-        name: "display_color_palette",
-        description: functionDescription,
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            theme: {
-              type: "string",
-              description: "Description of the theme for the color scheme.",
-            },
-            colors: {
-              type: "array",
-              description: "Array of five hex color codes based on the theme.",
-              items: {
-                type: "string",
-                description: "Hex color code",
-              },
-            },
-          },
-          required: ["theme", "colors"],
-        },
-      },
-    ],
-    tool_choice: "auto",
-  },
-};
-
-function FunctionCallOutput({ functionCallOutput }) {
-  const { theme, colors } = JSON.parse(functionCallOutput.arguments);
-
-  const colorBoxes = colors.map((color) => (
-    <div
-      key={color}
-      className="w-full h-16 rounded-md flex items-center justify-center border border-gray-200"
-      style={{ backgroundColor: color }}
-    >
-      <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
-        {color}
-      </p>
-    </div>
-  ));
+function ToolResult({ tool, result }) {
+  const { Renderer } = tool;
 
   return (
     <div className="flex flex-col gap-2">
-      <p>Theme: {theme}</p>
-      {colorBoxes}
+      {result.error ? (
+        <p className="text-sm text-red-600">⚠️ {result.error}</p>
+      ) : (
+        Renderer && (
+          <Renderer
+            call={result.call}
+            args={result.args}
+            output={result.output}
+            error={result.error}
+          />
+        )
+      )}
       <pre className="text-xs bg-gray-100 rounded-md p-2 overflow-x-auto">
-        {JSON.stringify(functionCallOutput, null, 2)}
+        {JSON.stringify(result.call, null, 2)}
       </pre>
     </div>
   );
 }
 
+// events: ツールに関わるイベント（isToolEvent、新しい順）。リプレイ中は記録済みの全イベント
+// isReplay: リプレイ中はツールを実行せず、記録済みのイベントから結果を表示する
 export default function ToolPanel({
   isSessionActive,
+  isReplay = false,
   sendClientEvent,
   events,
 }) {
-  const [functionAdded, setFunctionAdded] = useState(false);
-  const [functionCallOutput, setFunctionCallOutput] = useState(null);
+  const [results, setResults] = useState({});
+  const [toolRegistry, setToolRegistry] = useState(registry);
+  const handledResponses = useRef(new Set());
+  // 再接続で新しいsession.createdが届いたとき、またはサーバー側ツールの取得がsession.createdより
+  // 後になったときにツールを送り直すため、送信済みのセッション（イベントID）とレジストリを覚えておく
+  const toolsSentFor = useRef(null);
 
+  // サーバー側ツールを取得してレジストリに追加する
   useEffect(() => {
-    if (!events || events.length === 0) return;
+    fetchServerTools()
+      .then((serverTools) => {
+        setToolRegistry(
+          createToolRegistry(mergeServerTools(registry.tools, serverTools)),
+        );
+        console.log(`🛠️ Loaded ${serverTools.length} server tool(s)`);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load server tools:", error);
+      });
+  }, []);
 
-    const firstEvent = events[events.length - 1];
-    if (!functionAdded && firstEvent.type === "session.created") {
-      sendClientEvent(sessionUpdate);
-      setFunctionAdded(true);
-    }
+  // 1つのレスポンスに含まれる関数呼び出しをすべて実行し、結果を返してから次の応答を要求する
+  async function handleFunctionCalls(calls) {
+    const callResults = await Promise.all(
+      calls.map((call) =>
+        dispatchFunctionCall(call, { sendClientEvent }, toolRegistry),
+      ),
+    );
+
+    setResults((prev) => {
+      const next = { ...prev };
+      callResults.forEach((result) => {
+        next[result.call.name] = result;
+      });
+      return next;
+    });
+
+    callResults.forEach((result) => {
+      sendClientEvent(buildFunctionCallOutput(result));
+    });
+    sendClientEvent({ type: "response.create" });
+  }
+
+  useEffect(() => {
+    // リプレイ中や切断後のイベントでツールを実行しない
+    if (isReplay || !isSessionActive || !events || events.length === 0) return;
 
-    const mostRecentEvent = events[0];
+    const sessionCreated = events.find((event) => event.type === "session.created");
     if (
-      mostRecentEvent.type === "response.done" &&
-      mostRecentEvent.response.output
+      sessionCreated &&
+      (toolsSentFor.current?.sessionEventId !== sessionCreated.event_id ||
+        toolsSentFor.current.registry !== toolRegistry) &&
+      toolRegistry.tools.length > 0
     ) {
-      mostRecentEvent.response.output.forEach((output) => {
-        if (
-          output.type === "function_call" &&
-          output.name === "display_color_palette"
-        ) {
-          setFunctionCallOutput(output);
-          setTimeout(() => {
-            sendClientEvent({
-              type: "response.create",
-              response: {
-                instructions: `
-                ask for feedback about the color palette - don't repeat 
-                the colors, just ask if they like the colors.
-              `,
-              },
-            });
-          }, 500);
-        }
-      });
+      sendClientEvent(buildToolsSessionUpdate(toolRegistry.tools));
+      toolsSentFor.current = { sessionEventId: sessionCreated.event_id, registry: toolRegistry };
     }
-  }, [events]);
+
+    // 1つのレスポンスの呼び出しはまとめて実行し、レスポンスは古いものから順に処理する
+    takePendingFunctionCalls(events, handledResponses.current).forEach((calls) => {
+      console.log(`🛠️ Dispatching ${calls.length} function call(s)`);
+      handleFunctionCalls(calls);
+    });
+  }, [events, toolRegistry, isReplay, isSessionActive]);
+
+  const shownResults = useMemo(() => (isReplay ? buildToolResults(events) : results), [isReplay, events, results]);
 
   useEffect(() => {
     if (!isSessionActive) {
-      setFunctionAdded(false);
-      setFunctionCallOutput(null);
+      toolsSentFor.current = null;
+      setResults({});
+      handledResponses.current = new Set();
     }
   }, [isSessionActive]);
 
   return (
     <section className="h-full w-full flex flex-col gap-4">
-      <div className="h-full bg-gray-50 rounded-md p-4">
-        <h2 className="text-lg font-bold">Color Palette Tool</h2>
-        {isSessionActive ? (
-          functionCallOutput ? (
-            <FunctionCallOutput functionCallOutput={functionCallOutput} />
-          ) : (
-            <p>Ask for advice on a color palette...</p>
-          )
-        ) : (
-          <p>Start the session to use this tool...</p>
-        )}
-      </div>
+      {toolRegistry.tools
+        .filter((tool) => tool.Renderer)
+        .map((tool) => (
+          <div key={tool.name} className="bg-gray-50 rounded-md p-4">
+            <h2 className="text-lg font-bold">{tool.title || tool.name}</h2>
+            {isSessionActive || isReplay ? (
+              shownResults[tool.name] ? (
+                <ToolResult tool={tool} result={shownResults[tool.name]} />
+              ) : (
+                <p>{tool.placeholder || `Waiting for ${tool.name}...`}</p>
+              )
+            ) : (
+              <p>Start the session to use this tool...</p>
+            )}
+          </div>
+        ))}
     </section>
   );
 }
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from "react";
+
+function Turn({ turn, onSelect }) {
+  const isUser = turn.role === "user";
+
+  return (
+    <div className={`flex flex-col gap-1 ${isUser ? "items-end" : "items-start"}`}>
+      <div className="text-xs text-gray-500">
+        {isUser ? "you" : "assistant"}
+        &nbsp;|&nbsp;{turn.source === "spoken" ? "🎤 音声" : "⌨️ テキスト"}
+        {turn.timestamp && <>&nbsp;|&nbsp;{turn.timestamp}</>}
+      </div>
+      <div
+        onClick={onSelect ? () => onSelect(turn) : undefined}
+        className={`max-w-[80%] rounded-md p-2 text-sm whitespace-pre-wrap ${
+          isUser ? "bg-blue-100" : "bg-white border border-gray-200"
+        } ${turn.isPartial ? "opacity-70" : ""} ${
+          onSelect ? "cursor-pointer hover:ring-2 hover:ring-blue-300" : ""
+        }`}
+      >
+        {turn.text || (turn.isPartial ? "…" : "")}
+        {turn.isPartial && turn.text && <span className="animate-pulse">▍</span>}
+        {turn.error && (
+          <span className="text-xs text-red-600">⚠️ {turn.error}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// turns は buildTranscript / createTranscriptBuilder で組み立てたターン
+// onSelectTurnを渡すと各ターンがクリック可能になる（録音の該当位置へのジャンプなど）
+export default function Transcript({ turns, onSelectTurn, autoScroll = true }) {
+  const bottomRef = useRef(null);
+
+  // 新しい発話やテキストの追記に合わせて末尾までスクロールする
+  useEffect(() => {
+    if (autoScroll) {
+      bottomRef.current?.scrollIntoView({ block: "end" });
+    }
+  }, [turns, autoScroll]);
+
+  return (
+    <div className="flex flex-col gap-3 py-2">
+      {turns.length === 0 ? (
+        <div className="text-gray-500">Awaiting conversation...</div>
+      ) : (
+        turns.map((turn) => <Turn key={turn.id} turn={turn} onSelect={onSelectTurn} />)
+      )}
+      <div ref={bottomRef} />
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState } from "react";
+import {
+  BUILTIN_PRESETS,
+  SEMANTIC_EAGERNESS,
+  TURN_DETECTION_LIMITS,
+  TURN_DETECTION_TYPES,
+  normalizeTurnDetection,
+  validatePresetName,
+  validateTurnDetection,
+} from "../lib/turnDetection";
+
+const SLIDER_FIELDS = [
+  ["threshold", "スレッショルド", (v) => v.toFixed(2)],
+  ["prefix_padding_ms", "発話前の余白", (v) => `${v}ms`],
+  ["silence_duration_ms", "無音の長さ（区切り判定）", (v) => `${v}ms`],
+];
+
+function presetMatches(a, b) {
+  return JSON.stringify(normalizeTurnDetection(a)) === JSON.stringify(normalizeTurnDetection(b));
+}
+
+export default function TurnDetectionSettings({
+  turnDetection,
+  setTurnDetection,
+  presets,
+  setPresets,
+  isPushToTalkEnabled,
+  isSessionActive,
+  resendTurnDetection,
+  requestManualResponse,
+}) {
+  const [presetName, setPresetName] = useState("");
+  const [presetError, setPresetError] = useState(null);
+
+  const config = normalizeTurnDetection(turnDetection);
+  const errors = validateTurnDetection(config);
+  const allPresets = { ...BUILTIN_PRESETS, ...presets };
+  const currentPreset = Object.keys(allPresets).find((name) => presetMatches(allPresets[name], config));
+
+  function update(field, value) {
+    setTurnDetection({ ...config, [field]: value });
+  }
+
+  function handleSavePreset() {
+    const name = presetName.trim();
+    const error = validatePresetName(name);
+    setPresetError(error);
+    if (error || errors.length > 0) return;
+    setPresets({ ...presets, [name]: config });
+    setPresetName("");
+  }
+
+  function handleDeletePreset() {
+    if (!currentPreset || Object.hasOwn(BUILTIN_PRESETS, currentPreset)) return;
+    const { [currentPreset]: _removed, ...rest } = presets;
+    setPresets(rest);
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">ターン検出設定</h3>
+      {isPushToTalkEnabled && (
+        <div className="bg-yellow-100 border border-yellow-300 rounded p-2 mb-2">
+          <p className="text-xs text-yellow-800">
+            ⚠️ Push-to-Talkモード中はターン検出設定は無効です
+          </p>
+        </div>
+      )}
+      <div className={`flex flex-col gap-2 ${isPushToTalkEnabled ? "opacity-50" : ""}`}>
+        <div className="flex gap-1 items-center">
+          <select
+            value={currentPreset || ""}
+            onChange={(e) => e.target.value && setTurnDetection(allPresets[e.target.value])}
+            disabled={isPushToTalkEnabled}
+            className="border border-gray-200 rounded p-1 text-sm flex-1"
+          >
+            <option value="">（カスタム）</option>
+            {Object.keys(allPresets).map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleDeletePreset}
+            className="px-2 py-1 text-xs bg-red-200 hover:bg-red-300 rounded disabled:opacity-50"
+            disabled={!currentPreset || Object.hasOwn(BUILTIN_PRESETS, currentPreset)}
+          >
+            削除
+          </button>
+        </div>
+
+        <label className="text-xs text-gray-600" htmlFor="turn-detection-type">
+          検出方式
+        </label>
+        <select
+          id="turn-detection-type"
+          value={config.type}
+          onChange={(e) => update("type", e.target.value)}
+          disabled={isPushToTalkEnabled}
+          className="border border-gray-200 rounded p-1 text-sm"
+        >
+          {Object.entries(TURN_DETECTION_TYPES).map(([type, label]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {config.type === "server_vad" &&
+          SLIDER_FIELDS.map(([field, label, format]) => (
+            <div key={field} className="flex flex-col">
+              <label className="text-xs text-gray-600">
+                {label}: {format(config[field])}
+              </label>
+              <input
+                type="range"
+                {...TURN_DETECTION_LIMITS[field]}
+                value={config[field]}
+                onChange={(e) => update(field, parseFloat(e.target.value))}
+                className="w-full"
+                disabled={isPushToTalkEnabled}
+              />
+            </div>
+          ))}
+
+        {config.type === "semantic_vad" && (
+          <>
+            <label className="text-xs text-gray-600" htmlFor="semantic-eagerness">
+              応答の積極性（eagerness）
+            </label>
+            <select
+              id="semantic-eagerness"
+              value={config.eagerness}
+              onChange={(e) => update("eagerness", e.target.value)}
+              disabled={isPushToTalkEnabled}
+              className="border border-gray-200 rounded p-1 text-sm"
+            >
+              {Object.entries(SEMANTIC_EAGERNESS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {config.type === "none" && (
+          <p className="text-xs text-gray-600">
+            自動では応答しません。話し終えたら「応答を要求」を押してください。
+          </p>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="text-xs text-red-600 list-disc pl-4">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex gap-1 mt-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="プリセット名"
+            className="border border-gray-200 rounded p-1 text-xs flex-1"
+          />
+          <button
+            onClick={handleSavePreset}
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+            disabled={!presetName.trim() || errors.length > 0}
+          >
+            プリセットに保存
+          </button>
+        </div>
+        {presetError && <p className="text-xs text-red-600">⚠️ {presetError}</p>}
+
+        {isSessionActive && !isPushToTalkEnabled && (
+          <div className="flex gap-1 mt-2">
+            <button
+              onClick={resendTurnDetection}
+              className="px-3 py-1 bg-blue-500 text-white text-xs rounded hover:bg-blue-600 disabled:opacity-50"
+              disabled={errors.length > 0}
+            >
+              設定を再送信
+            </button>
+            {config.type === "none" && (
+              <button
+                onClick={requestManualResponse}
+                className="px-3 py-1 bg-green-500 text-white text-xs rounded hover:bg-green-600"
+              >
+                応答を要求
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
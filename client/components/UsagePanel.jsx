@@ -0,0 +1,158 @@
+import {
+  budgetStatus,
+  calculateCost,
+  DEFAULT_PRICES,
+  formatCost,
+  priceFamily,
+  priceFor,
+  totalTokens,
+  USAGE_KEYS,
+  USAGE_LABELS,
+} from "../lib/usage";
+
+const STATUS_CLASSES = {
+  ok: "bg-gray-100 text-gray-700",
+  warning: "bg-yellow-100 text-yellow-800",
+  exceeded: "bg-red-100 text-red-700",
+};
+
+// ヘッダー用の料金メーター
+export function UsageMeter({ cost, budget, tokens }) {
+  const status = budgetStatus(cost, budget);
+  const limit = budget?.limitUsd > 0 ? ` / ${formatCost(budget.limitUsd)}` : "";
+
+  return (
+    <span
+      className={`px-2 py-1 text-xs rounded tabular-nums ${STATUS_CLASSES[status]}`}
+      title={`${tokens.toLocaleString()} tokens`}
+    >
+      {status === "warning" && "⚠️ "}
+      {formatCost(cost)}
+      {limit}
+    </span>
+  );
+}
+
+export default function UsagePanel({
+  model,
+  usage,
+  responses,
+  prices,
+  setPrices,
+  budget,
+  setBudget,
+}) {
+  const price = priceFor(model, prices);
+  const family = priceFamily(model, prices);
+  const cost = calculateCost(usage, price);
+
+  function updatePrice(key, value) {
+    if (!family) return;
+    setPrices({ ...prices, [family]: { ...prices[family], [key]: value } });
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-md p-4 mb-4">
+      <h3 className="text-sm font-semibold mb-2">使用量と料金</h3>
+      <div className="flex flex-col gap-2">
+        <p className="text-xs text-gray-500 break-all">
+          モデル: {model || "-"}
+          {model && !price && "（料金表が見つかりません）"}
+        </p>
+
+        <table className="text-xs w-full">
+          <thead>
+            <tr className="text-gray-500 text-left">
+              <th className="font-normal">種別</th>
+              <th className="font-normal text-right">トークン</th>
+              <th className="font-normal text-right">$/1M</th>
+            </tr>
+          </thead>
+          <tbody>
+            {USAGE_KEYS.map((key) => (
+              <tr key={key}>
+                <td>{USAGE_LABELS[key]}</td>
+                <td className="text-right tabular-nums">{(usage[key] || 0).toLocaleString()}</td>
+                <td className="text-right">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={price?.[key] ?? ""}
+                    onChange={(e) => updatePrice(key, Math.max(0, parseFloat(e.target.value) || 0))}
+                    disabled={!family}
+                    className="border border-gray-200 rounded px-1 w-16 text-right"
+                  />
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold">
+              <td>合計</td>
+              <td className="text-right tabular-nums">{totalTokens(usage).toLocaleString()}</td>
+              <td className="text-right">{formatCost(cost)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <button
+          onClick={() => setPrices(DEFAULT_PRICES)}
+          className="self-start px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 rounded"
+        >
+          料金表を既定に戻す
+        </button>
+
+        {responses.length > 0 && (
+          <details className="text-xs">
+            <summary className="cursor-pointer text-gray-600">応答ごとの内訳（{responses.length}件）</summary>
+            <ul className="mt-1 max-h-40 overflow-y-auto">
+              {responses.map((response) => (
+                <li key={response.id} className="flex justify-between tabular-nums">
+                  <span className="text-gray-500">{new Date(response.at).toLocaleTimeString()}</span>
+                  <span>{totalTokens(response.usage).toLocaleString()} tok</span>
+                  <span>{formatCost(calculateCost(response.usage, price))}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
+        <h4 className="text-xs font-semibold mt-2">セッションの予算</h4>
+        <div className="flex items-center gap-2 text-xs">
+          <label htmlFor="budget-limit">上限 $</label>
+          <input
+            id="budget-limit"
+            type="number"
+            min="0"
+            step="0.1"
+            value={budget.limitUsd}
+            onChange={(e) => setBudget({ ...budget, limitUsd: Math.max(0, parseFloat(e.target.value) || 0) })}
+            className="border border-gray-200 rounded p-1 w-20"
+          />
+          <label htmlFor="budget-warn">警告</label>
+          <input
+            id="budget-warn"
+            type="number"
+            min="10"
+            max="100"
+            step="5"
+            value={Math.round(budget.warnRatio * 100)}
+            onChange={(e) => {
+              const percent = Math.min(100, Math.max(10, parseFloat(e.target.value) || 80));
+              setBudget({ ...budget, warnRatio: percent / 100 });
+            }}
+            className="border border-gray-200 rounded p-1 w-14"
+          />
+          <span>%</span>
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={budget.autoDisconnect}
+            onChange={(e) => setBudget({ ...budget, autoDisconnect: e.target.checked })}
+          />
+          <span className="text-xs">上限を超えたら自動で切断する</span>
+        </label>
+        <p className="text-xs text-gray-500">上限0で予算なし。料金は目安です。</p>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
 import { StrictMode } from "react";
 import ReactDOM from "react-dom/client";
 import App from "./components/App";
+import AuthGate from "./components/AuthGate";
 import "./base.css";
 
 ReactDOM.hydrateRoot(
   document.getElementById("root"),
   <StrictMode>
-    <App />
+    <AuthGate>
+      <App />
+    </AuthGate>
   </StrictMode>,
 );
@@ -1,11 +1,14 @@
 import { StrictMode } from "react";
 import { renderToString } from "react-dom/server";
 import App from "./components/App";
+import AuthGate from "./components/AuthGate";
 
 export function render() {
   const html = renderToString(
     <StrictMode>
-      <App />
+      <AuthGate>
+        <App />
+      </AuthGate>
     </StrictMode>,
   );
   return { html };
@@ -0,0 +1,35 @@
+// サーバーAPIを呼び出す共通のクライアント
+// エラーは { error: { code, message } } の形で返るので、codeなども付けたErrorにして投げる
+
+// ログインの期限切れ（401）をAuthGateに知らせる
+const unauthorizedListeners = new Set();
+
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+}
+
+export function notifyUnauthorized() {
+  unauthorizedListeners.forEach((listener) => listener());
+}
+
+// ログイン自体の失敗も401になるため、認証APIは notifyOnUnauthorized: false で呼ぶ
+export async function apiRequest(url, { notifyOnUnauthorized = true, ...options } = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    if (response.status === 401 && notifyOnUnauthorized) notifyUnauthorized();
+    const error = new Error(data.error?.message || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = data.error?.code;
+    error.retryAfter = data.error?.retryAfter;
+    error.details = data.error?.details;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,66 @@
+// リモート音声をWeb Audio APIで再生する出力チェーン
+// MediaStreamSource -> Gain -> DynamicsCompressor -> destination
+// 100%を超えるゲインでもコンプレッサーでクリッピングを抑える
+
+export const MIN_OUTPUT_GAIN = 0;
+export const MAX_OUTPUT_GAIN = 3;
+
+export function clampGain(gain) {
+  const value = Number(gain);
+  if (!Number.isFinite(value)) return 1;
+  return Math.min(MAX_OUTPUT_GAIN, Math.max(MIN_OUTPUT_GAIN, value));
+}
+
+export function createAudioOutput(stream, gain = 1) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+
+  const source = context.createMediaStreamSource(stream);
+
+  let currentGain = clampGain(gain);
+  let isMuted = false;
+  const gainNode = context.createGain();
+  gainNode.gain.value = currentGain;
+
+  const compressor = context.createDynamicsCompressor();
+  compressor.threshold.value = -6;
+  compressor.knee.value = 6;
+  compressor.ratio.value = 12;
+  compressor.attack.value = 0.003;
+  compressor.release.value = 0.25;
+
+  source.connect(gainNode);
+  gainNode.connect(compressor);
+  compressor.connect(context.destination);
+
+  return {
+    context,
+    setGain(value) {
+      currentGain = clampGain(value);
+      if (!isMuted) {
+        gainNode.gain.setTargetAtTime(currentGain, context.currentTime, 0.01);
+      }
+    },
+    // 割り込み時は即座に無音にする（ミュート中の音量変更は解除時に反映）
+    setMuted(muted) {
+      isMuted = muted;
+      gainNode.gain.cancelScheduledValues(context.currentTime);
+      if (muted) {
+        gainNode.gain.setValueAtTime(0, context.currentTime);
+      } else {
+        gainNode.gain.setTargetAtTime(currentGain, context.currentTime, 0.01);
+      }
+    },
+    async resume() {
+      if (context.state === "suspended") {
+        await context.resume();
+      }
+    },
+    close() {
+      source.disconnect();
+      gainNode.disconnect();
+      compressor.disconnect();
+      return context.close();
+    },
+  };
+}
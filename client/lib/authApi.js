@@ -0,0 +1,26 @@
+// 認証APIのクライアント
+
+import { apiRequest } from "./apiRequest";
+
+// ログインの期限切れ（401）の通知はapiRequestが行う。AuthGateはここから購読する
+export { onUnauthorized } from "./apiRequest";
+
+function request(url, options = {}) {
+  return apiRequest(url, { ...options, notifyOnUnauthorized: false });
+}
+
+// { mode, user }。未ログインなら user は null
+export function fetchMe() {
+  return request("/auth/me");
+}
+
+export function login(username, password) {
+  return request("/auth/login", {
+    method: "POST",
+    body: JSON.stringify({ username, password }),
+  });
+}
+
+export function logout() {
+  return request("/auth/logout", { method: "POST" });
+}
@@ -0,0 +1,122 @@
+// WebRTC接続の監視と再接続のための補助関数
+
+export const MAX_RECONNECT_ATTEMPTS = 6;
+
+// disconnectedは一時的なことが多いため、この時間回復しなければ切断とみなす
+const DISCONNECT_GRACE_MS = 5000;
+
+export const CONNECTION_STATE_LABELS = {
+  idle: "未接続",
+  connecting: "接続中",
+  connected: "接続済み",
+  reconnecting: "再接続中",
+  failed: "接続失敗",
+};
+
+// 指数バックオフ（1秒, 2秒, 4秒…最大30秒）に±20%のゆらぎを加える
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 30000 } = {}) {
+  const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+}
+
+// PeerConnectionとDataChannelを監視し、回復不能な状態になったらonLostを1回だけ呼ぶ
+// 戻り値の関数で監視を解除する（意図的に閉じる前に必ず解除すること）
+export function superviseConnection(pc, dc, { onStateChange, onLost }) {
+  let graceTimer = null;
+  let isDetached = false;
+
+  const lost = (reason) => {
+    if (isDetached) return;
+    detach();
+    onLost(reason);
+  };
+
+  const handleConnectionState = () => {
+    onStateChange?.({
+      connectionState: pc.connectionState,
+      iceConnectionState: pc.iceConnectionState,
+    });
+
+    if (pc.connectionState === "failed") {
+      lost("peer connection failed");
+    } else if (pc.connectionState === "disconnected") {
+      if (!graceTimer) {
+        graceTimer = setTimeout(() => lost("peer connection disconnected"), DISCONNECT_GRACE_MS);
+      }
+    } else if (graceTimer) {
+      clearTimeout(graceTimer);
+      graceTimer = null;
+    }
+  };
+
+  const handleIceState = () => {
+    onStateChange?.({
+      connectionState: pc.connectionState,
+      iceConnectionState: pc.iceConnectionState,
+    });
+    if (pc.iceConnectionState === "failed") {
+      lost("ICE failed");
+    }
+  };
+
+  const handleChannelClose = () => lost("data channel closed");
+  const handleChannelError = (e) => lost(`data channel error: ${e.error?.message || "unknown"}`);
+
+  pc.addEventListener("connectionstatechange", handleConnectionState);
+  pc.addEventListener("iceconnectionstatechange", handleIceState);
+  dc.addEventListener("close", handleChannelClose);
+  dc.addEventListener("error", handleChannelError);
+
+  function detach() {
+    if (isDetached) return;
+    isDetached = true;
+    clearTimeout(graceTimer);
+    pc.removeEventListener("connectionstatechange", handleConnectionState);
+    pc.removeEventListener("iceconnectionstatechange", handleIceState);
+    dc.removeEventListener("close", handleChannelClose);
+    dc.removeEventListener("error", handleChannelError);
+  }
+
+  return detach;
+}
+
+// getStats()から診断用の指標を取り出す
+// rttMs: 往復遅延, jitterMs: 受信ジッター, packetsLost/packetLossPercent: 受信側の損失
+export async function readConnectionStats(pc) {
+  const report = await pc.getStats();
+  const stats = {
+    rttMs: null,
+    jitterMs: null,
+    packetsLost: null,
+    packetsReceived: null,
+    packetLossPercent: null,
+    bytesReceived: null,
+    bytesSent: null,
+  };
+
+  report.forEach((entry) => {
+    if (entry.type === "candidate-pair" && entry.nominated && entry.state === "succeeded") {
+      if (entry.currentRoundTripTime !== undefined) {
+        stats.rttMs = entry.currentRoundTripTime * 1000;
+      }
+      stats.bytesReceived = entry.bytesReceived ?? stats.bytesReceived;
+      stats.bytesSent = entry.bytesSent ?? stats.bytesSent;
+    }
+    if (entry.type === "inbound-rtp" && entry.kind === "audio") {
+      if (entry.jitter !== undefined) stats.jitterMs = entry.jitter * 1000;
+      stats.packetsLost = entry.packetsLost ?? null;
+      stats.packetsReceived = entry.packetsReceived ?? null;
+    }
+    if (entry.type === "remote-inbound-rtp" && entry.kind === "audio" && stats.rttMs === null) {
+      if (entry.roundTripTime !== undefined) stats.rttMs = entry.roundTripTime * 1000;
+    }
+  });
+
+  if (stats.packetsLost !== null && stats.packetsReceived !== null) {
+    const total = stats.packetsLost + stats.packetsReceived;
+    stats.packetLossPercent = total > 0 ? (stats.packetsLost / total) * 100 : 0;
+  }
+
+  return stats;
+}
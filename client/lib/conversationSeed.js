@@ -0,0 +1,57 @@
+// 過去の会話を新しいセッションに引き継ぐためのconversation.item.createイベントを組み立てる
+
+export const DEFAULT_RESUME_BUDGET = {
+  maxTurns: 20,
+  maxTokens: 2000,
+};
+
+// おおよそのトークン数（英数字は4文字で1トークン、日本語などは1文字1トークンとして数える）
+export function estimateTokens(text) {
+  let ascii = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4) + other;
+}
+
+// 新しいターンから順に予算内に収まる分だけ残す（古いものから切り捨てる）
+export function truncateTurns(turns, { maxTurns, maxTokens } = DEFAULT_RESUME_BUDGET) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (maxTurns > 0 && kept.length >= maxTurns) break;
+    const cost = estimateTokens(turns[i].text);
+    if (maxTokens > 0 && tokens + cost > maxTokens) break;
+    tokens += cost;
+    kept.unshift(turns[i]);
+  }
+
+  return kept;
+}
+
+function toItem(turn) {
+  const isUser = turn.role === "user";
+  return {
+    type: "conversation.item.create",
+    item: {
+      type: "message",
+      role: isUser ? "user" : "assistant",
+      content: [
+        {
+          type: isUser ? "input_text" : "text",
+          text: turn.text,
+        },
+      ],
+    },
+  };
+}
+
+export function buildSeedItems(turns, budget = DEFAULT_RESUME_BUDGET) {
+  const usable = turns.filter(
+    (turn) => (turn.role === "user" || turn.role === "assistant") && turn.text?.trim(),
+  );
+  return truncateTurns(usable, budget).map(toItem);
+}
@@ -0,0 +1,208 @@
+// イベントログの表示用の整形（deltaのまとめ・絞り込み・検索）
+
+export const EVENT_DIRECTIONS = {
+  all: "すべて",
+  client: "client",
+  server: "server",
+};
+
+export const DEFAULT_EVENT_FILTER = { direction: "all", type: "", query: "" };
+
+// event_id が "event_" で始まるのはサーバーが採番したイベント
+export function isClientEvent(event) {
+  return Boolean(event.event_id) && !event.event_id.startsWith("event_");
+}
+
+export function isDeltaEvent(event) {
+  return typeof event.type === "string" && event.type.endsWith(".delta");
+}
+
+// 音声のdelta（base64のPCM）はテキストではなくバイト数で表示する
+function isAudioDelta(event) {
+  return /(^|\.)audio\.delta$/.test(event.type);
+}
+
+function base64ByteLength(value) {
+  const padding = value.endsWith("==") ? 2 : value.endsWith("=") ? 1 : 0;
+  return Math.floor((value.length * 3) / 4) - padding;
+}
+
+// 同じ応答の同じ部分（item_id / content_index）のdeltaを1つのエントリにまとめる
+function deltaGroupKey(event) {
+  return [event.type, event.item_id ?? event.response_id ?? "", event.content_index ?? ""].join(":");
+}
+
+// 長いセッションでもタブが固まらないよう、ログに残すエントリ数の上限（古いものから捨てる）
+// 会話の表示とツールはApp.jsxが別に持つので、ここで捨てても影響しない
+export const MAX_LOG_ENTRIES = 1000;
+
+// まとめたdeltaのうち、生のイベントとして残す件数（先頭から）。件数・テキスト・バイト数は全件分を数える
+// 1つの応答で数百件届く音声のdeltaを、届くたびに全件コピーしないようにするため
+export const MAX_GROUP_EVENTS = 20;
+
+// イベントログの状態
+//   entries … 表示用のエントリ（新しい順）
+//     { key, kind: "event", event }
+//     { key, kind: "deltas", groupKey, type, events, count, text, byteLength, isAudio }
+//       events は古い順で先頭 MAX_GROUP_EVENTS 件まで、count はまとめた全件数
+//   types   … 現れたイベントの種類（種類で絞り込むときの選択肢）
+//   count   … これまでに追加したイベントの件数（捨てた分も含む）
+//   dropped … 上限を超えて捨てたイベントの件数
+export const EMPTY_EVENT_LOG = { entries: [], types: [], count: 0, dropped: 0 };
+
+function addDelta(group, event) {
+  if (typeof event.delta !== "string") return group;
+  return group.isAudio
+    ? { ...group, byteLength: group.byteLength + base64ByteLength(event.delta) }
+    : { ...group, text: group.text + event.delta };
+}
+
+// イベントを1件（古い順に）追加した新しいログを返す。既存のエントリは書き換えない
+// deltaは他のイベントを挟まずに続く間を1つにまとめる
+// （音声と書き起こしのdeltaは交互に届くため、delta同士は間に挟まってもよい）
+export function appendLogEvent(log, event, limit = MAX_LOG_ENTRIES) {
+  const key = event.event_id ?? `index-${log.count}`;
+  let entries;
+
+  if (!isDeltaEvent(event)) {
+    entries = [{ key, kind: "event", event }, ...log.entries];
+  } else {
+    // まとめられるのは、直近の非deltaイベントより新しいグループだけ
+    const groupKey = deltaGroupKey(event);
+    let index = 0;
+    while (index < log.entries.length && log.entries[index].kind === "deltas") {
+      if (log.entries[index].groupKey === groupKey) break;
+      index++;
+    }
+    const open = log.entries[index];
+    if (open?.kind === "deltas" && open.groupKey === groupKey) {
+      const events = open.events.length < MAX_GROUP_EVENTS ? [...open.events, event] : open.events;
+      entries = log.entries.slice();
+      entries[index] = addDelta({ ...open, events, count: open.count + 1 }, event);
+    } else {
+      const group = {
+        key: `deltas-${key}`,
+        kind: "deltas",
+        groupKey,
+        type: event.type,
+        events: [event],
+        count: 1,
+        text: "",
+        byteLength: 0,
+        isAudio: isAudioDelta(event),
+      };
+      entries = [addDelta(group, event), ...log.entries];
+    }
+  }
+
+  let dropped = log.dropped;
+  if (entries.length > limit) {
+    entries.slice(limit).forEach((entry) => {
+      dropped += entryEventCount(entry);
+    });
+    entries = entries.slice(0, limit);
+  }
+
+  const types = log.types.includes(event.type) ? log.types : [...log.types, event.type].sort();
+  return { entries, types, count: log.count + 1, dropped };
+}
+
+// イベントの配列からログをまとめて作る（リプレイ用）。events は新しい順
+// appendLogEvent を1件ずつ呼ぶのと同じ結果を、エントリを複製せずに1回の走査で作る
+export function buildEventLog(events, limit = MAX_LOG_ENTRIES) {
+  const entries = [];
+  const openGroups = new Map();
+  const types = new Set();
+
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    const key = event.event_id ?? `index-${events.length - 1 - i}`;
+    types.add(event.type);
+
+    if (!isDeltaEvent(event)) {
+      openGroups.clear();
+      entries.push({ key, kind: "event", event });
+      continue;
+    }
+
+    const groupKey = deltaGroupKey(event);
+    let group = openGroups.get(groupKey);
+    if (!group) {
+      group = {
+        key: `deltas-${key}`,
+        kind: "deltas",
+        groupKey,
+        type: event.type,
+        events: [],
+        count: 0,
+        text: "",
+        byteLength: 0,
+        isAudio: isAudioDelta(event),
+      };
+      openGroups.set(groupKey, group);
+      entries.push(group);
+    }
+    if (group.events.length < MAX_GROUP_EVENTS) group.events.push(event);
+    group.count++;
+    if (typeof event.delta === "string") {
+      if (group.isAudio) {
+        group.byteLength += base64ByteLength(event.delta);
+      } else {
+        group.text += event.delta;
+      }
+    }
+  }
+
+  const kept = entries.slice(Math.max(0, entries.length - limit)).reverse();
+  const dropped = entries
+    .slice(0, Math.max(0, entries.length - limit))
+    .reduce((sum, entry) => sum + entryEventCount(entry), 0);
+  return { entries: kept, types: [...types].sort(), count: events.length, dropped };
+}
+
+// イベントを表示用のエントリにする（上限なし）。events も戻り値も新しい順
+export function coalesceDeltaEvents(events) {
+  return buildEventLog(events, Infinity).entries;
+}
+
+// エントリに残っている生のイベント。deltaのグループでは先頭 MAX_GROUP_EVENTS 件まで
+export function entryEvents(entry) {
+  return entry.kind === "deltas" ? entry.events : [entry.event];
+}
+
+// エントリにまとめたイベントの件数（残していない分も含む）
+export function entryEventCount(entry) {
+  return entry.kind === "deltas" ? entry.count : 1;
+}
+
+// エントリの先頭のイベント（方向・時刻の表示に使う）
+export function entryFirstEvent(entry) {
+  return entryEvents(entry)[0];
+}
+
+// 検索用の文字列はイベントごとに1回だけ作る
+const searchTextCache = new WeakMap();
+
+function searchText(event) {
+  let text = searchTextCache.get(event);
+  if (text === undefined) {
+    text = JSON.stringify(event).toLowerCase();
+    searchTextCache.set(event, text);
+  }
+  return text;
+}
+
+// 方向・種類・全文検索（ペイロードのJSONとまとめたdeltaのテキスト）で絞り込む
+export function filterLogEntries(entries, { direction = "all", type = "", query = "" } = {}) {
+  const needle = query.trim().toLowerCase();
+  if (direction === "all" && !type && !needle) return entries;
+
+  return entries.filter((entry) => {
+    const first = entryFirstEvent(entry);
+    if (direction !== "all" && (direction === "client") !== isClientEvent(first)) return false;
+    if (type && first.type !== type) return false;
+    if (!needle) return true;
+    if (entry.kind === "deltas" && entry.text.toLowerCase().includes(needle)) return true;
+    return entryEvents(entry).some((event) => searchText(event).includes(needle));
+  });
+}
@@ -0,0 +1,110 @@
+// 保存済みセッションのエクスポート形式（サーバーのエクスポートAPIでも使用）
+import { buildTranscript } from "./transcript.js";
+
+export const EXPORT_FORMATS = {
+  json: { label: "JSON", extension: "json", contentType: "application/json" },
+  md: { label: "Markdown", extension: "md", contentType: "text/markdown" },
+  srt: { label: "SRT", extension: "srt", contentType: "application/x-subrip" },
+  vtt: { label: "WebVTT", extension: "vtt", contentType: "text/vtt" },
+};
+
+const MIN_CUE_MS = 1000;
+
+const SPEAKERS = { user: "User", assistant: "Assistant" };
+
+// 保存イベントは古い順なので、新しい順を前提とするbuildTranscriptに合わせて反転する
+export function transcriptFromStoredEvents(events) {
+  return buildTranscript([...events].reverse()).filter((turn) => turn.text);
+}
+
+// 字幕の0秒地点。最初に記録されたイベントの時刻を優先する
+function sessionOrigin(session, events) {
+  const first = events.find((event) => event.logged_at);
+  if (first) return first.logged_at;
+  return session.startedAt ? Date.parse(session.startedAt) : 0;
+}
+
+function formatClock(ms, separator) {
+  const value = Math.max(0, Math.round(ms));
+  const hours = Math.floor(value / 3600000);
+  const minutes = Math.floor((value % 3600000) / 60000);
+  const seconds = Math.floor((value % 60000) / 1000);
+  const millis = value % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+// 字幕用のキュー。時刻の無いターンは直前のキューの直後に置く
+function buildCues(session, events) {
+  const origin = sessionOrigin(session, events);
+  let cursor = 0;
+
+  return transcriptFromStoredEvents(events).map((turn) => {
+    const start = turn.startedAt !== null ? Math.max(turn.startedAt - origin, cursor) : cursor;
+    const rawEnd = turn.endedAt !== null ? turn.endedAt - origin : start;
+    const end = Math.max(rawEnd, start + MIN_CUE_MS);
+    cursor = end;
+    return { start, end, speaker: SPEAKERS[turn.role] || turn.role, text: turn.text };
+  });
+}
+
+export function toJson(session, events) {
+  return JSON.stringify({ session, events }, null, 2) + "\n";
+}
+
+export function toMarkdown(session, events) {
+  const origin = sessionOrigin(session, events);
+  const lines = [
+    `# Session ${session.startedAt || session.id}`,
+    "",
+    `- id: ${session.id}`,
+    session.model && `- model: ${session.model}`,
+    session.voice && `- voice: ${session.voice}`,
+    session.promptProfile && `- prompt: ${session.promptProfile}`,
+    session.endedAt && `- ended: ${session.endedAt}`,
+    "",
+  ].filter((line) => typeof line === "string");
+
+  transcriptFromStoredEvents(events).forEach((turn) => {
+    const offset = turn.startedAt !== null ? ` [${formatClock(turn.startedAt - origin, ".")}]` : "";
+    const via = turn.source === "spoken" ? "🎤" : "⌨️";
+    lines.push(`**${SPEAKERS[turn.role] || turn.role}** ${via}${offset}`);
+    lines.push("");
+    lines.push(turn.text);
+    lines.push("");
+  });
+
+  return lines.join("\n");
+}
+
+export function toSrt(session, events) {
+  return buildCues(session, events)
+    .map(
+      (cue, index) =>
+        `${index + 1}\n${formatClock(cue.start, ",")} --> ${formatClock(cue.end, ",")}\n${cue.speaker}: ${cue.text}\n`,
+    )
+    .join("\n");
+}
+
+export function toVtt(session, events) {
+  const cues = buildCues(session, events).map(
+    (cue) =>
+      `${formatClock(cue.start, ".")} --> ${formatClock(cue.end, ".")}\n<v ${cue.speaker}>${cue.text}\n`,
+  );
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+export function exportSession(format, session, events) {
+  switch (format) {
+    case "json":
+      return toJson(session, events);
+    case "md":
+      return toMarkdown(session, events);
+    case "srt":
+      return toSrt(session, events);
+    case "vtt":
+      return toVtt(session, events);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
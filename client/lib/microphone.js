@@ -0,0 +1,94 @@
+// マイク入力の取得・デバイス一覧・入力レベル計測
+import { mediaError, SessionError } from "./sessionErrors";
+
+export const DEFAULT_INPUT_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+};
+
+export const INPUT_PROCESSING_LABELS = {
+  echoCancellation: "エコーキャンセル",
+  noiseSuppression: "ノイズ抑制",
+  autoGainControl: "自動ゲイン調整",
+};
+
+// deviceIdが空ならブラウザの既定デバイスを使う
+export function buildAudioConstraints(deviceId, processing = DEFAULT_INPUT_PROCESSING) {
+  const constraints = {};
+  Object.keys(DEFAULT_INPUT_PROCESSING).forEach((key) => {
+    constraints[key] = processing[key] ?? DEFAULT_INPUT_PROCESSING[key];
+  });
+  if (deviceId) {
+    constraints.deviceId = { exact: deviceId };
+  }
+  return constraints;
+}
+
+// 入力デバイスの一覧（ラベルはマイクの許可を得るまで空になる）
+export async function listInputDevices() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "audioinput")
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `マイク ${index + 1}`,
+    }));
+}
+
+// マイクのストリームを取得する
+// 保存されたデバイスが見つからない場合は既定のデバイスで取り直す
+export async function openMicrophone(deviceId, processing) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new SessionError("no_input_device", "getUserMedia is not available");
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: buildAudioConstraints(deviceId, processing),
+    });
+  } catch (error) {
+    const isMissingDevice = error?.name === "OverconstrainedError" || error?.name === "NotFoundError";
+    if (!deviceId || !isMissingDevice) {
+      throw mediaError(error);
+    }
+    console.warn(`⚠️ Input device not found (${deviceId}), falling back to default`);
+    return openMicrophone("", processing);
+  }
+
+  if (stream.getAudioTracks().length === 0) {
+    stream.getTracks().forEach((track) => track.stop());
+    throw new SessionError("no_input_device", "The media stream has no audio track");
+  }
+  return stream;
+}
+
+// 入力レベル（0〜1のRMS）を計測する
+export function createLevelMeter(stream) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+  context.resume().catch(() => {});
+
+  const samples = new Float32Array(analyser.fftSize);
+
+  return {
+    getLevel() {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      return Math.sqrt(sum / samples.length);
+    },
+    close() {
+      source.disconnect();
+      context.close().catch(() => {});
+    },
+  };
+}
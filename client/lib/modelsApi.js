@@ -0,0 +1,7 @@
+// モデル一覧APIのクライアント
+
+import { apiRequest } from "./apiRequest";
+
+export function fetchModels() {
+  return apiRequest("/models");
+}
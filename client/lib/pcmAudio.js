@@ -0,0 +1,162 @@
+// WebSocket中継用のPCM16（24kHz・モノラル）の取り込みと再生
+// WebRTCではブラウザがエンコードするが、中継ではRealtime APIの形式に自前で変換する
+
+export const PCM_SAMPLE_RATE = 24000;
+
+// 100msごとに送る
+const CHUNK_SAMPLES = PCM_SAMPLE_RATE / 10;
+
+// AudioContextのサンプルレートから24kHzに間引き（区間平均で簡易的なローパスを兼ねる）、Int16に変換する
+const CAPTURE_WORKLET = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.ratio = Math.max(1, sampleRate / ${PCM_SAMPLE_RATE});
+    this.position = 0;
+    this.sum = 0;
+    this.count = 0;
+    this.chunk = new Int16Array(${CHUNK_SAMPLES});
+    this.length = 0;
+  }
+
+  push(value) {
+    const sample = Math.max(-1, Math.min(1, value));
+    this.chunk[this.length++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    if (this.length === this.chunk.length) {
+      this.port.postMessage(this.chunk.buffer, [this.chunk.buffer]);
+      this.chunk = new Int16Array(${CHUNK_SAMPLES});
+      this.length = 0;
+    }
+  }
+
+  process(inputs) {
+    const input = inputs[0] && inputs[0][0];
+    if (!input) return true;
+    for (let i = 0; i < input.length; i++) {
+      this.sum += input[i];
+      this.count += 1;
+      this.position += 1;
+      if (this.position >= this.ratio) {
+        this.position -= this.ratio;
+        this.push(this.sum / this.count);
+        this.sum = 0;
+        this.count = 0;
+      }
+    }
+    return true;
+  }
+}
+registerProcessor("pcm-capture", PcmCaptureProcessor);
+`;
+
+function createContext(options) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  return new AudioContextClass(options);
+}
+
+// マイクの音声をPCM16のチャンク（ArrayBuffer）にしてonChunkに渡す
+// Push-to-Talkでトラックが無効な間は無音が送られる（WebRTCと同じ）
+export async function createPcmCapture(stream, onChunk) {
+  const context = createContext();
+  const workletUrl = URL.createObjectURL(new Blob([CAPTURE_WORKLET], { type: "application/javascript" }));
+  try {
+    await context.audioWorklet.addModule(workletUrl);
+  } finally {
+    URL.revokeObjectURL(workletUrl);
+  }
+
+  const node = new AudioWorkletNode(context, "pcm-capture", { numberOfOutputs: 0 });
+  node.port.onmessage = (e) => onChunk(e.data);
+
+  let source = context.createMediaStreamSource(stream);
+  source.connect(node);
+  await context.resume();
+
+  return {
+    // マイクを切り替えたときに入力だけ差し替える
+    setStream(next) {
+      source.disconnect();
+      source = context.createMediaStreamSource(next);
+      source.connect(node);
+    },
+    close() {
+      node.port.onmessage = null;
+      source.disconnect();
+      return context.close();
+    },
+  };
+}
+
+// 受信したPCM16のチャンクを途切れないように順番に再生する
+// 出力はMediaStreamとして取り出し、WebRTCのリモート音声と同じ出力チェーン・録音に流す
+export function createPcmPlayer({ onStart, onStop } = {}) {
+  const context = createContext({ sampleRate: PCM_SAMPLE_RATE });
+  const destination = context.createMediaStreamDestination();
+  const sources = new Set();
+  let playhead = 0;
+  let isPlaying = false;
+
+  function handleEnded(source) {
+    sources.delete(source);
+    if (sources.size === 0 && isPlaying) {
+      isPlaying = false;
+      onStop?.();
+    }
+  }
+
+  function clear() {
+    sources.forEach((source) => {
+      source.onended = null;
+      source.stop();
+      source.disconnect();
+    });
+    sources.clear();
+    playhead = 0;
+    isPlaying = false;
+  }
+
+  return {
+    stream: destination.stream,
+
+    enqueue(arrayBuffer) {
+      const pcm = new Int16Array(arrayBuffer, 0, Math.floor(arrayBuffer.byteLength / 2));
+      if (pcm.length === 0) return;
+
+      const buffer = context.createBuffer(1, pcm.length, PCM_SAMPLE_RATE);
+      const channel = buffer.getChannelData(0);
+      for (let i = 0; i < pcm.length; i++) {
+        channel[i] = pcm[i] / 0x8000;
+      }
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(destination);
+      source.onended = () => handleEnded(source);
+
+      // 再生が途切れていたら少し先から始める（ネットワークの揺らぎを吸収する）
+      playhead = Math.max(playhead, context.currentTime + 0.05);
+      source.start(playhead);
+      playhead += buffer.duration;
+      sources.add(source);
+
+      if (!isPlaying) {
+        isPlaying = true;
+        onStart?.();
+      }
+    },
+
+    // 割り込み時に未再生の音声を捨てる
+    clear,
+
+    async resume() {
+      if (context.state === "suspended") {
+        await context.resume();
+      }
+    },
+
+    close() {
+      clear();
+      return context.close();
+    },
+  };
+}
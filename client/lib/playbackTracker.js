@@ -0,0 +1,71 @@
+// アシスタントの応答と音声再生の状態を追跡する（割り込み時の response.cancel / truncate 用）
+// WebRTCでは音声はトラックで届くため、再生開始は output_audio_buffer.started
+// （届かない場合は最初の音声の書き起こしdelta）の時刻で代用する
+
+const AUDIO_START_EVENTS = ["output_audio_buffer.started", "response.audio_transcript.delta", "response.audio.delta"];
+const AUDIO_STOP_EVENTS = ["output_audio_buffer.stopped", "output_audio_buffer.cleared"];
+
+export function createPlaybackTracker() {
+  let activeResponseId = null;
+  let item = null; // { id, contentIndex, startedAt }
+  let isPlaying = false;
+
+  return {
+    // サーバーイベントを1件ずつ渡す（logged_atはミリ秒の受信時刻）
+    handleEvent(event) {
+      const at = event.logged_at ?? Date.now();
+      switch (event.type) {
+        case "response.created":
+          activeResponseId = event.response?.id ?? null;
+          break;
+        case "response.output_item.added":
+          if (event.item?.type === "message" && event.item.role === "assistant") {
+            item = { id: event.item.id, contentIndex: 0, startedAt: null };
+          }
+          break;
+        case "response.done":
+          if (!event.response?.id || event.response.id === activeResponseId) {
+            activeResponseId = null;
+          }
+          break;
+        default:
+          if (AUDIO_START_EVENTS.includes(event.type)) {
+            if (event.type === "output_audio_buffer.started") isPlaying = true;
+            if (item && item.startedAt === null) item.startedAt = at;
+          } else if (AUDIO_STOP_EVENTS.includes(event.type)) {
+            isPlaying = false;
+            item = null;
+          }
+      }
+    },
+
+    isResponding() {
+      return activeResponseId !== null;
+    },
+
+    isSpeaking() {
+      return activeResponseId !== null || isPlaying;
+    },
+
+    // 割り込みに必要な情報を返して状態をリセットする
+    // audioEndMs はユーザーが実際に聞いた長さ（再生開始からの経過時間）
+    interrupt(now = Date.now()) {
+      const result = {
+        responseId: activeResponseId,
+        itemId: item?.id ?? null,
+        contentIndex: item?.contentIndex ?? 0,
+        audioEndMs: item?.startedAt != null ? Math.max(0, Math.round(now - item.startedAt)) : 0,
+      };
+      activeResponseId = null;
+      item = null;
+      isPlaying = false;
+      return result;
+    },
+
+    reset() {
+      activeResponseId = null;
+      item = null;
+      isPlaying = false;
+    },
+  };
+}
@@ -0,0 +1,26 @@
+// プロンプトプロファイルAPIのクライアント
+
+import { apiRequest } from "./apiRequest";
+
+export async function fetchPromptProfiles() {
+  const data = await apiRequest("/prompts");
+  return data.prompts;
+}
+
+export function createPromptProfile(name, instructions) {
+  return apiRequest("/prompts", {
+    method: "POST",
+    body: JSON.stringify({ name, instructions }),
+  });
+}
+
+export function updatePromptProfile(name, instructions) {
+  return apiRequest(`/prompts/${encodeURIComponent(name)}`, {
+    method: "PUT",
+    body: JSON.stringify({ instructions }),
+  });
+}
+
+export function deletePromptProfile(name) {
+  return apiRequest(`/prompts/${encodeURIComponent(name)}`, { method: "DELETE" });
+}
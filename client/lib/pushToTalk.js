@@ -0,0 +1,79 @@
+// Push-to-Talkの設定とキー操作の判定
+
+// 環境変数からPush-to-Talk制限時間を取得（デフォルト5秒、0で無制限）
+const envTimeLimit = parseInt(import.meta.env.VITE_PUSH_TO_TALK_TIME_LIMIT);
+
+export const PUSH_TO_TALK_MODES = {
+  hold: "押している間だけ話す",
+  toggle: "押すたびに開始/停止",
+};
+
+export const DEFAULT_PUSH_TO_TALK = {
+  code: "Space",
+  mode: "hold",
+  timeLimitMs: Number.isFinite(envTimeLimit) && envTimeLimit >= 0 ? envTimeLimit : 5000,
+};
+
+// これより短い発話は誤操作とみなし、送信せずに破棄する
+export const MIN_UTTERANCE_MS = 200;
+
+const NON_TEXT_INPUT_TYPES = ["button", "checkbox", "color", "file", "image", "radio", "range", "reset", "submit"];
+
+// 文字入力中のキーはPush-to-Talkとして扱わない
+export function isTextInputTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName.toLowerCase();
+  if (tag === "textarea" || tag === "select") return true;
+  if (tag === "input") {
+    return !NON_TEXT_INPUT_TYPES.includes((target.type || "text").toLowerCase());
+  }
+  return false;
+}
+
+// 割り当てられないキー（設定の取り消しや修飾キー単体）
+export function isBindableKey(code) {
+  return Boolean(code) && code !== "Escape" && !/^(Shift|Control|Alt|Meta)(Left|Right)$/.test(code);
+}
+
+// KeyboardEvent.code を表示用の名前にする
+export function formatKeyCode(code) {
+  if (!code) return "-";
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code === "Space") return "スペース";
+  return code;
+}
+
+export function normalizePushToTalk(settings) {
+  return { ...DEFAULT_PUSH_TO_TALK, ...settings };
+}
+
+// キー操作をPush-to-Talkの操作にする。"start" / "stop"、対象外のキーならnull
+// event は { type: "keydown" | "keyup", code, repeat, target }
+export function getPushToTalkAction(event, { code, mode }, isRecording) {
+  if (event.code !== code) return null;
+
+  if (event.type === "keydown") {
+    if (event.repeat) return null;
+    // テキスト入力中のスペースなどは録音操作として扱わない
+    if (isTextInputTarget(event.target)) return null;
+    if (mode === "toggle" && isRecording) return "stop";
+    return isRecording ? null : "start";
+  }
+
+  if (event.type === "keyup" && mode === "hold" && isRecording) {
+    return "stop";
+  }
+  return null;
+}
+
+// 録音を止めたときに送るクライアントイベント
+// 短すぎる発話は誤操作とみなして破棄する（空のバッファをcommitするとエラーになる）
+export function buildRecordingStopEvents(durationMs) {
+  if (durationMs < MIN_UTTERANCE_MS) {
+    return [{ type: "input_audio_buffer.clear" }];
+  }
+  // 録音した音声を1つの発話として確定し、レスポンス生成を要求する
+  return [{ type: "input_audio_buffer.commit" }, { type: "response.create" }];
+}
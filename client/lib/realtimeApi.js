@@ -0,0 +1,7 @@
+// 接続方式とモックの状態を取得するAPIのクライアント
+
+import { apiRequest } from "./apiRequest";
+
+export function fetchRealtimeConfig() {
+  return apiRequest("/realtime");
+}
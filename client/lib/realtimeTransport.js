@@ -0,0 +1,305 @@
+// Realtime APIとの接続方式（トランスポート）
+//   webrtc … ブラウザからapi.openai.comへ直接WebRTCで接続する（/token のエフェメラルキーを使う）
+//   relay  … サーバーのWebSocket中継（/relay）経由で接続する（WebRTC/UDPが通らないネットワーク向け）
+// どちらも同じ形のオブジェクトを返し、App.jsxは接続方式を意識せずにイベントを送受信できる:
+//   connect() / send(event) / isOpen() / replaceMicStream(stream) / getStats() / close()
+//   addEventListener("open" | "message") … messageのdataはサーバーイベントのJSON文字列
+
+import { notifyUnauthorized } from "./apiRequest";
+import { readConnectionStats, superviseConnection } from "./connectionSupervisor";
+import { createPcmCapture, createPcmPlayer } from "./pcmAudio";
+import { SessionError, tokenError } from "./sessionErrors";
+
+export const TRANSPORTS = ["webrtc", "relay"];
+
+export const TRANSPORT_LABELS = {
+  webrtc: "WebRTC（直接接続）",
+  relay: "WebSocket中継（サーバー経由）",
+};
+
+export const DEFAULT_TRANSPORT = "webrtc";
+
+export const RELAY_PATH = "/relay";
+
+const EMPTY_STATS = {
+  rttMs: null,
+  jitterMs: null,
+  packetsLost: null,
+  packetsReceived: null,
+  packetLossPercent: null,
+  bytesReceived: null,
+  bytesSent: null,
+};
+
+function emitMessage(target, event) {
+  target.dispatchEvent(new MessageEvent("message", { data: JSON.stringify(event) }));
+}
+
+function baseTransport(kind, target) {
+  return {
+    kind,
+    model: null,
+    addEventListener: (type, listener) => target.addEventListener(type, listener),
+    removeEventListener: (type, listener) => target.removeEventListener(type, listener),
+  };
+}
+
+// options:
+//   model / voice / prompt … セッションの設定（modelが空ならサーバーの既定）
+//   micStream      … マイクのストリーム（テキストのみのセッションではnull）
+//   onRemoteStream … モデルの音声のMediaStreamを受け取る（nullなら音声を受け取らない）
+//   onStateChange  … 診断表示用の接続状態 { connectionState, iceConnectionState }
+//   onLost         … 接続が回復不能になったときに理由を渡して1回だけ呼ばれる
+export function createTransport(kind, options) {
+  return kind === "relay" ? createRelayTransport(options) : createWebRTCTransport(options);
+}
+
+// /token からエフェメラルキーを取得する
+async function requestSessionToken({ model, voice, prompt }) {
+  const params = new URLSearchParams({ voice, prompt });
+  if (model) {
+    params.set("model", model);
+  }
+  const response = await fetch(`/token?${params}`).catch((error) => {
+    throw new SessionError("network_error", error.message, { cause: error });
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.client_secret?.value) {
+    if (response.status === 401) notifyUnauthorized();
+    throw tokenError(response.status, data);
+  }
+  return data;
+}
+
+function createWebRTCTransport({ model, voice, prompt, micStream, onRemoteStream, onStateChange, onLost }) {
+  const target = new EventTarget();
+  const transport = baseTransport("webrtc", target);
+  let pc = null;
+  let dc = null;
+  let stopSupervising = null;
+
+  transport.connect = async () => {
+    const data = await requestSessionToken({ model, voice, prompt });
+    const EPHEMERAL_KEY = data.client_secret.value;
+    // トークンを発行したモデルでSDPを送る（サーバーとクライアントでモデルがずれないように）
+    transport.model = data.model || model;
+
+    // Create a peer connection
+    pc = new RTCPeerConnection();
+
+    if (onRemoteStream) {
+      pc.ontrack = (e) => onRemoteStream(e.streams[0]);
+    }
+    if (micStream) {
+      // Add local audio track for microphone input in the browser
+      pc.addTrack(micStream.getAudioTracks()[0], micStream);
+    } else {
+      // テキストのみ: SDPには受信専用の音声を残す（modalitiesがtextなので音声は届かない）
+      pc.addTransceiver("audio", { direction: "recvonly" });
+    }
+
+    // Set up data channel for sending and receiving events
+    dc = pc.createDataChannel("oai-events");
+    dc.addEventListener("open", () => target.dispatchEvent(new Event("open")));
+    dc.addEventListener("message", (e) => target.dispatchEvent(new MessageEvent("message", { data: e.data })));
+
+    // 接続状態を監視し、切断されたら知らせる
+    stopSupervising = superviseConnection(pc, dc, { onStateChange, onLost });
+
+    // Start the session using the Session Description Protocol (SDP)
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    const baseUrl = "https://api.openai.com/v1/realtime";
+    const sdpResponse = await fetch(`${baseUrl}?model=${encodeURIComponent(transport.model)}`, {
+      method: "POST",
+      body: offer.sdp,
+      headers: {
+        Authorization: `Bearer ${EPHEMERAL_KEY}`,
+        "Content-Type": "application/sdp",
+      },
+    }).catch((error) => {
+      throw new SessionError("network_error", error.message, { cause: error });
+    });
+
+    const sdp = await sdpResponse.text();
+    if (!sdpResponse.ok) {
+      throw new SessionError("sdp_rejected", `${sdpResponse.status}: ${sdp.slice(0, 200)}`, {
+        status: sdpResponse.status,
+        retryable: sdpResponse.status >= 500 || sdpResponse.status === 429,
+      });
+    }
+
+    try {
+      await pc.setRemoteDescription({ type: "answer", sdp });
+    } catch (error) {
+      throw new SessionError("sdp_rejected", error.message, { cause: error });
+    }
+  };
+
+  transport.isOpen = () => dc?.readyState === "open";
+
+  transport.send = (event) => {
+    dc.send(JSON.stringify(event));
+  };
+
+  // PeerConnectionは張り直さずreplaceTrackで入れ替える
+  transport.replaceMicStream = async (stream) => {
+    const sender = pc?.getSenders().find((s) => s.track?.kind === "audio");
+    if (sender) {
+      await sender.replaceTrack(stream.getAudioTracks()[0]);
+    }
+  };
+
+  transport.getStats = () => (pc ? readConnectionStats(pc) : Promise.resolve(EMPTY_STATS));
+
+  transport.close = () => {
+    stopSupervising?.();
+    stopSupervising = null;
+    dc?.close();
+    pc?.close();
+    dc = null;
+    pc = null;
+  };
+
+  return transport;
+}
+
+// 中継サーバーが接続前に閉じたときのクローズコード（4000 + HTTPステータス、理由はエラーコード）を分類する
+function relayCloseError(event) {
+  if (event.code >= 4000 && event.code < 5000) {
+    return tokenError(event.code - 4000, { error: { code: event.reason, message: event.reason } });
+  }
+  return new SessionError("network_error", `WebSocket relay closed (${event.code})`);
+}
+
+function createRelayTransport({ model, voice, prompt, micStream, onRemoteStream, onStateChange, onLost }) {
+  const target = new EventTarget();
+  const transport = baseTransport("relay", target);
+  const stats = { ...EMPTY_STATS, bytesReceived: 0, bytesSent: 0 };
+  let ws = null;
+  let currentMicStream = micStream;
+  let capture = null;
+  let player = null;
+  let isReady = false;
+  let isClosed = false;
+
+  function reportState(connectionState) {
+    onStateChange?.({ connectionState, iceConnectionState: null });
+  }
+
+  // 中継では output_audio_buffer.* がサーバーから届かないため、ローカルの再生状態から作る
+  // （WebRTCと同じイベントで割り込みや発話中の表示が動くように）
+  function startAudio() {
+    if (onRemoteStream) {
+      player = createPcmPlayer({
+        onStart: () => emitMessage(target, { type: "output_audio_buffer.started" }),
+        onStop: () => emitMessage(target, { type: "output_audio_buffer.stopped" }),
+      });
+      player.resume();
+      onRemoteStream(player.stream);
+    }
+    if (currentMicStream) {
+      const initialStream = currentMicStream;
+      createPcmCapture(initialStream, (chunk) => {
+        if (ws?.readyState !== WebSocket.OPEN) return;
+        ws.send(chunk);
+        stats.bytesSent += chunk.byteLength;
+      })
+        .then((created) => {
+          if (isClosed) {
+            created.close();
+            return;
+          }
+          capture = created;
+          // 取り込みの準備中にマイクが切り替わっていたら合わせる
+          if (currentMicStream !== initialStream) capture.setStream(currentMicStream);
+        })
+        .catch((error) => {
+          console.error("❌ Failed to start audio capture:", error);
+          onLost?.(`audio capture failed: ${error.message}`);
+        });
+    }
+  }
+
+  transport.connect = () =>
+    new Promise((resolve, reject) => {
+      const params = new URLSearchParams({ voice, prompt });
+      if (model) {
+        params.set("model", model);
+      }
+      const url = new URL(`${RELAY_PATH}?${params}`, window.location.href);
+      url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+
+      ws = new WebSocket(url);
+      ws.binaryType = "arraybuffer";
+      reportState("connecting");
+
+      ws.addEventListener("message", (e) => {
+        if (typeof e.data !== "string") {
+          // モデルの音声（PCM16）はバイナリで届く
+          stats.bytesReceived += e.data.byteLength;
+          player?.enqueue(e.data);
+          return;
+        }
+        stats.bytesReceived += e.data.length;
+
+        if (!isReady) {
+          // 最初のメッセージは中継の準備完了通知（上流への接続が済んだ）
+          const message = JSON.parse(e.data);
+          if (message.type !== "relay.ready") return;
+          isReady = true;
+          transport.model = message.model || model;
+          reportState("connected");
+          startAudio();
+          resolve();
+          target.dispatchEvent(new Event("open"));
+          return;
+        }
+        target.dispatchEvent(new MessageEvent("message", { data: e.data }));
+      });
+
+      ws.addEventListener("close", (e) => {
+        reportState("closed");
+        if (isClosed) return;
+        if (!isReady) {
+          reject(relayCloseError(e));
+        } else {
+          onLost?.(`relay closed (${e.code}${e.reason ? `: ${e.reason}` : ""})`);
+        }
+      });
+    });
+
+  transport.isOpen = () => isReady && ws?.readyState === WebSocket.OPEN;
+
+  transport.send = (event) => {
+    // 再生はブラウザ側で行っているため、出力バッファのクリアはローカルで処理する
+    if (event.type === "output_audio_buffer.clear") {
+      player?.clear();
+      emitMessage(target, { type: "output_audio_buffer.cleared" });
+      return;
+    }
+    const data = JSON.stringify(event);
+    ws.send(data);
+    stats.bytesSent += data.length;
+  };
+
+  transport.replaceMicStream = async (stream) => {
+    currentMicStream = stream;
+    capture?.setStream(stream);
+  };
+
+  transport.getStats = async () => ({ ...stats });
+
+  transport.close = () => {
+    isClosed = true;
+    capture?.close();
+    player?.close();
+    ws?.close(1000);
+    capture = null;
+    player = null;
+    ws = null;
+  };
+
+  return transport;
+}
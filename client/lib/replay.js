@@ -0,0 +1,175 @@
+// 保存済みのイベントログを読み込み、任意の時点の画面の状態を組み立てる（リプレイ）
+// ライブのセッションと同じ関数（書き起こし・使用量・再生状態）に同じイベントを流して再現する
+
+import { isToolEvent } from "../tools";
+import { appendLogEvent, EMPTY_EVENT_LOG, isClientEvent } from "./eventLog";
+import { createPlaybackTracker } from "./playbackTracker";
+import { createTranscriptBuilder } from "./transcript";
+import { addUsage, EMPTY_USAGE, extractUsage } from "./usage";
+
+function isEventObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value) && typeof value.type === "string";
+}
+
+// 読み込めるログの形式:
+//   { session, events }  … 会話履歴のJSONエクスポート、GET /sessions/:id
+//   [ event, ... ]       … イベントの配列
+//   1行1イベントのJSONL  … data/sessions/<id>/events.jsonl
+// events は古い順で返す。形式が違う場合は例外を投げる
+export function parseEventLog(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    try {
+      data = text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch {
+      throw new Error("JSONまたはJSONLとして読み込めません");
+    }
+  }
+
+  const session = Array.isArray(data) ? null : data?.session ?? null;
+  const events = Array.isArray(data) ? data : data?.events;
+  if (!Array.isArray(events)) {
+    throw new Error("イベントの配列が見つかりません（{ session, events } かイベントの配列を指定してください）");
+  }
+  const invalid = events.findIndex((event) => !isEventObject(event));
+  if (invalid !== -1) {
+    throw new Error(`${invalid + 1}件目がイベントではありません（type がありません）`);
+  }
+  return { session, events };
+}
+
+// 読み込んだログを流して、任意のstepの状態を返す
+// 直前に返したstepから差分のイベントだけを流すので、再生中は1件ずつの処理で済む
+// 前に戻るときだけ最初から流し直す（書き起こしと再生状態は途中の状態を複製できないため）
+//
+// stateAt(step) … step件目までのイベントを流したときの状態（同じstepなら同じオブジェクト）
+//   eventLog           … EventLog に渡すログ
+//   turns              … Transcript に渡す会話のターン
+//   toolEvents         … ToolPanel に渡すツールのイベント（新しい順）
+//   serverSession      … 最後に届いた session.created / session.updated の内容
+//   sessionUsage       … UsagePanel に渡す使用量
+//   isAssistantSpeaking
+export function createReplayer(events, session = null) {
+  let played;
+  let eventLog;
+  let transcriptBuilder;
+  let turns;
+  let toolEvents;
+  let tracker;
+  let serverSession;
+  let usage;
+  let responses;
+  let state;
+
+  function reset() {
+    played = 0;
+    eventLog = EMPTY_EVENT_LOG;
+    transcriptBuilder = createTranscriptBuilder();
+    turns = [];
+    toolEvents = [];
+    tracker = createPlaybackTracker();
+    serverSession = null;
+    usage = EMPTY_USAGE;
+    responses = [];
+    state = null;
+  }
+
+  // App.jsxの appendEvent と同じく、ログ・会話・ツールには全イベントを流す
+  function play(event) {
+    eventLog = appendLogEvent(eventLog, event);
+    if (transcriptBuilder.add(event)) {
+      turns = transcriptBuilder.turns();
+    }
+    if (isToolEvent(event)) {
+      toolEvents = [event, ...toolEvents];
+    }
+
+    // App.jsxと同じく、サーバーイベントだけを状態の追跡に使う
+    if (isClientEvent(event)) return;
+
+    if (event.type === "session.created" || event.type === "session.updated") {
+      serverSession = event.session;
+    }
+    if (event.type === "response.done") {
+      const responseUsage = extractUsage(event);
+      if (responseUsage) {
+        usage = addUsage(usage, responseUsage);
+        const response = { id: event.response.id || event.event_id, usage: responseUsage, at: event.logged_at };
+        responses = [response, ...responses];
+      }
+    }
+    tracker.handleEvent(event);
+  }
+
+  reset();
+
+  return {
+    stateAt(step) {
+      const target = Math.max(0, Math.min(events.length, step));
+      if (target < played) reset();
+      if (state && target === played) return state;
+
+      while (played < target) {
+        play(events[played]);
+        played++;
+      }
+      state = {
+        eventLog,
+        turns,
+        toolEvents,
+        serverSession,
+        sessionUsage: { model: session?.model ?? null, usage, responses },
+        isAssistantSpeaking: tracker.isSpeaking(),
+      };
+      return state;
+    },
+  };
+}
+
+// step件目までのイベントを流したときの状態（1回だけ求める場合）
+export function buildReplayState(events, step, session = null) {
+  return createReplayer(events, session).stateAt(step);
+}
+
+export const MARKER_KINDS = {
+  user: { label: "ユーザー", color: "bg-blue-500" },
+  assistant: { label: "応答", color: "bg-green-500" },
+  tool: { label: "ツール", color: "bg-purple-500" },
+  error: { label: "エラー", color: "bg-red-500" },
+};
+
+function markerKind(event) {
+  if (event.type === "error") return "error";
+  if (event.type === "input_audio_buffer.committed") return "user";
+  if (event.type === "conversation.item.create" && event.item?.role === "user") return "user";
+  if (event.type === "response.done") {
+    return event.response?.output?.some((item) => item.type === "function_call") ? "tool" : "assistant";
+  }
+  return null;
+}
+
+// タイムライン上の目印（ユーザーの発話・応答の完了・関数呼び出し・エラー）
+// step は目印のイベントを流し終えた時点（そのイベントまでを表示する件数）
+export function buildTimelineMarkers(events) {
+  return events.flatMap((event, index) => {
+    const kind = markerKind(event);
+    return kind ? [{ step: index + 1, kind, type: event.type }] : [];
+  });
+}
+
+// 最初のイベントからの経過時間（ミリ秒）。記録時刻の無いログではnull
+// 再生中は毎回呼ばれるので、ログ全体をコピーせずstepから遡って探す
+export function elapsedAt(events, step) {
+  const first = events.find((event) => typeof event.logged_at === "number");
+  let current = null;
+  for (let i = Math.min(step, events.length) - 1; i >= 0 && !current; i--) {
+    if (typeof events[i].logged_at === "number") current = events[i];
+  }
+  if (!first || !current) return null;
+  return current.logged_at - first.logged_at;
+}
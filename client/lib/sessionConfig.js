@@ -0,0 +1,189 @@
+// session.update で送るセッション設定のモデル
+// クライアントではフラットな設定値を持ち、サーバーが session.created / session.updated で
+// 報告したセッションとの差分だけを送る。ターン検出とツールはそれぞれのパネルが送る。
+
+export const AUDIO_FORMATS = ["pcm16", "g711_ulaw", "g711_alaw"];
+
+export const TRANSCRIPTION_MODELS = ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"];
+
+export const TEMPERATURE_RANGE = { min: 0.6, max: 1.2, step: 0.05 };
+
+export const MAX_OUTPUT_TOKENS_LIMIT = 4096;
+
+export const DEFAULT_SESSION_CONFIG = {
+  instructions: null, // nullならプロンプトプロファイル（/token）の内容のまま
+  modalities: "audio",
+  temperature: 0.8,
+  maxResponseOutputTokens: "inf",
+  inputAudioFormat: "pcm16",
+  outputAudioFormat: "pcm16",
+  transcriptionModel: "whisper-1",
+  transcriptionLanguage: "",
+  noiseReduction: "off",
+  toolChoice: "auto",
+};
+
+export const SESSION_CONFIG_OPTIONS = {
+  modalities: { audio: "音声＋テキスト", text: "テキストのみ" },
+  noiseReduction: { off: "なし", near_field: "近距離（ヘッドセット）", far_field: "遠距離（会議用マイク）" },
+  toolChoice: { auto: "自動", none: "使わない", required: "必ず使う" },
+};
+
+function sameList(a, b) {
+  return JSON.stringify([...(a || [])].sort()) === JSON.stringify([...(b || [])].sort());
+}
+
+// 各フィールドの session 上のキー、サーバーの値の読み取り方、送る値の組み立て方
+// transcriptionModel と transcriptionLanguage は同じ input_audio_transcription にまとめて送る
+export const SESSION_CONFIG_FIELDS = [
+  {
+    key: "instructions",
+    label: "instructions",
+    sessionKey: "instructions",
+    read: (session) => session.instructions ?? null,
+    build: (config) => config.instructions,
+    isUnset: (config) => config.instructions === null,
+  },
+  {
+    key: "modalities",
+    label: "応答の形式",
+    sessionKey: "modalities",
+    read: (session) => (sameList(session.modalities, ["text"]) ? "text" : "audio"),
+    build: (config) => (config.modalities === "text" ? ["text"] : ["audio", "text"]),
+  },
+  {
+    key: "temperature",
+    label: "temperature",
+    sessionKey: "temperature",
+    read: (session) => session.temperature,
+    build: (config) => config.temperature,
+  },
+  {
+    key: "maxResponseOutputTokens",
+    label: "最大出力トークン",
+    sessionKey: "max_response_output_tokens",
+    read: (session) => session.max_response_output_tokens ?? "inf",
+    build: (config) => config.maxResponseOutputTokens,
+  },
+  {
+    key: "inputAudioFormat",
+    label: "入力音声フォーマット",
+    sessionKey: "input_audio_format",
+    read: (session) => session.input_audio_format,
+    build: (config) => config.inputAudioFormat,
+  },
+  {
+    key: "outputAudioFormat",
+    label: "出力音声フォーマット",
+    sessionKey: "output_audio_format",
+    read: (session) => session.output_audio_format,
+    build: (config) => config.outputAudioFormat,
+  },
+  {
+    key: "transcriptionModel",
+    label: "書き起こしモデル",
+    sessionKey: "input_audio_transcription",
+    read: (session) => session.input_audio_transcription?.model ?? "",
+    build: buildTranscription,
+  },
+  {
+    key: "transcriptionLanguage",
+    label: "書き起こし言語",
+    sessionKey: "input_audio_transcription",
+    read: (session) => session.input_audio_transcription?.language ?? "",
+    build: buildTranscription,
+  },
+  {
+    key: "noiseReduction",
+    label: "ノイズ低減",
+    sessionKey: "input_audio_noise_reduction",
+    read: (session) => session.input_audio_noise_reduction?.type ?? "off",
+    build: (config) => (config.noiseReduction === "off" ? null : { type: config.noiseReduction }),
+  },
+  {
+    key: "toolChoice",
+    label: "tool_choice",
+    sessionKey: "tool_choice",
+    read: (session) => (typeof session.tool_choice === "string" ? session.tool_choice : "auto"),
+    build: (config) => config.toolChoice,
+  },
+];
+
+function buildTranscription(config) {
+  if (!config.transcriptionModel) return null;
+  return {
+    model: config.transcriptionModel,
+    ...(config.transcriptionLanguage ? { language: config.transcriptionLanguage } : {}),
+  };
+}
+
+export function normalizeSessionConfig(config) {
+  return { ...DEFAULT_SESSION_CONFIG, ...config };
+}
+
+// 設定の妥当性を確認してエラーメッセージの配列を返す
+export function validateSessionConfig(config) {
+  const errors = [];
+  const { min, max } = TEMPERATURE_RANGE;
+  if (typeof config.temperature !== "number" || config.temperature < min || config.temperature > max) {
+    errors.push(`temperature は ${min}〜${max} の範囲で指定してください`);
+  }
+  const tokens = config.maxResponseOutputTokens;
+  if (tokens !== "inf" && (!Number.isInteger(tokens) || tokens < 1 || tokens > MAX_OUTPUT_TOKENS_LIMIT)) {
+    errors.push(`最大出力トークンは 1〜${MAX_OUTPUT_TOKENS_LIMIT} の整数か inf を指定してください`);
+  }
+  if (!AUDIO_FORMATS.includes(config.inputAudioFormat) || !AUDIO_FORMATS.includes(config.outputAudioFormat)) {
+    errors.push(`音声フォーマットは ${AUDIO_FORMATS.join(" / ")} のいずれかを指定してください`);
+  }
+  if (config.transcriptionModel && !TRANSCRIPTION_MODELS.includes(config.transcriptionModel)) {
+    errors.push(`未対応の書き起こしモデルです: ${config.transcriptionModel}`);
+  }
+  if (config.transcriptionLanguage && !/^[a-z]{2,3}$/.test(config.transcriptionLanguage)) {
+    errors.push("書き起こし言語は ISO-639-1 の言語コード（ja, en など）で指定してください");
+  }
+  if (config.instructions !== null && typeof config.instructions !== "string") {
+    errors.push("instructions は文字列で指定してください");
+  }
+  Object.entries(SESSION_CONFIG_OPTIONS).forEach(([key, options]) => {
+    if (!Object.hasOwn(options, config[key])) {
+      errors.push(`${key} の値が不正です: ${config[key]}`);
+    }
+  });
+  return errors;
+}
+
+// サーバーのセッションとの差分
+// rows: 表示用（フィールドごと） / changes: session.update の session に入れる値
+export function diffSessionConfig(config, serverSession) {
+  const rows = SESSION_CONFIG_FIELDS.filter((field) => !field.isUnset?.(config)).map((field) => {
+    const server = serverSession ? field.read(serverSession) : undefined;
+    const desired = config[field.key];
+    return {
+      key: field.key,
+      label: field.label,
+      server,
+      desired,
+      changed: !serverSession || JSON.stringify(server) !== JSON.stringify(desired),
+    };
+  });
+
+  const changes = {};
+  rows
+    .filter((row) => row.changed)
+    .forEach((row) => {
+      const field = SESSION_CONFIG_FIELDS.find((f) => f.key === row.key);
+      changes[field.sessionKey] = field.build(config);
+    });
+
+  return { rows, changes };
+}
+
+// サーバーのセッションの値を設定に取り込む（instructionsはプロファイルのまま）
+export function configFromSession(serverSession, config) {
+  const next = { ...config };
+  SESSION_CONFIG_FIELDS.forEach((field) => {
+    if (field.isUnset?.(config)) return;
+    next[field.key] = field.read(serverSession);
+  });
+  return next;
+}
@@ -0,0 +1,148 @@
+// セッション開始・接続時のエラー
+// codeごとにユーザー向けのメッセージと再試行の可否を持つ
+
+export const SESSION_ERROR_MESSAGES = {
+  missing_api_key: {
+    title: "APIキーが設定されていません",
+    hint: "サーバーの .env に OPENAI_API_KEY を設定して再起動してください。",
+  },
+  unsupported_model: {
+    title: "このモデルは使用できません",
+    hint: "ヘッダーで別のモデルを選ぶか、サーバーの OPENAI_ALLOWED_MODELS を確認してください。",
+  },
+  unsupported_voice: {
+    title: "この音声は使用できません",
+    hint: "「音声設定」で別の音声を選んでください。",
+  },
+  unauthorized: {
+    title: "ログインが必要です",
+    hint: "ログインの有効期限が切れた可能性があります。ページを再読み込みしてログインし直してください。",
+  },
+  rate_limited: {
+    title: "トークンの発行回数が上限に達しました",
+    hint: "しばらく待ってから再試行してください。",
+  },
+  upstream_error: {
+    title: "OpenAI APIがエラーを返しました",
+    hint: "しばらく待ってから再試行してください。",
+  },
+  network_error: {
+    title: "サーバーに接続できません",
+    hint: "ネットワーク接続とサーバーの起動状態を確認してください。",
+  },
+  mic_permission_denied: {
+    title: "マイクの使用が許可されていません",
+    hint: "ブラウザのアドレスバーからマイクへのアクセスを許可して再試行してください。",
+  },
+  no_input_device: {
+    title: "マイクが見つかりません",
+    hint: "マイクを接続してから再試行してください。",
+  },
+  mic_unavailable: {
+    title: "マイクを使用できません",
+    hint: "他のアプリがマイクを使用していないか確認してください。",
+  },
+  sdp_rejected: {
+    title: "接続のネゴシエーションに失敗しました",
+    hint: "トークンの期限切れやモデル名の誤りが考えられます。再試行してください。",
+  },
+  budget_exceeded: {
+    title: "予算の上限に達したため切断しました",
+    hint: "右パネルの「使用量と料金」で上限を見直してから新しいセッションを開始してください。",
+  },
+  reconnect_failed: {
+    title: "接続が切れ、再接続できませんでした",
+    hint: "ネットワークを確認して再試行してください。",
+  },
+  unknown: {
+    title: "セッションを開始できませんでした",
+    hint: "再試行してください。問題が続く場合はコンソールのログを確認してください。",
+  },
+};
+
+export class SessionError extends Error {
+  constructor(code, message, { status = null, retryable = true, cause } = {}) {
+    super(message);
+    this.name = "SessionError";
+    this.code = SESSION_ERROR_MESSAGES[code] ? code : "unknown";
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+export function toSessionError(error) {
+  if (error instanceof SessionError) return error;
+  return new SessionError("unknown", error?.message || String(error), { cause: error });
+}
+
+// エラーレスポンスの本文からメッセージを取り出す（{ error: "..." } と { error: { message } } の両方に対応）
+function errorMessage(body, fallback) {
+  if (typeof body?.error === "string") return body.error;
+  return body?.error?.message || fallback;
+}
+
+// /token の失敗レスポンスを分類する
+export function tokenError(status, body) {
+  if (body?.error?.code === "missing_api_key") {
+    return new SessionError("missing_api_key", errorMessage(body, "API key is missing"), {
+      status,
+      retryable: false,
+    });
+  }
+  if (body?.error?.code === "unsupported_model") {
+    return new SessionError("unsupported_model", errorMessage(body, "Unsupported model"), {
+      status,
+      retryable: false,
+    });
+  }
+  if (body?.error?.code === "unsupported_voice") {
+    return new SessionError("unsupported_voice", errorMessage(body, "Unsupported voice"), {
+      status,
+      retryable: false,
+    });
+  }
+  if (status === 401 && body?.error?.code === "unauthorized") {
+    return new SessionError("unauthorized", errorMessage(body, "Login required"), {
+      status,
+      retryable: false,
+    });
+  }
+  if (status === 429 && body?.error?.code === "rate_limited") {
+    const retryAfter = body.error.retryAfter;
+    return new SessionError(
+      "rate_limited",
+      `${errorMessage(body, "Too many requests")}${retryAfter ? ` (retry after ${retryAfter}s)` : ""}`,
+      { status },
+    );
+  }
+  if (status === 502 && body?.error?.code === "upstream_unreachable") {
+    return new SessionError("network_error", errorMessage(body, "OpenAI API is unreachable"), {
+      status,
+    });
+  }
+  // 4xxは429（レート制限）以外は再試行しても結果が変わらない
+  const retryable = status >= 500 || status === 429;
+  return new SessionError(
+    "upstream_error",
+    `${status}: ${errorMessage(body, "Failed to create session token")}`,
+    { status, retryable },
+  );
+}
+
+// getUserMediaの例外を分類する
+export function mediaError(error) {
+  switch (error?.name) {
+    case "NotAllowedError":
+    case "SecurityError":
+      return new SessionError("mic_permission_denied", error.message, { cause: error });
+    case "NotFoundError":
+    case "OverconstrainedError":
+      return new SessionError("no_input_device", error.message, { cause: error });
+    case "NotReadableError":
+    case "AbortError":
+      return new SessionError("mic_unavailable", error.message, { cause: error });
+    default:
+      return new SessionError("unknown", error?.message || String(error), { cause: error });
+  }
+}
@@ -0,0 +1,110 @@
+// セッション音声の録音（マイク・モデル出力・ミックスの3トラック）
+// 3つのMediaRecorderを同時に開始するため、すべてのステムの0秒地点は startedAt で揃う。
+// モデル出力のトラックは後から届くので、届くまでは無音として録音される。
+
+export const RECORDING_STEMS = ["mic", "model", "mix"];
+
+const MIME_CANDIDATES = [
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+];
+
+function pickMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return MIME_CANDIDATES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+export function isRecordingSupported() {
+  return pickMimeType() !== null;
+}
+
+function recordStream(stream, mimeType) {
+  const chunks = [];
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = () => {
+      resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || "audio/webm" }));
+    };
+  });
+  recorder.start(1000);
+  return { recorder, stopped };
+}
+
+export function createSessionRecorder(micStream) {
+  const mimeType = pickMimeType();
+  if (mimeType === null) {
+    throw new Error("MediaRecorder is not supported in this browser");
+  }
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const destinations = {
+    mic: context.createMediaStreamDestination(),
+    model: context.createMediaStreamDestination(),
+    mix: context.createMediaStreamDestination(),
+  };
+  const sources = [];
+  let micSource = null;
+
+  function connect(stream, stem) {
+    const source = context.createMediaStreamSource(stream);
+    source.connect(destinations[stem]);
+    source.connect(destinations.mix);
+    sources.push(source);
+    return source;
+  }
+
+  if (micStream) {
+    micSource = connect(micStream, "mic");
+  }
+
+  const startedAt = Date.now();
+  const recordings = Object.fromEntries(
+    RECORDING_STEMS.map((stem) => [stem, recordStream(destinations[stem].stream, mimeType)]),
+  );
+  context.resume().catch(() => {});
+  console.log(`⏺️ Recording started (${mimeType || "default format"})`);
+
+  let isStopped = false;
+
+  return {
+    startedAt,
+    // モデル出力（pc.ontrackのストリーム）を録音に追加する
+    addRemoteStream(stream) {
+      if (isStopped) return;
+      connect(stream, "model");
+    },
+    // マイクを切り替えたときに録音の入力を差し替える（録音ファイルは1本のまま）
+    setMicStream(stream) {
+      if (isStopped) return;
+      if (micSource) {
+        micSource.disconnect();
+        sources.splice(sources.indexOf(micSource), 1);
+      }
+      micSource = connect(stream, "mic");
+    },
+    // 録音を停止して { startedAt, stems: { mic, model, mix } }（Blob）を返す
+    async stop() {
+      if (isStopped) return null;
+      isStopped = true;
+      Object.values(recordings).forEach(({ recorder }) => {
+        if (recorder.state !== "inactive") recorder.stop();
+      });
+      const blobs = await Promise.all(
+        RECORDING_STEMS.map((stem) => recordings[stem].stopped),
+      );
+      sources.forEach((source) => source.disconnect());
+      context.close().catch(() => {});
+      console.log("⏹️ Recording stopped");
+      return {
+        startedAt,
+        stems: Object.fromEntries(RECORDING_STEMS.map((stem, i) => [stem, blobs[i]])),
+      };
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// 会話履歴APIのクライアント
+
+import { apiRequest } from "./apiRequest";
+
+export async function fetchSessions() {
+  const data = await apiRequest("/sessions");
+  return data.sessions;
+}
+
+export function fetchSession(id) {
+  return apiRequest(`/sessions/${encodeURIComponent(id)}`);
+}
+
+export function createSessionRecord(meta) {
+  return apiRequest("/sessions", { method: "POST", body: JSON.stringify(meta) });
+}
+
+// keepaliveはページ離脱時でも送信を完了させるために使う
+export function appendSessionEvents(id, events, { keepalive = false } = {}) {
+  return apiRequest(`/sessions/${encodeURIComponent(id)}/events`, {
+    method: "POST",
+    body: JSON.stringify({ events }),
+    keepalive,
+  });
+}
+
+export function updateSessionRecord(id, meta, { keepalive = false } = {}) {
+  return apiRequest(`/sessions/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    body: JSON.stringify(meta),
+    keepalive,
+  });
+}
+
+export function deleteSessionRecord(id) {
+  return apiRequest(`/sessions/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export function uploadRecording(id, stem, blob, startedAt) {
+  return apiRequest(`/sessions/${encodeURIComponent(id)}/recordings/${stem}?startedAt=${startedAt}`, {
+    method: "POST",
+    headers: { "Content-Type": blob.type || "audio/webm" },
+    body: blob,
+  });
+}
+
+export function recordingUrl(id, stem) {
+  return `/sessions/${encodeURIComponent(id)}/recordings/${stem}`;
+}
+
+export function sessionExportUrl(id, format) {
+  return `/sessions/${encodeURIComponent(id)}/export?format=${encodeURIComponent(format)}`;
+}
@@ -0,0 +1,196 @@
+// イベントストリームから会話のターン（発話単位）を組み立てる
+//
+// ターン:
+//   id         会話アイテムのID（item_id）
+//   role       "user" | "assistant"
+//   source     "spoken"（音声） | "typed"（テキスト）
+//   text       表示するテキスト（ストリーミング中は途中まで）
+//   isPartial  まだ確定していない場合true
+//   timestamp  最初に観測したイベントのタイムスタンプ（表示用）
+//   startedAt  発話開始時刻（logged_at、ミリ秒）
+//   endedAt    発話終了時刻（logged_at、ミリ秒）
+
+function contentSource(content = []) {
+  return content.some((part) => part.type === "input_audio" || part.type === "audio")
+    ? "spoken"
+    : "typed";
+}
+
+function contentText(content = []) {
+  return content
+    .map((part) => part.text ?? part.transcript ?? "")
+    .join("");
+}
+
+// 変更するターンは複製してから書き換える（以前に返した配列のターンは変わらない）
+function ensureTurn(turns, order, itemId, defaults) {
+  if (!turns.has(itemId)) {
+    turns.set(itemId, {
+      id: itemId,
+      role: "assistant",
+      source: "typed",
+      text: "",
+      isPartial: true,
+      timestamp: null,
+      startedAt: null,
+      endedAt: null,
+      ...defaults,
+    });
+    order.push(itemId);
+    return turns.get(itemId);
+  }
+  const turn = { ...turns.get(itemId) };
+  turns.set(itemId, turn);
+  return turn;
+}
+
+// イベントを1件ずつ受け取り、会話のターンを組み立てる
+// 長いセッションでも全イベントを保持・再計算しないよう、ライブのセッションではこちらを使う
+//   add(event) … イベントを古い順に渡す。ターンが変わった場合はtrueを返す
+//   turns()    … 現在のターン（呼ぶたびに新しい配列）
+export function createTranscriptBuilder() {
+  const turns = new Map();
+  const order = [];
+  const speechEnded = new Set();
+
+  function add(event) {
+    const timestamp = event.timestamp ?? null;
+    const loggedAt = event.logged_at ?? null;
+    let turn = null;
+    let changed = false;
+
+    switch (event.type) {
+      case "input_audio_buffer.speech_started": {
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "user",
+          source: "spoken",
+          timestamp,
+        });
+        break;
+      }
+
+      case "input_audio_buffer.speech_stopped": {
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "user",
+          source: "spoken",
+          timestamp,
+        });
+        break;
+      }
+
+      case "conversation.item.created": {
+        const { item } = event;
+        if (!item || item.type !== "message" || item.role === "system") break;
+        const source = contentSource(item.content);
+        const text = contentText(item.content);
+        turn = ensureTurn(turns, order, item.id, { role: item.role, source, timestamp });
+        turn.role = item.role;
+        if (item.content?.length) turn.source = source;
+        if (text) turn.text = text;
+        if (item.role === "user") {
+          // テキスト入力は作成時点で確定、音声は文字起こし完了まで途中扱い
+          turn.isPartial = source === "spoken" && !text;
+        } else {
+          turn.isPartial = item.status !== "completed";
+        }
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.delta": {
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "user",
+          source: "spoken",
+          timestamp,
+        });
+        turn.text += event.delta || "";
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.completed": {
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "user",
+          source: "spoken",
+          timestamp,
+        });
+        turn.text = (event.transcript || "").trim();
+        turn.isPartial = false;
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.failed": {
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "user",
+          source: "spoken",
+          timestamp,
+        });
+        turn.isPartial = false;
+        turn.error = event.error?.message || "transcription failed";
+        break;
+      }
+
+      case "response.audio_transcript.delta":
+      case "response.text.delta": {
+        const source = event.type === "response.audio_transcript.delta" ? "spoken" : "typed";
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "assistant",
+          source,
+          timestamp,
+        });
+        turn.source = source;
+        turn.text += event.delta || "";
+        turn.isPartial = true;
+        break;
+      }
+
+      case "response.audio_transcript.done":
+      case "response.text.done": {
+        const source = event.type === "response.audio_transcript.done" ? "spoken" : "typed";
+        turn = ensureTurn(turns, order, event.item_id, {
+          role: "assistant",
+          source,
+          timestamp,
+        });
+        const finalText = event.transcript ?? event.text;
+        if (typeof finalText === "string") turn.text = finalText;
+        turn.isPartial = false;
+        break;
+      }
+
+      case "response.done": {
+        // キャンセル等でdoneが届かなかったターンも確定させる
+        (event.response?.output || []).forEach((item) => {
+          if (turns.has(item.id) && turns.get(item.id).isPartial) {
+            turns.set(item.id, { ...turns.get(item.id), isPartial: false });
+            changed = true;
+          }
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (turn && loggedAt !== null) {
+      if (turn.startedAt === null) turn.startedAt = loggedAt;
+      // 音声入力は文字起こしの完了ではなく発話終了を終了時刻とする
+      if (!speechEnded.has(turn.id)) turn.endedAt = loggedAt;
+      if (event.type === "input_audio_buffer.speech_stopped") speechEnded.add(turn.id);
+    }
+    return changed || turn !== null;
+  }
+
+  return {
+    add,
+    turns: () => order.map((id) => turns.get(id)),
+  };
+}
+
+// eventsは新しい順（App.jsxのevents state）を想定する
+export function buildTranscript(events) {
+  const builder = createTranscriptBuilder();
+  for (let i = events.length - 1; i >= 0; i--) {
+    builder.add(events[i]);
+  }
+  return builder.turns();
+}
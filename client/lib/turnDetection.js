@@ -0,0 +1,123 @@
+// ターン検出（turn_detection）の設定
+// server_vad: 音量ベースのVAD / semantic_vad: 発話内容から区切りを判定 / none: 手動（自動では応答しない）
+
+export const TURN_DETECTION_TYPES = {
+  server_vad: "サーバーVAD",
+  semantic_vad: "セマンティックVAD",
+  none: "手動（ターン検出なし）",
+};
+
+export const SEMANTIC_EAGERNESS = {
+  low: "低（じっくり待つ）",
+  medium: "中",
+  high: "高（すぐ応答）",
+  auto: "自動",
+};
+
+export const TURN_DETECTION_LIMITS = {
+  threshold: { min: 0, max: 1, step: 0.01 },
+  prefix_padding_ms: { min: 0, max: 2000, step: 50 },
+  silence_duration_ms: { min: 100, max: 5000, step: 50 },
+};
+
+export const DEFAULT_TURN_DETECTION = {
+  type: "server_vad",
+  threshold: 0.5,
+  prefix_padding_ms: 300,
+  silence_duration_ms: 500,
+  eagerness: "auto",
+};
+
+// 組み込みのプリセット（上書き・削除不可）
+export const BUILTIN_PRESETS = {
+  標準: DEFAULT_TURN_DETECTION,
+  静かな環境: { ...DEFAULT_TURN_DETECTION, threshold: 0.3, silence_duration_ms: 500 },
+  騒がしい環境: { ...DEFAULT_TURN_DETECTION, threshold: 0.97, silence_duration_ms: 1000 },
+  セマンティック: { ...DEFAULT_TURN_DETECTION, type: "semantic_vad", eagerness: "auto" },
+  手動: { ...DEFAULT_TURN_DETECTION, type: "none" },
+};
+
+export function normalizeTurnDetection(config) {
+  return { ...DEFAULT_TURN_DETECTION, ...config };
+}
+
+// 設定の妥当性を確認してエラーメッセージの配列を返す（空なら送信可能）
+export function validateTurnDetection(config) {
+  const errors = [];
+  if (!Object.hasOwn(TURN_DETECTION_TYPES, config.type)) {
+    return [`未対応のターン検出方式です: ${config.type}`];
+  }
+
+  if (config.type === "server_vad") {
+    Object.entries(TURN_DETECTION_LIMITS).forEach(([field, { min, max }]) => {
+      const value = config[field];
+      if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${field} は ${min}〜${max} の範囲で指定してください`);
+      }
+    });
+    // 1.0では発話が検出されず応答が返らなくなるため、無効化したい場合は手動モードを使う
+    if (config.threshold >= 1) {
+      errors.push("threshold 1.0 では応答が返りません。ターン検出を止める場合は手動モードを選んでください");
+    }
+  }
+
+  if (config.type === "semantic_vad" && !Object.hasOwn(SEMANTIC_EAGERNESS, config.eagerness)) {
+    errors.push(`eagerness は ${Object.keys(SEMANTIC_EAGERNESS).join(" / ")} のいずれかを指定してください`);
+  }
+
+  return errors;
+}
+
+// session.update の turn_detection に渡す値（方式ごとに使うフィールドだけを送る）
+export function toTurnDetectionPayload(config) {
+  switch (config.type) {
+    case "server_vad":
+      return {
+        type: "server_vad",
+        threshold: config.threshold,
+        prefix_padding_ms: config.prefix_padding_ms,
+        silence_duration_ms: config.silence_duration_ms,
+      };
+    case "semantic_vad":
+      return { type: "semantic_vad", eagerness: config.eagerness };
+    default:
+      return null;
+  }
+}
+
+export function validatePresetName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) return "プリセット名を入力してください";
+  if (trimmed.length > 32) return "プリセット名は32文字以内にしてください";
+  if (Object.hasOwn(BUILTIN_PRESETS, trimmed)) return `「${trimmed}」は組み込みのプリセットです`;
+  return null;
+}
+
+export function describeTurnDetection(config) {
+  switch (config.type) {
+    case "server_vad":
+      return `server_vad threshold=${config.threshold} prefix=${config.prefix_padding_ms}ms silence=${config.silence_duration_ms}ms`;
+    case "semantic_vad":
+      return `semantic_vad eagerness=${config.eagerness}`;
+    default:
+      return "none";
+  }
+}
+
+// ターン検出を送るsession.updateを作る。設定が不正なら { event: null, errors } を返す
+// Push-to-Talk中は設定にかかわらず turn_detection: null（手動）を送る
+export function buildTurnDetectionUpdate(turnDetection, { isPushToTalkEnabled = false } = {}) {
+  let payload = null;
+  if (!isPushToTalkEnabled) {
+    const config = normalizeTurnDetection(turnDetection);
+    const errors = validateTurnDetection(config);
+    if (errors.length > 0) {
+      return { event: null, errors };
+    }
+    payload = toTurnDetectionPayload(config);
+  }
+  return {
+    event: { type: "session.update", session: { turn_detection: payload } },
+    errors: [],
+  };
+}
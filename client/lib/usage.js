@@ -0,0 +1,102 @@
+// トークン使用量と料金の集計
+// response.done の usage をモダリティ（テキスト/音声）と入力/キャッシュ/出力ごとに数える
+
+export const USAGE_KEYS = ["inputText", "inputAudio", "cachedText", "cachedAudio", "outputText", "outputAudio"];
+
+export const USAGE_LABELS = {
+  inputText: "入力テキスト",
+  inputAudio: "入力音声",
+  cachedText: "キャッシュ済みテキスト",
+  cachedAudio: "キャッシュ済み音声",
+  outputText: "出力テキスト",
+  outputAudio: "出力音声",
+};
+
+export const EMPTY_USAGE = Object.fromEntries(USAGE_KEYS.map((key) => [key, 0]));
+
+// 100万トークンあたりの料金（USD）。モデル名の前方一致で引く（長い名前を優先）
+export const DEFAULT_PRICES = {
+  "gpt-4o-realtime-preview": {
+    inputText: 5,
+    inputAudio: 40,
+    cachedText: 2.5,
+    cachedAudio: 2.5,
+    outputText: 20,
+    outputAudio: 80,
+  },
+  "gpt-4o-mini-realtime-preview": {
+    inputText: 0.6,
+    inputAudio: 10,
+    cachedText: 0.3,
+    cachedAudio: 0.3,
+    outputText: 2.4,
+    outputAudio: 20,
+  },
+};
+
+export const DEFAULT_BUDGET = {
+  limitUsd: 0, // 0なら予算なし
+  warnRatio: 0.8,
+  autoDisconnect: true,
+};
+
+// response.done のusageを集計用の形に変換する（キャッシュ分は入力から除く）
+export function extractUsage(event) {
+  const usage = event?.response?.usage;
+  if (!usage) return null;
+
+  const input = usage.input_token_details || {};
+  const cached = input.cached_tokens_details || {};
+  const output = usage.output_token_details || {};
+  const cachedText = cached.text_tokens || 0;
+  const cachedAudio = cached.audio_tokens || 0;
+
+  return {
+    inputText: Math.max(0, (input.text_tokens || 0) - cachedText),
+    inputAudio: Math.max(0, (input.audio_tokens || 0) - cachedAudio),
+    cachedText,
+    cachedAudio,
+    outputText: output.text_tokens || 0,
+    outputAudio: output.audio_tokens || 0,
+  };
+}
+
+export function addUsage(a, b) {
+  return Object.fromEntries(USAGE_KEYS.map((key) => [key, (a?.[key] || 0) + (b?.[key] || 0)]));
+}
+
+export function totalTokens(usage) {
+  return USAGE_KEYS.reduce((sum, key) => sum + (usage?.[key] || 0), 0);
+}
+
+// モデルに対応する料金表のキー（日付付きのモデル名も前方一致で対応）
+export function priceFamily(model, prices = DEFAULT_PRICES) {
+  if (!model) return null;
+  if (prices[model]) return model;
+  return Object.keys(prices)
+    .filter((name) => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+export function priceFor(model, prices = DEFAULT_PRICES) {
+  const family = priceFamily(model, prices);
+  return family ? prices[family] : null;
+}
+
+export function calculateCost(usage, price) {
+  if (!usage || !price) return 0;
+  return USAGE_KEYS.reduce((sum, key) => sum + ((usage[key] || 0) * (price[key] || 0)) / 1_000_000, 0);
+}
+
+export function formatCost(usd) {
+  if (!Number.isFinite(usd)) return "-";
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+// 予算に対する状態（ok / warning / exceeded）
+export function budgetStatus(cost, budget) {
+  if (!budget?.limitUsd || budget.limitUsd <= 0) return "ok";
+  if (cost >= budget.limitUsd) return "exceeded";
+  if (cost >= budget.limitUsd * (budget.warnRatio ?? DEFAULT_BUDGET.warnRatio)) return "warning";
+  return "ok";
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+
+// localStorageに保存されるuseState
+// SSRとのハイドレーション不一致を避けるため、保存値はマウント後に読み込む
+export default function usePersistentState(key, defaultValue) {
+  const [value, setValue] = useState(defaultValue);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      if (stored !== null) {
+        setValue(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to load setting "${key}":`, error);
+    }
+    setIsLoaded(true);
+  }, [key]);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`⚠️ Failed to save setting "${key}":`, error);
+    }
+  }, [key, value, isLoaded]);
+
+  return [value, setValue];
+}
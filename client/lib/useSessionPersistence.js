@@ -0,0 +1,125 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  appendSessionEvents,
+  createSessionRecord,
+  updateSessionRecord,
+  uploadRecording,
+} from "./sessionsApi";
+
+const FLUSH_INTERVAL_MS = 3000;
+
+// 会話セッションのイベントをサーバーに保存するフック
+// イベントはバッファに溜めて定期的に送信し、停止時・ページ離脱時にも送信する
+export default function useSessionPersistence() {
+  const sessionId = useRef(null);
+  const pending = useRef([]);
+  const flushing = useRef(null);
+  const sessionMeta = useRef({});
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  const flush = useCallback(async () => {
+    // 送信中なら完了を待ってから残りを送る
+    while (flushing.current) {
+      await flushing.current;
+    }
+    if (!sessionId.current || pending.current.length === 0) return;
+
+    const batch = pending.current;
+    pending.current = [];
+    flushing.current = appendSessionEvents(sessionId.current, batch)
+      .catch((error) => {
+        console.error("❌ Failed to save session events:", error);
+        // 失敗したバッチは次回に再送する
+        pending.current = [...batch, ...pending.current];
+      })
+      .finally(() => {
+        flushing.current = null;
+      });
+    await flushing.current;
+  }, []);
+
+  const recordEvent = useCallback((event) => {
+    pending.current.push(event);
+  }, []);
+
+  // 終了時にまとめて保存するメタデータ（使用量など）を更新する
+  const updateSessionMeta = useCallback((meta) => {
+    sessionMeta.current = { ...sessionMeta.current, ...meta };
+  }, []);
+
+  const beginSession = useCallback(async (meta) => {
+    sessionMeta.current = {};
+    try {
+      const record = await createSessionRecord(meta);
+      sessionId.current = record.id;
+      console.log("💾 Session recording started:", record.id);
+      setHistoryVersion((version) => version + 1);
+      await flush();
+    } catch (error) {
+      console.error("❌ Failed to create session record:", error);
+    }
+  }, [flush]);
+
+  // recordingにはsessionRecorderのstop()の結果（Promise）を渡すと録音もアップロードする
+  const endSession = useCallback(async (recording = null) => {
+    if (!sessionId.current) {
+      pending.current = [];
+      return;
+    }
+    const id = sessionId.current;
+    const meta = sessionMeta.current;
+    await flush();
+    sessionId.current = null;
+    pending.current = [];
+    sessionMeta.current = {};
+
+    const result = await Promise.resolve(recording).catch((error) => {
+      console.error("❌ Failed to finish audio recording:", error);
+      return null;
+    });
+    if (result) {
+      for (const [stem, blob] of Object.entries(result.stems)) {
+        if (!blob || blob.size === 0) continue;
+        try {
+          await uploadRecording(id, stem, blob, result.startedAt);
+          console.log(`💾 Recording uploaded: ${stem} (${blob.size} bytes)`);
+        } catch (error) {
+          console.error(`❌ Failed to upload recording (${stem}):`, error);
+        }
+      }
+    }
+
+    try {
+      await updateSessionRecord(id, { ...meta, endedAt: new Date().toISOString() });
+      console.log("💾 Session recording saved:", id);
+    } catch (error) {
+      console.error("❌ Failed to finish session record:", error);
+    }
+    setHistoryVersion((version) => version + 1);
+  }, [flush]);
+
+  // 定期的にバッファを送信する
+  useEffect(() => {
+    const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [flush]);
+
+  // リロードやタブを閉じたときにも残りのイベントを送る
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (!sessionId.current) return;
+      const id = sessionId.current;
+      const batch = pending.current;
+      pending.current = [];
+      if (batch.length > 0) {
+        appendSessionEvents(id, batch, { keepalive: true }).catch(() => {});
+      }
+      updateSessionRecord(id, { ...sessionMeta.current, endedAt: new Date().toISOString() }, { keepalive: true })
+        .catch(() => {});
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, []);
+
+  return { recordEvent, beginSession, endSession, updateSessionMeta, historyVersion };
+}
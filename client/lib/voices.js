@@ -0,0 +1,17 @@
+// Realtime APIで利用できる音声の一覧（サーバー側のバリデーションでも使用）
+export const VOICES = [
+  "alloy",
+  "ash",
+  "ballad",
+  "coral",
+  "echo",
+  "sage",
+  "shimmer",
+  "verse",
+];
+
+export const DEFAULT_VOICE = "verse";
+
+export function isValidVoice(voice) {
+  return VOICES.includes(voice);
+}
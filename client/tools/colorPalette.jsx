@@ -0,0 +1,61 @@
+const functionDescription = `
+Call this function when a user asks for a color palette.
+`;
+
+function ColorPalette({ args }) {
+  const { theme, colors = [] } = args || {};
+
+  const colorBoxes = colors.map((color) => (
+    <div
+      key={color}
+      className="w-full h-16 rounded-md flex items-center justify-center border border-gray-200"
+      style={{ backgroundColor: color }}
+    >
+      <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
+        {color}
+      </p>
+    </div>
+  ));
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p>Theme: {theme}</p>
+      {colorBoxes}
+    </div>
+  );
+}
+
+export default {
+  name: "display_color_palette",
+  title: "Color Palette Tool",
+  placeholder: "Ask for advice on a color palette...",
+  description: functionDescription,
+  parameters: {
+    type: "object",
+    strict: true,
+    properties: {
+      theme: {
+        type: "string",
+        description: "Description of the theme for the color scheme.",
+      },
+      colors: {
+        type: "array",
+        description: "Array of five hex color codes based on the theme.",
+        items: {
+          type: "string",
+          description: "Hex color code",
+        },
+      },
+    },
+    required: ["theme", "colors"],
+  },
+  async handler({ colors }) {
+    return {
+      displayed: true,
+      count: colors.length,
+      instructions:
+        "ask for feedback about the color palette - don't repeat the colors, just ask if they like the colors.",
+    };
+  },
+  Renderer: ColorPalette,
+};
@@ -0,0 +1,222 @@
+// ツールレジストリ
+// client/tools/ 以下の各ファイルが1つのツールをdefault exportする。
+// ツールを追加するときはこのディレクトリにファイルを1つ追加するだけでよい。
+//
+// ツール定義:
+//   name         関数名（モデルに公開される）
+//   description  モデル向けの説明
+//   parameters   引数のJSON Schema
+//   handler      async (args, context) => output  実行結果はfunction_call_outputとして返す
+//   server       (任意) trueの場合handlerを持たず、サーバーの /tools/:name/invoke で実行する
+//   Renderer     (任意) ({ call, args, output, error }) を受け取るReactコンポーネント
+//   title        (任意) パネルの見出し
+//   placeholder  (任意) 呼び出し前にパネルに表示する案内文
+//
+// server/tools/ に置かれたサーバー側ツールは GET /tools から取得して server: true として登録する。
+
+import { apiRequest } from "../lib/apiRequest";
+
+const modules = import.meta.glob(["./*.{js,jsx}", "!./index.js"], {
+  eager: true,
+});
+
+function validateTool(tool, source) {
+  if (!tool || typeof tool.name !== "string") {
+    throw new Error(`Tool module ${source} must default-export a tool with a name`);
+  }
+  if (!tool.server && typeof tool.handler !== "function") {
+    throw new Error(`Tool "${tool.name}" (${source}) must define an async handler`);
+  }
+  return tool;
+}
+
+export function createToolRegistry(tools) {
+  const byName = new Map();
+  tools.forEach((tool) => {
+    if (byName.has(tool.name)) {
+      throw new Error(`Duplicate tool name: ${tool.name}`);
+    }
+    byName.set(tool.name, tool);
+  });
+
+  return {
+    tools: [...byName.values()],
+    get(name) {
+      return byName.get(name);
+    },
+  };
+}
+
+export const registry = createToolRegistry(
+  Object.entries(modules)
+    .filter(([, module]) => module.default)
+    .map(([source, module]) => validateTool(module.default, source)),
+);
+
+// サーバー側ツールの宣言を取得する
+export async function fetchServerTools() {
+  const data = await apiRequest("/tools");
+  return data.tools.map((tool) => ({ ...tool, server: true }));
+}
+
+// クライアント側の定義を優先し、未定義の項目（スキーマなど）はサーバー側の宣言で補う
+export function mergeServerTools(clientTools, serverTools) {
+  const serverByName = new Map(serverTools.map((tool) => [tool.name, tool]));
+  const merged = clientTools.map((tool) => {
+    const serverTool = serverByName.get(tool.name);
+    if (!serverTool) return tool;
+    serverByName.delete(tool.name);
+    return { ...serverTool, ...tool, server: tool.server ?? true };
+  });
+  return [...merged, ...serverByName.values()];
+}
+
+// サーバー側でツールを実行する
+export async function invokeServerTool(name, args) {
+  try {
+    const data = await apiRequest(`/tools/${encodeURIComponent(name)}/invoke`, {
+      method: "POST",
+      body: JSON.stringify({ arguments: args }),
+    });
+    return data.output;
+  } catch (error) {
+    if (!error.status) throw error;
+    // モデルが引数を直せるよう、コードと検証エラーの詳細もメッセージに含める
+    const detailText = error.details ? ` (${error.details.join("; ")})` : "";
+    throw new Error(`${error.code || error.status}: ${error.message}${detailText}`);
+  }
+}
+
+// 登録されている全ツールをまとめたsession.updateイベント
+export function buildToolsSessionUpdate(tools = registry.tools) {
+  return {
+    type: "session.update",
+    session: {
+      tools: tools.map((tool) => ({
+        type: "function",
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      })),
+    },
+  };
+}
+
+// response.doneイベントに含まれる関数呼び出しをすべて取り出す
+export function getFunctionCalls(event) {
+  if (event?.type !== "response.done" || !event.response?.output) {
+    return [];
+  }
+  return event.response.output.filter((output) => output.type === "function_call");
+}
+
+// ToolPanelが使うイベント（ツールを送るsession.created・関数呼び出し・クライアントが返した結果）か
+// App.jsxはイベントログとは別にこれだけを保持する
+export function isToolEvent(event) {
+  return (
+    event.type === "session.created" ||
+    event.type === "response.done" ||
+    (event.type === "conversation.item.create" && event.item?.type === "function_call_output")
+  );
+}
+
+// 未処理のresponse.doneに含まれる関数呼び出しを、レスポンスごとに古い順で取り出す
+// events は新しい順に並ぶ。handled は処理済みのレスポンスのキーのSetで、見たレスポンスはここに追加される
+export function takePendingFunctionCalls(events, handled) {
+  const pending = [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.type !== "response.done") continue;
+
+    const key = event.event_id || event.response?.id;
+    if (handled.has(key)) continue;
+    handled.add(key);
+
+    const calls = getFunctionCalls(event);
+    if (calls.length > 0) {
+      pending.push(calls);
+    }
+  }
+  return pending;
+}
+
+function parseArguments(call) {
+  if (!call.arguments) return {};
+  return JSON.parse(call.arguments);
+}
+
+// 関数呼び出しを1件実行する。失敗してもモデルに返せるよう例外は結果に含める
+export async function dispatchFunctionCall(call, context = {}, reg = registry) {
+  const tool = reg.get(call.name);
+  if (!tool) {
+    return { call, args: null, error: `Unknown tool: ${call.name}` };
+  }
+
+  let args;
+  try {
+    args = parseArguments(call);
+  } catch (error) {
+    return { call, args: null, error: `Invalid arguments: ${error.message}` };
+  }
+
+  try {
+    const output = tool.server
+      ? await invokeServerTool(tool.name, args)
+      : await tool.handler(args, context);
+    return { call, args, output };
+  } catch (error) {
+    console.error(`❌ Tool "${call.name}" failed:`, error);
+    return { call, args, error: error.message || String(error) };
+  }
+}
+
+// 実行結果をモデルに返すconversation.item.createイベント
+export function buildFunctionCallOutput(result) {
+  const payload = result.error ? { error: result.error } : result.output;
+  return {
+    type: "conversation.item.create",
+    item: {
+      type: "function_call_output",
+      call_id: result.call.call_id,
+      output: typeof payload === "string" ? payload : JSON.stringify(payload ?? null),
+    },
+  };
+}
+
+function parseOutput(output) {
+  try {
+    return JSON.parse(output);
+  } catch {
+    return output;
+  }
+}
+
+// 記録済みのイベントから各ツールの最後の実行結果を組み立てる（リプレイ用、ツールは実行しない）
+// 関数呼び出しと、クライアントが返したfunction_call_outputをcall_idで対応付ける
+// events は新しい順。戻り値はToolPanelの results と同じ { [name]: { call, args, output, error } }
+export function buildToolResults(events) {
+  const outputs = new Map();
+  events.forEach((event) => {
+    if (event.type === "conversation.item.create" && event.item?.type === "function_call_output") {
+      outputs.set(event.item.call_id, event.item.output);
+    }
+  });
+
+  const results = {};
+  for (let i = events.length - 1; i >= 0; i--) {
+    getFunctionCalls(events[i]).forEach((call) => {
+      if (!outputs.has(call.call_id)) return;
+      let args = null;
+      try {
+        args = parseArguments(call);
+      } catch {
+        // 引数が壊れていた呼び出しはエラーの結果だけを表示する
+      }
+      const payload = parseOutput(outputs.get(call.call_id));
+      const isError =
+        payload && typeof payload === "object" && Object.keys(payload).length === 1 && "error" in payload;
+      results[call.name] = isError ? { call, args, error: payload.error } : { call, args, output: payload };
+    });
+  }
+  return results;
+}
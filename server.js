@@ -1,84 +1,137 @@
-import express from "express";
+import crypto from "crypto";
 import fs from "fs";
-import { createServer as createViteServer } from "vite";
 import "dotenv/config";
+import { createApp } from "./server/app.js";
+import { flushAuditLog } from "./server/auditLog.js";
+import { loadProductionBuild, sendHtml, serveStatic } from "./server/production.js";
+import { createRealtimeRelay, RELAY_PATH } from "./server/realtimeRelay.js";
+import { createMockRealtime, MOCK_REALTIME_PATH } from "./server/mockRealtime.js";
 
-const app = express();
 const port = process.env.PORT || 3000;
 const apiKey = process.env.OPENAI_API_KEY;
-const model = process.env.OPENAI_MODEL || "gpt-4o-realtime-preview-2024-12-17";
-
-// プロンプトファイルを読み込む関数
-function loadSystemPrompts() {
-  try {
-    console.log(`プロンプトファイルを読み込み中: ./prompts.json`);
-    const promptsData = fs.readFileSync('./prompts.json', 'utf-8');
-    return JSON.parse(promptsData);
-  } catch (error) {
-    console.error('プロンプトファイルの読み込みに失敗しました:', error);
-    return {
-      default: "あなたは親切で丁寧なAIアシスタントです。ユーザーの質問に対して分かりやすく回答してください。"
-    };
+// npm run dev（--dev）はVite経由、npm start はビルド済みの成果物を配信する
+const isProduction = !process.argv.includes("--dev");
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10_000;
+let isShuttingDown = false;
+
+// REALTIME_MOCK=<フィクスチャ名> でOpenAIの代わりにローカルのモックを使う（APIキー不要）
+// モックはWebSocketのみ対応のため、クライアントは中継で接続する
+const relayApiKey = process.env.REALTIME_MOCK ? crypto.randomBytes(16).toString("hex") : apiKey;
+const mockRealtime = process.env.REALTIME_MOCK
+  ? createMockRealtime({ fixture: process.env.REALTIME_MOCK, apiKey: relayApiKey })
+  : null;
+if (mockRealtime) {
+  console.log(`🧪 Using mock Realtime API (fixture: ${mockRealtime.fixtureName})`);
+}
+
+const { app, prepareRelay } = await createApp({ apiKey, mockRealtime });
+
+// ロードバランサーやコンテナのヘルスチェック用（認証なし）
+app.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  if (isShuttingDown) {
+    return res.status(503).json({ status: "shutting_down" });
   }
+  res.json({
+    status: "ok",
+    mode: isProduction ? "production" : "development",
+    uptime: Math.round(process.uptime()),
+  });
+});
+
+let vite = null;
+
+if (isProduction) {
+  // ビルド済みのクライアントを静的配信し、dist/server のエントリでSSRする
+  const { clientDir, template, render } = await loadProductionBuild();
+  app.use(serveStatic(clientDir));
+
+  app.use("*", async (req, res, next) => {
+    try {
+      const appHtml = await render(req.originalUrl);
+      sendHtml(req, res, template.replace(`<!--ssr-outlet-->`, appHtml?.html));
+    } catch (e) {
+      next(e);
+    }
+  });
+} else {
+  // Configure Vite middleware for React client
+  // APIルートより後に登録する（client/tools/ などのパスとAPIが衝突しないように）
+  const { createServer: createViteServer } = await import("vite");
+  vite = await createViteServer({
+    server: { middlewareMode: true },
+    appType: "custom",
+  });
+  app.use(vite.middlewares);
+
+  // Render the React client
+  app.use("*", async (req, res, next) => {
+    const url = req.originalUrl;
+
+    try {
+      const template = await vite.transformIndexHtml(
+        url,
+        fs.readFileSync("./client/index.html", "utf-8"),
+      );
+      const { render } = await vite.ssrLoadModule("./client/entry-server.jsx");
+      const appHtml = await render(url);
+      const html = template.replace(`<!--ssr-outlet-->`, appHtml?.html);
+      res.status(200).set({ "Content-Type": "text/html" }).end(html);
+    } catch (e) {
+      vite.ssrFixStacktrace(e);
+      next(e);
+    }
+  });
 }
 
-// Configure Vite middleware for React client
-const vite = await createViteServer({
-  server: { middlewareMode: true },
-  appType: "custom",
+const server = app.listen(port, () => {
+  console.log(`Express server running on *:${port} (${isProduction ? "production" : "development"})`);
 });
-app.use(vite.middlewares);
-
-// API route for token generation
-app.get("/token", async (req, res) => {
-  try {
-    const prompts = loadSystemPrompts();
-    const promptType = req.query.prompt || 'default';
-    const instructions = prompts[promptType] || prompts.default; 
-
-    const response = await fetch(
-      "https://api.openai.com/v1/realtime/sessions",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: model,
-          voice: "verse",
-          instructions: instructions,
-        }),
-      },
-    );
-
-    const data = await response.json();
-    res.json(data);
-  } catch (error) {
-    console.error("Token generation error:", error);
-    res.status(500).json({ error: "Failed to generate token" });
-  }
+
+// WebRTCが使えないネットワーク向けのWebSocket中継（/relay）
+// /token と同じ認証・パラメータの検証・レート制限を通してから上流に接続する
+const relay = createRealtimeRelay({
+  apiKey: relayApiKey,
+  ...(mockRealtime && { realtimeUrl: `ws://127.0.0.1:${port}${MOCK_REALTIME_PATH}` }),
+  prepare: prepareRelay,
 });
 
-// Render the React client
-app.use("*", async (req, res, next) => {
-  const url = req.originalUrl;
-
-  try {
-    const template = await vite.transformIndexHtml(
-      url,
-      fs.readFileSync("./client/index.html", "utf-8"),
-    );
-    const { render } = await vite.ssrLoadModule("./client/entry-server.jsx");
-    const appHtml = await render(url);
-    const html = template.replace(`<!--ssr-outlet-->`, appHtml?.html);
-    res.status(200).set({ "Content-Type": "text/html" }).end(html);
-  } catch (e) {
-    vite.ssrFixStacktrace(e);
-    next(e);
+const upgradeHandlers = {
+  [RELAY_PATH]: relay.handleUpgrade,
+  ...(mockRealtime && { [MOCK_REALTIME_PATH]: mockRealtime.handleUpgrade }),
+};
+server.on("upgrade", (req, socket, head) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const handleUpgrade = upgradeHandlers[pathname];
+  if (handleUpgrade) {
+    handleUpgrade(req, socket, head);
+  } else {
+    socket.destroy();
   }
 });
 
-app.listen(port, () => {
-  console.log(`Express server running on *:${port}`);
-});
+// 新しい接続の受け付けを止め、処理中のリクエストと監査ログの書き込みを待ってから終了する
+async function shutdown(signal) {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+
+  const forceExit = setTimeout(() => {
+    console.error("Shutdown timed out; forcing exit");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  relay.close();
+  mockRealtime?.close();
+  server.close(async () => {
+    await vite?.close();
+    await flushAuditLog();
+    console.log("👋 Server closed");
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
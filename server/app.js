@@ -0,0 +1,570 @@
+import express from "express";
+import { DEFAULT_VOICE, isValidVoice } from "../client/lib/voices.js";
+import { ALLOWED_MODELS, DEFAULT_MODEL, isAllowedModel } from "./models.js";
+import {
+  AUTH_MODE,
+  authenticate,
+  clearSessionCookie,
+  currentUser,
+  isAuthEnabled,
+  requireAuth,
+  setSessionCookie,
+} from "./auth.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { audit } from "./auditLog.js";
+import {
+  DEFAULT_PROMPT_NAME,
+  loadSystemPrompts,
+  toProfileList,
+  updatePrompts,
+  validateInstructions,
+  validateProfileName,
+} from "./prompts.js";
+import {
+  ToolError,
+  describeServerTools,
+  invokeServerTool,
+  loadServerTools,
+} from "./toolRunner.js";
+import {
+  appendEvents,
+  createSession,
+  deleteSession,
+  isValidSessionId,
+  getRecording,
+  listSessions,
+  readSession,
+  RECORDING_STEMS,
+  saveRecording,
+  updateSession,
+} from "./sessionStore.js";
+import { EXPORT_FORMATS, exportSession } from "../client/lib/exportFormats.js";
+
+// APIルートを登録したExpressアプリを作る
+// フロントエンドの配信（Vite / ビルド済み成果物）、listen、中継の接続は server.js が行う
+// テストからはこのアプリを直接使う（fetchを差し替えてOpenAIへのリクエストを確認する）
+//   apiKey       … OpenAIのAPIキー
+//   mockRealtime … server/mockRealtime.js のモック（使う場合）
+// 戻り値の prepareRelay(req) は中継（server/realtimeRelay.js）の prepare に渡す
+export async function createApp({ apiKey, mockRealtime = null } = {}) {
+  const app = express();
+  const serverTools = await loadServerTools();
+
+  // リバースプロキシ配下でクライアントのIPを正しく取るための設定（例: TRUST_PROXY=1）
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isInteger(trustProxy) ? trustProxy : process.env.TRUST_PROXY);
+  }
+
+  // トークン発行のレート制限（ユーザーごと・IPごと）とログイン試行の制限
+  const RATE_LIMIT_WINDOW_MS = Number(process.env.TOKEN_RATE_LIMIT_WINDOW_MS) || 10 * 60 * 1000;
+  const tokenLimiters = {
+    user: createRateLimiter({
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      max: Number(process.env.TOKEN_RATE_LIMIT_PER_USER ?? 20),
+    }),
+    ip: createRateLimiter({
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      max: Number(process.env.TOKEN_RATE_LIMIT_PER_IP ?? 30),
+    }),
+  };
+  const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+  function sendRateLimited(res, retryAfterMs, message) {
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter)).status(429).json({
+      error: { code: "rate_limited", message, retryAfter },
+    });
+  }
+
+  // APIは認証が必要（本文を読み込む前に弾く）
+  // /tools 配下はViteが client/tools のモジュールを配信するため、APIのパスだけを対象にする
+  app.all(
+    ["/token", "/models", "/realtime", "/prompts", "/prompts/*", "/tools", "/tools/:name/invoke", "/sessions", "/sessions/*"],
+    requireAuth,
+  );
+
+  // イベントのバッチは大きくなりうるため、セッションAPIだけ上限を広げる
+  app.use("/sessions", express.json({ limit: "5mb" }));
+  app.use(express.json({ limit: "100kb" }));
+
+  // 認証の状態（ログイン画面を出すかどうかの判定に使う）
+  app.get("/auth/me", (req, res) => {
+    res.json({ mode: AUTH_MODE, user: currentUser(req) });
+  });
+
+  app.post("/auth/login", (req, res) => {
+    const limit = loginLimiter.hit(req.ip);
+    if (!limit.allowed) {
+      audit(req, "auth.login_rate_limited");
+      return sendRateLimited(res, limit.retryAfterMs, "Too many login attempts");
+    }
+
+    const { username, password } = req.body || {};
+    const user = isAuthEnabled ? authenticate({ username, password }) : currentUser(req);
+    if (!user) {
+      audit(req, "auth.login_failed", { username: typeof username === "string" ? username.slice(0, 64) : null });
+      return res.status(401).json({
+        error: { code: "invalid_credentials", message: "Invalid username or password" },
+      });
+    }
+
+    req.user = user;
+    if (isAuthEnabled) setSessionCookie(req, res, user);
+    audit(req, "auth.login");
+    res.json({ mode: AUTH_MODE, user });
+  });
+
+  app.post("/auth/logout", (req, res) => {
+    req.user = currentUser(req);
+    clearSessionCookie(res);
+    if (req.user) audit(req, "auth.logout");
+    res.status(204).end();
+  });
+
+  // セッションのパラメータ（/token と中継で共通）
+  // 不正な値なら { error: { status, body } } を返す
+  function resolveSessionParams(query) {
+    const prompts = loadSystemPrompts();
+    const promptType = query.prompt || DEFAULT_PROMPT_NAME;
+    const instructions = Object.hasOwn(prompts, promptType)
+      ? prompts[promptType]
+      : prompts[DEFAULT_PROMPT_NAME];
+    const voice = query.voice || DEFAULT_VOICE;
+    const model = query.model || DEFAULT_MODEL;
+
+    if (!isValidVoice(voice)) {
+      return {
+        error: {
+          status: 400,
+          body: { error: { code: "unsupported_voice", message: `Unsupported voice: ${voice}` } },
+        },
+      };
+    }
+    if (!isAllowedModel(model)) {
+      return {
+        error: {
+          status: 400,
+          body: { error: { code: "unsupported_model", message: `Unsupported model: ${model}` } },
+        },
+      };
+    }
+    return { model, voice, instructions, promptType };
+  }
+
+  // トークン発行（中継の開始を含む）のレート制限。超えていればその制限を返す
+  function checkTokenRateLimit(req) {
+    const limits = [
+      ...(isAuthEnabled ? [tokenLimiters.user.hit(`user:${req.user.username}`)] : []),
+      tokenLimiters.ip.hit(`ip:${req.ip}`),
+    ];
+    return limits.find((limit) => !limit.allowed) ?? null;
+  }
+
+  // API route for token generation
+  app.get("/token", async (req, res) => {
+    // モックはWebRTCを扱わないので、エフェメラルキーは発行しない（クライアントは中継で接続する）
+    if (mockRealtime) {
+      return res.status(501).json({
+        error: { code: "mock_relay_only", message: "The mock Realtime API only supports the WebSocket relay" },
+      });
+    }
+    if (!apiKey) {
+      console.error("Token generation error: OPENAI_API_KEY is not set");
+      return res.status(500).json({
+        error: { code: "missing_api_key", message: "OPENAI_API_KEY is not set on the server" },
+      });
+    }
+
+    const params = resolveSessionParams(req.query);
+    if (params.error) {
+      return res.status(params.error.status).json(params.error.body);
+    }
+    const { model, voice, instructions, promptType } = params;
+
+    const auditDetails = { model, voice, prompt: promptType };
+    const denied = checkTokenRateLimit(req);
+    if (denied) {
+      audit(req, "token.rate_limited", auditDetails);
+      return sendRateLimited(res, denied.retryAfterMs, "Too many session tokens requested");
+    }
+
+    let response;
+    try {
+      response = await fetch(
+        "https://api.openai.com/v1/realtime/sessions",
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            model: model,
+            voice: voice,
+            instructions: instructions,
+          }),
+        },
+      );
+    } catch (error) {
+      console.error("Token generation error:", error);
+      audit(req, "token.failed", { ...auditDetails, status: 502 });
+      return res.status(502).json({
+        error: { code: "upstream_unreachable", message: "Failed to reach the OpenAI API" },
+      });
+    }
+
+    // OpenAIのステータスコードとエラー本文をそのままクライアントに返す
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      console.error(`Token generation error: upstream returned ${response.status}`, data?.error);
+      audit(req, "token.failed", { ...auditDetails, status: response.status });
+    } else {
+      if (data && !data.model) {
+        // クライアントはこのモデルでSDPを送るため、必ず含めて返す
+        data.model = model;
+      }
+      audit(req, "token.minted", { ...auditDetails, realtimeSessionId: data?.id ?? null });
+    }
+    res
+      .status(response.status)
+      .json(data ?? { error: { code: "invalid_upstream_response", message: "Invalid response from the OpenAI API" } });
+  });
+
+  // 選択可能なモデルの一覧
+  app.get("/models", (req, res) => {
+    res.json({ models: ALLOWED_MODELS, default: DEFAULT_MODEL });
+  });
+
+  // 使える接続方式とモックの状態
+  app.get("/realtime", (req, res) => {
+    res.json({
+      mock: mockRealtime?.fixtureName ?? null,
+      transports: mockRealtime ? ["relay"] : ["webrtc", "relay"],
+    });
+  });
+
+  // プロンプトプロファイルの一覧
+  app.get("/prompts", (req, res) => {
+    res.json({ prompts: toProfileList(loadSystemPrompts()) });
+  });
+
+  // プロンプトプロファイルの作成
+  app.post("/prompts", async (req, res) => {
+    const { name, instructions } = req.body || {};
+    const validationError = validateProfileName(name) || validateInstructions(instructions);
+    if (validationError) {
+      return res.status(400).json({ error: { code: "invalid_request", message: validationError } });
+    }
+
+    try {
+      const created = await updatePrompts((prompts) => {
+        if (Object.hasOwn(prompts, name)) return false;
+        prompts[name] = instructions;
+        return true;
+      });
+      if (!created) {
+        return res.status(409).json({
+          error: { code: "prompt_exists", message: `Prompt profile already exists: ${name}` },
+        });
+      }
+      res.status(201).json({ name, instructions });
+    } catch (error) {
+      console.error("Prompt profile create error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to save prompt profile" } });
+    }
+  });
+
+  // プロンプトプロファイルの更新
+  app.put("/prompts/:name", async (req, res) => {
+    const { name } = req.params;
+    const { instructions } = req.body || {};
+    // 既存のプロファイルを指すだけなので、名前の制限はかけない（手で編集したファイルの名前も更新できる）
+    const validationError = validateInstructions(instructions);
+    if (validationError) {
+      return res.status(400).json({ error: { code: "invalid_request", message: validationError } });
+    }
+
+    try {
+      const updated = await updatePrompts((prompts) => {
+        if (!Object.hasOwn(prompts, name)) return false;
+        prompts[name] = instructions;
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({
+          error: { code: "prompt_not_found", message: `Prompt profile not found: ${name}` },
+        });
+      }
+      res.json({ name, instructions });
+    } catch (error) {
+      console.error("Prompt profile update error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to save prompt profile" } });
+    }
+  });
+
+  // プロンプトプロファイルの削除（defaultはフォールバック用のため削除不可）
+  app.delete("/prompts/:name", async (req, res) => {
+    const { name } = req.params;
+    if (name === DEFAULT_PROMPT_NAME) {
+      return res.status(400).json({
+        error: { code: "default_prompt_protected", message: "The default prompt profile cannot be deleted" },
+      });
+    }
+
+    try {
+      const deleted = await updatePrompts((prompts) => {
+        if (!Object.hasOwn(prompts, name)) return false;
+        delete prompts[name];
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          error: { code: "prompt_not_found", message: `Prompt profile not found: ${name}` },
+        });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Prompt profile delete error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to save prompt profile" } });
+    }
+  });
+
+  // サーバー側ツールの宣言一覧
+  app.get("/tools", (req, res) => {
+    res.json({ tools: describeServerTools(serverTools) });
+  });
+
+  // サーバー側ツールの実行
+  app.post("/tools/:name/invoke", async (req, res) => {
+    const { name } = req.params;
+    const args = req.body?.arguments ?? {};
+
+    try {
+      const output = await invokeServerTool(serverTools, name, args);
+      res.json({ output });
+    } catch (error) {
+      if (error instanceof ToolError) {
+        console.error(`Tool invocation error (${name}):`, error.code, error.message);
+        return res.status(error.status).json(error.toJSON());
+      }
+      console.error(`Tool invocation error (${name}):`, error);
+      res.status(500).json({
+        error: { code: "internal_error", message: "Failed to invoke tool" },
+      });
+    }
+  });
+
+  // セッションIDの形式チェック
+  app.param("sessionId", (req, res, next, id) => {
+    if (!isValidSessionId(id)) {
+      return res.status(400).json({ error: { code: "invalid_session_id", message: `Invalid session id: ${id}` } });
+    }
+    next();
+  });
+
+  // 保存済みセッションの一覧
+  app.get("/sessions", async (req, res) => {
+    try {
+      res.json({ sessions: await listSessions() });
+    } catch (error) {
+      console.error("Session list error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to list sessions" } });
+    }
+  });
+
+  // セッションの記録開始
+  app.post("/sessions", async (req, res) => {
+    try {
+      res.status(201).json(await createSession(req.body || {}));
+    } catch (error) {
+      console.error("Session create error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to create session" } });
+    }
+  });
+
+  // イベントの追記
+  app.post("/sessions/:sessionId/events", async (req, res) => {
+    const events = req.body?.events;
+    if (!Array.isArray(events) || events.some((event) => !event || typeof event !== "object")) {
+      return res.status(400).json({
+        error: { code: "invalid_request", message: "events must be an array of objects" },
+      });
+    }
+
+    try {
+      const meta = await appendEvents(req.params.sessionId, events);
+      if (!meta) {
+        return res.status(404).json({
+          error: { code: "session_not_found", message: `Session not found: ${req.params.sessionId}` },
+        });
+      }
+      res.json(meta);
+    } catch (error) {
+      console.error("Session append error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to save events" } });
+    }
+  });
+
+  // メタデータの更新（終了時刻など）
+  app.patch("/sessions/:sessionId", async (req, res) => {
+    try {
+      const meta = await updateSession(req.params.sessionId, req.body || {});
+      if (!meta) {
+        return res.status(404).json({
+          error: { code: "session_not_found", message: `Session not found: ${req.params.sessionId}` },
+        });
+      }
+      res.json(meta);
+    } catch (error) {
+      console.error("Session update error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to update session" } });
+    }
+  });
+
+  // セッションの取得（メタデータ＋全イベント）
+  app.get("/sessions/:sessionId", async (req, res) => {
+    try {
+      const record = await readSession(req.params.sessionId);
+      if (!record) {
+        return res.status(404).json({
+          error: { code: "session_not_found", message: `Session not found: ${req.params.sessionId}` },
+        });
+      }
+      res.json(record);
+    } catch (error) {
+      console.error("Session read error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to read session" } });
+    }
+  });
+
+  // セッションのエクスポート（json / md / srt / vtt）
+  app.get("/sessions/:sessionId/export", async (req, res) => {
+    const format = req.query.format || "json";
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({
+        error: { code: "unsupported_export_format", message: `Unsupported export format: ${format}` },
+      });
+    }
+
+    try {
+      const record = await readSession(req.params.sessionId);
+      if (!record) {
+        return res.status(404).json({
+          error: { code: "session_not_found", message: `Session not found: ${req.params.sessionId}` },
+        });
+      }
+      const body = exportSession(format, record.session, record.events);
+      const filename = `session-${record.session.id}.${exportFormat.extension}`;
+      res
+        .status(200)
+        .set({
+          "Content-Type": `${exportFormat.contentType}; charset=utf-8`,
+          "Content-Disposition": `attachment; filename="${filename}"`,
+        })
+        .send(body);
+    } catch (error) {
+      console.error("Session export error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to export session" } });
+    }
+  });
+
+  // 録音ステムのアップロード（本文は音声データそのもの）
+  app.post(
+    "/sessions/:sessionId/recordings/:stem",
+    express.raw({ type: "audio/*", limit: "200mb" }),
+    async (req, res) => {
+      const { sessionId, stem } = req.params;
+      if (!RECORDING_STEMS.includes(stem)) {
+        return res.status(400).json({
+          error: { code: "unknown_recording_stem", message: `Unknown recording stem: ${stem}` },
+        });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          error: { code: "invalid_request", message: "Recording body must be non-empty audio data" },
+        });
+      }
+
+      try {
+        const meta = await saveRecording(sessionId, stem, req.body, {
+          mimeType: req.get("Content-Type"),
+          startedAt: Number(req.query.startedAt),
+        });
+        if (!meta) {
+          return res.status(404).json({
+            error: { code: "session_not_found", message: `Session not found: ${sessionId}` },
+          });
+        }
+        res.status(201).json(meta);
+      } catch (error) {
+        console.error("Recording upload error:", error);
+        res.status(500).json({ error: { code: "internal_error", message: "Failed to save recording" } });
+      }
+    },
+  );
+
+  // 録音ステムの再生・ダウンロード（Rangeリクエスト対応）
+  app.get("/sessions/:sessionId/recordings/:stem", async (req, res, next) => {
+    const { sessionId, stem } = req.params;
+    if (!RECORDING_STEMS.includes(stem)) {
+      return res.status(400).json({
+        error: { code: "unknown_recording_stem", message: `Unknown recording stem: ${stem}` },
+      });
+    }
+
+    try {
+      const recording = await getRecording(sessionId, stem);
+      if (!recording) {
+        return res.status(404).json({ error: { code: "recording_not_found", message: "Recording not found" } });
+      }
+      res.type(recording.mimeType);
+      res.sendFile(recording.path);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // セッションの削除
+  app.delete("/sessions/:sessionId", async (req, res) => {
+    try {
+      const deleted = await deleteSession(req.params.sessionId);
+      if (!deleted) {
+        return res.status(404).json({
+          error: { code: "session_not_found", message: `Session not found: ${req.params.sessionId}` },
+        });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error("Session delete error:", error);
+      res.status(500).json({ error: { code: "internal_error", message: "Failed to delete session" } });
+    }
+  });
+
+  // WebSocket中継（/relay）の開始前の検証。/token と同じ認証・パラメータの検証・レート制限を通す
+  function prepareRelay(req) {
+    // アップグレード要求は生のリクエストなので、Expressの req.ip（trust proxyを反映）を使えるようにする
+    Object.setPrototypeOf(req, app.request);
+    req.user = currentUser(req);
+    if (!req.user) {
+      return { error: { status: 401, code: "unauthorized" } };
+    }
+
+    const { searchParams } = new URL(req.url, "http://localhost");
+    const params = resolveSessionParams(Object.fromEntries(searchParams));
+    if (params.error) {
+      return { error: { status: params.error.status, code: params.error.body.error?.code ?? "bad_request" } };
+    }
+
+    const auditDetails = { model: params.model, voice: params.voice, prompt: params.promptType, transport: "relay" };
+    if (checkTokenRateLimit(req)) {
+      audit(req, "token.rate_limited", auditDetails);
+      return { error: { status: 429, code: "rate_limited" } };
+    }
+    audit(req, "relay.opened", auditDetails);
+    return params;
+  }
+
+  return { app, prepareRelay };
+}
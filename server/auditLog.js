@@ -0,0 +1,31 @@
+import fs from "fs";
+import path from "path";
+import { createSerialQueue } from "./fileUtils.js";
+
+// 監査ログ（1行1イベントのJSONL）
+// 誰がいつ、どのモデル・プロンプトでトークンを発行したか、ログインの成否などを記録する
+export const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || "./data/audit.jsonl";
+
+const enqueue = createSerialQueue();
+
+export function audit(req, event, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    event,
+    user: req.user?.username ?? null,
+    ip: req.ip,
+    ...details,
+  };
+  return enqueue(async () => {
+    await fs.promises.mkdir(path.dirname(path.resolve(AUDIT_LOG_FILE)), { recursive: true });
+    await fs.promises.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + "\n", "utf-8");
+  }).catch((error) => {
+    // 監査ログの失敗でAPIを止めない
+    console.error("Audit log error:", error);
+  });
+}
+
+// キューに積まれた書き込みがすべて終わるのを待つ（終了処理用）
+export function flushAuditLog() {
+  return enqueue(() => {});
+}
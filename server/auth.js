@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// APIの認証
+// AUTH_MODE で方式を切り替える:
+//   none     … 認証なし（既定、ローカル開発用）
+//   passcode … 共有パスコード（AUTH_PASSCODE）。ユーザー名は監査ログ用の自己申告
+//   users    … ユーザー一覧ファイル（AUTH_USERS_FILE）のユーザー名とパスワード
+// ログインに成功すると署名付きのCookieでセッションを保持する
+
+export const AUTH_MODE = process.env.AUTH_MODE || "none";
+export const USERS_FILE = process.env.AUTH_USERS_FILE || "./users.json";
+
+const COOKIE_NAME = "talktive_session";
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+// 署名用の秘密鍵。未設定なら起動ごとに生成する（再起動でログインし直しになる）
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (AUTH_MODE !== "none" && !process.env.AUTH_SECRET) {
+  console.warn("⚠️ AUTH_SECRET is not set; sessions will be invalidated on restart");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// パスワードのハッシュ（users.json に保存する形式: scrypt:<salt>:<hash>）
+export function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  return safeEqual(hashPassword(password, salt), stored);
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// users.json: { "users": [{ "username": "alice", "password": "scrypt:..." }] }
+function loadUsers() {
+  const data = JSON.parse(fs.readFileSync(USERS_FILE, "utf-8"));
+  return Array.isArray(data.users) ? data.users : [];
+}
+
+const providers = {
+  none: {
+    verify: () => ({ username: "anonymous" }),
+  },
+  passcode: {
+    verify: ({ username, password }) => {
+      const passcode = process.env.AUTH_PASSCODE;
+      if (!passcode || !safeEqual(password, passcode)) return null;
+      return { username: username || "guest" };
+    },
+  },
+  users: {
+    verify: ({ username, password }) => {
+      const user = loadUsers().find((entry) => entry.username === username);
+      // 存在しないユーザーでも同じだけ計算し、応答時間からユーザーの有無を推測させない
+      const valid = verifyPassword(password, user ? user.password : DUMMY_HASH);
+      return user && valid ? { username: user.username } : null;
+    },
+  },
+};
+
+export const isAuthEnabled = AUTH_MODE !== "none";
+
+if (!providers[AUTH_MODE]) {
+  throw new Error(`Unknown AUTH_MODE: ${AUTH_MODE} (expected none, passcode or users)`);
+}
+if (AUTH_MODE === "passcode" && !process.env.AUTH_PASSCODE) {
+  throw new Error("AUTH_PASSCODE must be set when AUTH_MODE=passcode");
+}
+if (AUTH_MODE === "users" && !fs.existsSync(USERS_FILE)) {
+  throw new Error(`AUTH_USERS_FILE not found: ${USERS_FILE}`);
+}
+
+// ログイン情報を検証し、成功すればユーザーを返す
+export function authenticate({ username, password } = {}) {
+  if (username !== undefined && username !== "" && !USERNAME_PATTERN.test(username)) {
+    return null;
+  }
+  if (typeof password !== "string" || password.length === 0) return null;
+  return providers[AUTH_MODE].verify({ username, password });
+}
+
+function sign(value) {
+  return crypto.createHmac("sha256", SECRET).update(value).digest("base64url");
+}
+
+function encodeSession(user) {
+  const payload = Buffer.from(
+    JSON.stringify({ u: user.username, exp: Date.now() + SESSION_TTL_MS }),
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+function decodeSession(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+  try {
+    const { u, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    if (typeof u !== "string" || !(exp > Date.now())) return null;
+    return { username: u };
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+export function setSessionCookie(req, res, user) {
+  res.cookie(COOKIE_NAME, encodeSession(user), {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: "/",
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { path: "/" });
+}
+
+// リクエストのユーザー（認証なしの場合は anonymous）
+export function currentUser(req) {
+  if (!isAuthEnabled) return { username: "anonymous" };
+  return decodeSession(readCookie(req, COOKIE_NAME));
+}
+
+// 認証が必要なルートのミドルウェア。req.user にユーザーを入れる
+export function requireAuth(req, res, next) {
+  const user = currentUser(req);
+  if (!user) {
+    return res.status(401).json({
+      error: { code: "unauthorized", message: "Login required" },
+    });
+  }
+  req.user = user;
+  next();
+}
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+// 一時ファイルに書き出してからrenameすることで、書き込み途中のファイルを読ませない
+export async function writeFileAtomically(file, contents) {
+  const target = path.resolve(file);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const tempFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempFile, contents, "utf-8");
+  try {
+    await fs.promises.rename(tempFile, target);
+  } catch (error) {
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+export function writeJsonAtomically(file, data) {
+  return writeFileAtomically(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+// 非同期処理を1本のキューで直列化する
+export function createSerialQueue() {
+  let queue = Promise.resolve();
+  return function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+}
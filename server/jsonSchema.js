@@ -0,0 +1,84 @@
+// ツール引数の検証に使う最小限のJSON Schemaバリデーター
+// 対応キーワード: type, properties, required, additionalProperties, items,
+// enum, minimum, maximum, minLength, maxLength, minItems, maxItems
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return actual === expected;
+}
+
+// 検証エラーの配列を返す（空配列なら妥当）
+export function validateSchema(schema, value, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      return [`${path} must be of type ${types.join(" | ")}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((candidate) => candidate === value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!Object.hasOwn(value, key)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validateSchema(properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
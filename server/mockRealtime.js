@@ -0,0 +1,343 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { WebSocketServer } from "ws";
+
+// オフライン開発・テスト用のRealtime APIのモック
+// REALTIME_MOCK=<フィクスチャ名> で有効になり、中継（/relay）の接続先がこのモックになる
+// WebRTC（SDP）は扱わないため、モックを使うときは中継だけで接続する（/token はエラーを返す）
+// フィクスチャ（fixtures/realtime/<名前>.json）に書いた順に、response.create ごとに1つずつ応答を返す
+//
+// フィクスチャの形式:
+//   {
+//     "session": { ... },            session.created に含める値（省略可）
+//     "vad": { "speechMs": 1500 },   この長さの音声が届いたら発話の終わりとみなす（server_vad時）
+//     "turns": [                     応答を使い切ったら先頭に戻る
+//       { "userTranscript": "...", "audioTranscript": "..." },   音声の応答（書き起こし付き）
+//       { "text": "..." },                                       テキストの応答
+//       { "functionCall": { "name": "...", "arguments": { } } }, 関数呼び出し
+//       { "error": { "type": "...", "code": "...", "message": "..." } },
+//       { "events": [ { "type": "..." } ] }                      任意のイベント列をそのまま送る
+//     ]
+//   }
+//   各ターンには "delayMs"（deltaの間隔）を指定できる
+
+export const MOCK_REALTIME_PATH = "/mock/realtime";
+export const MOCK_FIXTURES_DIR = process.env.REALTIME_MOCK_FIXTURES_DIR || "./fixtures/realtime";
+
+const DEFAULT_DELAY_MS = 40;
+const DEFAULT_SPEECH_MS = 1500;
+// PCM16・24kHz・モノラル
+const BYTES_PER_MS = 48;
+// 音声のdelta 1つあたりの長さ
+const AUDIO_CHUNK_MS = 100;
+
+function mockId(prefix) {
+  return `${prefix}_mock_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+export function loadMockFixture(name) {
+  const file = path.join(MOCK_FIXTURES_DIR, `${path.basename(name)}.json`);
+  const fixture = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(fixture.turns) || fixture.turns.length === 0) {
+    throw new Error(`Mock fixture ${file} must have at least one turn`);
+  }
+  return fixture;
+}
+
+// 文字列をdelta用に分割する（日本語でも自然に流れるよう数文字ずつ）
+function splitDeltas(text, size = 4) {
+  const chars = [...text];
+  const chunks = [];
+  for (let i = 0; i < chars.length; i += size) {
+    chunks.push(chars.slice(i, i + size).join(""));
+  }
+  return chunks;
+}
+
+// 書き起こしの長さに合わせた無音のPCM16（base64）
+function silentAudioChunks(transcript) {
+  const durationMs = Math.max(500, [...transcript].length * 120);
+  const chunk = Buffer.alloc(AUDIO_CHUNK_MS * BYTES_PER_MS).toString("base64");
+  return Array.from({ length: Math.ceil(durationMs / AUDIO_CHUNK_MS) }, () => chunk);
+}
+
+function mockUsage(turn) {
+  const outputText = [...(turn.text || turn.audioTranscript || "")].length;
+  return {
+    total_tokens: 40 + outputText * 2,
+    input_tokens: 40,
+    output_tokens: outputText * 2,
+    input_token_details: { text_tokens: 20, audio_tokens: 20, cached_tokens: 0, cached_tokens_details: {} },
+    output_token_details: {
+      text_tokens: outputText,
+      audio_tokens: turn.audioTranscript ? outputText : 0,
+    },
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 1本のWebSocket接続（1セッション）の振る舞い
+function createMockSession(ws, fixture, { model, voice, instructions }) {
+  const session = {
+    id: mockId("sess"),
+    object: "realtime.session",
+    model,
+    modalities: ["audio", "text"],
+    instructions: instructions ?? "",
+    voice: voice ?? "verse",
+    input_audio_format: "pcm16",
+    output_audio_format: "pcm16",
+    input_audio_transcription: null,
+    turn_detection: { type: "server_vad", threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+    tools: [],
+    tool_choice: "auto",
+    temperature: 0.8,
+    max_response_output_tokens: "inf",
+    ...fixture.session,
+  };
+  const speechMs = fixture.vad?.speechMs ?? DEFAULT_SPEECH_MS;
+  let turnIndex = 0;
+  let pendingUserTranscript = null;
+  let bufferedMs = 0;
+  let isSpeaking = false;
+  // 発話中の入力の会話アイテムID。本物のAPIと同じく、speech_started から書き起こしまで同じIDを使う
+  let inputItemId = null;
+  let activeResponse = null; // { id, cancelled }
+
+  function send(event) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ event_id: mockId("event"), ...event }));
+  }
+
+  function nextTurn() {
+    const turn = fixture.turns[turnIndex % fixture.turns.length];
+    turnIndex += 1;
+    return turn;
+  }
+
+  // 入力音声を確定し、次のターンのユーザー発話の書き起こしを返す
+  function commitInput() {
+    const itemId = inputItemId ?? mockId("item");
+    inputItemId = null;
+    const turn = fixture.turns[turnIndex % fixture.turns.length];
+    bufferedMs = 0;
+    send({ type: "input_audio_buffer.committed", previous_item_id: null, item_id: itemId });
+    send({
+      type: "conversation.item.created",
+      previous_item_id: null,
+      item: { id: itemId, object: "realtime.item", type: "message", role: "user", status: "completed", content: [{ type: "input_audio", transcript: null }] },
+    });
+    pendingUserTranscript = { itemId, transcript: turn.userTranscript ?? "" };
+    if (session.input_audio_transcription) {
+      send({
+        type: "conversation.item.input_audio_transcription.completed",
+        item_id: itemId,
+        content_index: 0,
+        transcript: pendingUserTranscript.transcript,
+      });
+    }
+  }
+
+  async function streamDeltas(response, type, base, deltas, delayMs) {
+    for (const delta of deltas) {
+      if (response.cancelled) return false;
+      send({ type, ...base, delta });
+      await sleep(delayMs);
+    }
+    return !response.cancelled;
+  }
+
+  async function playTurn(turn) {
+    const response = { id: mockId("resp"), cancelled: false };
+    activeResponse = response;
+    const delayMs = turn.delayMs ?? DEFAULT_DELAY_MS;
+    const output = [];
+
+    send({ type: "response.created", response: { id: response.id, object: "realtime.response", status: "in_progress", output: [] } });
+
+    if (turn.error) {
+      send({ type: "error", error: { type: "server_error", code: null, message: "Mock error", param: null, ...turn.error } });
+    } else if (turn.events) {
+      for (const event of turn.events) {
+        if (response.cancelled) break;
+        send(event);
+        await sleep(delayMs);
+      }
+    } else if (turn.functionCall) {
+      const item = {
+        id: mockId("item"),
+        object: "realtime.item",
+        type: "function_call",
+        status: "completed",
+        name: turn.functionCall.name,
+        call_id: mockId("call"),
+        arguments: JSON.stringify(turn.functionCall.arguments ?? {}),
+      };
+      const base = { response_id: response.id, item_id: item.id, output_index: 0, call_id: item.call_id };
+      send({ type: "response.output_item.added", response_id: response.id, output_index: 0, item: { ...item, status: "in_progress", arguments: "" } });
+      if (await streamDeltas(response, "response.function_call_arguments.delta", base, splitDeltas(item.arguments, 16), delayMs)) {
+        send({ type: "response.function_call_arguments.done", ...base, name: item.name, arguments: item.arguments });
+        send({ type: "response.output_item.done", response_id: response.id, output_index: 0, item });
+        output.push(item);
+      }
+    } else {
+      const isAudio = turn.audioTranscript !== undefined;
+      const transcript = isAudio ? turn.audioTranscript : (turn.text ?? "");
+      const item = { id: mockId("item"), object: "realtime.item", type: "message", role: "assistant", status: "completed" };
+      const part = isAudio ? { type: "audio", transcript } : { type: "text", text: transcript };
+      const base = { response_id: response.id, item_id: item.id, output_index: 0, content_index: 0 };
+
+      send({ type: "response.output_item.added", response_id: response.id, output_index: 0, item: { ...item, status: "in_progress", content: [] } });
+      send({ type: "response.content_part.added", ...base, part: isAudio ? { type: "audio", transcript: "" } : { type: "text", text: "" } });
+
+      let completed;
+      if (isAudio) {
+        // 書き起こしと音声を交互に流す（中継ではresponse.audio.deltaがバイナリでブラウザに届く）
+        const deltas = splitDeltas(transcript);
+        const audio = silentAudioChunks(transcript);
+        completed = true;
+        for (let i = 0; i < Math.max(deltas.length, audio.length) && completed; i++) {
+          if (deltas[i]) completed = await streamDeltas(response, "response.audio_transcript.delta", base, [deltas[i]], 0);
+          if (completed && audio[i]) completed = await streamDeltas(response, "response.audio.delta", base, [audio[i]], delayMs);
+        }
+        if (completed) {
+          send({ type: "response.audio.done", ...base });
+          send({ type: "response.audio_transcript.done", ...base, transcript });
+        }
+      } else {
+        completed = await streamDeltas(response, "response.text.delta", base, splitDeltas(transcript), delayMs);
+        if (completed) send({ type: "response.text.done", ...base, text: transcript });
+      }
+
+      if (completed) {
+        send({ type: "response.content_part.done", ...base, part });
+        send({ type: "response.output_item.done", response_id: response.id, output_index: 0, item: { ...item, content: [part] } });
+        output.push({ ...item, content: [part] });
+      }
+    }
+
+    if (activeResponse === response) activeResponse = null;
+    send({
+      type: "response.done",
+      response: {
+        id: response.id,
+        object: "realtime.response",
+        status: response.cancelled ? "cancelled" : "completed",
+        output,
+        usage: mockUsage(turn),
+      },
+    });
+  }
+
+  function startResponse() {
+    if (activeResponse) {
+      send({ type: "error", error: { type: "invalid_request_error", code: "conversation_already_has_active_response", message: "Conversation already has an active response", param: null } });
+      return;
+    }
+    playTurn(nextTurn()).catch((error) => {
+      console.error("Mock realtime error:", error);
+    });
+  }
+
+  // server_vad相当: 一定の長さの音声が届いたら発話の開始・終了として扱い、自動で応答する
+  function handleAudio(bytes) {
+    if (!session.turn_detection) return;
+    if (!isSpeaking) {
+      isSpeaking = true;
+      inputItemId = mockId("item");
+      send({ type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: inputItemId });
+    }
+    bufferedMs += bytes / BYTES_PER_MS;
+    if (bufferedMs >= speechMs) {
+      isSpeaking = false;
+      send({ type: "input_audio_buffer.speech_stopped", audio_end_ms: Math.round(bufferedMs), item_id: inputItemId });
+      commitInput();
+      if (session.turn_detection.create_response !== false) startResponse();
+    }
+  }
+
+  function handleClientEvent(event) {
+    switch (event.type) {
+      case "session.update":
+        Object.assign(session, event.session);
+        send({ type: "session.updated", session });
+        break;
+      case "input_audio_buffer.append":
+        handleAudio(Buffer.from(event.audio || "", "base64").length);
+        break;
+      case "input_audio_buffer.commit":
+        commitInput();
+        break;
+      case "input_audio_buffer.clear":
+        bufferedMs = 0;
+        isSpeaking = false;
+        inputItemId = null;
+        send({ type: "input_audio_buffer.cleared" });
+        break;
+      case "conversation.item.create": {
+        const item = { id: mockId("item"), object: "realtime.item", status: "completed", ...event.item };
+        send({ type: "conversation.item.created", previous_item_id: event.previous_item_id ?? null, item });
+        break;
+      }
+      case "conversation.item.truncate":
+        send({ type: "conversation.item.truncated", item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+        break;
+      case "response.create":
+        startResponse();
+        break;
+      case "response.cancel":
+        if (activeResponse) activeResponse.cancelled = true;
+        break;
+      default:
+        send({
+          type: "error",
+          error: { type: "invalid_request_error", code: "unknown_event", message: `Unknown event type: ${event.type}`, param: null, event_id: event.event_id },
+        });
+    }
+  }
+
+  send({ type: "session.created", session });
+
+  ws.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString("utf-8"));
+    } catch {
+      return send({ type: "error", error: { type: "invalid_request_error", code: "invalid_json", message: "Invalid JSON", param: null } });
+    }
+    handleClientEvent(event);
+  });
+  ws.on("close", () => {
+    if (activeResponse) activeResponse.cancelled = true;
+  });
+}
+
+// fixture: フィクスチャ名。apiKey: 中継がモックに接続するときの鍵
+export function createMockRealtime({ fixture: fixtureName, apiKey }) {
+  const fixture = loadMockFixture(fixtureName);
+  const wss = new WebSocketServer({ noServer: true });
+
+  return {
+    fixtureName,
+
+    // 声とinstructionsは中継が接続直後の session.update で送る
+    handleUpgrade(req, socket, head) {
+      const url = new URL(req.url, "http://localhost");
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      if (token !== apiKey) {
+        socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        createMockSession(ws, fixture, { model: url.searchParams.get("model") });
+      });
+    },
+
+    close() {
+      wss.clients.forEach((client) => client.close(1001, "server_shutdown"));
+      wss.close();
+    },
+  };
+}
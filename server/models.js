@@ -0,0 +1,29 @@
+// トークン発行を許可するRealtimeモデル
+// OPENAI_ALLOWED_MODELS（カンマ区切り）で上書きでき、OPENAI_MODEL を既定のモデルとする
+
+const BUILTIN_MODELS = [
+  "gpt-4o-realtime-preview-2024-12-17",
+  "gpt-4o-mini-realtime-preview-2024-12-17",
+  "gpt-4o-realtime-preview",
+  "gpt-4o-mini-realtime-preview",
+];
+
+function parseModelList(value) {
+  return (value || "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+const configuredModels = parseModelList(process.env.OPENAI_ALLOWED_MODELS);
+
+export const DEFAULT_MODEL = process.env.OPENAI_MODEL || (configuredModels[0] ?? BUILTIN_MODELS[0]);
+
+// 既定のモデルは許可リストに無くても必ず使えるようにする
+export const ALLOWED_MODELS = [
+  ...new Set([DEFAULT_MODEL, ...(configuredModels.length > 0 ? configuredModels : BUILTIN_MODELS)]),
+];
+
+export function isAllowedModel(model) {
+  return ALLOWED_MODELS.includes(model);
+}
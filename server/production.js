@@ -0,0 +1,139 @@
+import express from "express";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import zlib from "zlib";
+
+// 本番モードの配信（npm run build の成果物を使う）
+// client/dist/client … 静的ファイルとSSRマニフェスト
+// client/dist/server … SSR用のエントリ
+
+export const DIST_DIR = path.resolve("./client/dist");
+
+const COMPRESSIBLE = /\.(js|mjs|css|html|svg|json|txt|map)$/;
+const MIN_COMPRESS_BYTES = 1024;
+
+// ファイル名にハッシュが付いたアセットは内容が変わらないため長期キャッシュする
+const IMMUTABLE_CACHE = "public, max-age=31536000, immutable";
+const REVALIDATE_CACHE = "no-cache";
+
+function negotiateEncoding(req) {
+  const accept = req.headers["accept-encoding"] || "";
+  if (/\bbr\b/.test(accept)) return "br";
+  if (/\bgzip\b/.test(accept)) return "gzip";
+  return null;
+}
+
+// 静的ファイルは一度だけ高圧縮し、HTMLはリクエストごとに速度優先で圧縮する
+function compress(buffer, encoding, { fast = false } = {}) {
+  if (encoding === "br") {
+    return zlib.brotliCompressSync(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: fast ? 4 : 11 },
+    });
+  }
+  return zlib.gzipSync(buffer, { level: fast ? 6 : 9 });
+}
+
+function cacheControlFor(urlPath) {
+  return urlPath.startsWith("/assets/") ? IMMUTABLE_CACHE : REVALIDATE_CACHE;
+}
+
+// テキスト系のファイルは圧縮済みの内容をメモリに持ち、それ以外は express.static に任せる
+export function serveStatic(root) {
+  const compressed = new Map();
+  const fallback = express.static(root, {
+    index: false,
+    setHeaders: (res, filePath) => {
+      const urlPath = "/" + path.relative(root, filePath).split(path.sep).join("/");
+      res.set("Cache-Control", cacheControlFor(urlPath));
+    },
+  });
+
+  return async function staticMiddleware(req, res, next) {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+    // テンプレートはSSRを通してだけ返す
+    if (req.path === "/index.html") return next();
+
+    const encoding = negotiateEncoding(req);
+    if (!encoding || !COMPRESSIBLE.test(req.path)) return fallback(req, res, next);
+
+    let filePath;
+    try {
+      filePath = path.resolve(root, "." + decodeURIComponent(req.path));
+    } catch {
+      return next();
+    }
+    if (!filePath.startsWith(root + path.sep)) return next();
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch {
+      return next();
+    }
+    if (!stat.isFile() || stat.size < MIN_COMPRESS_BYTES) return fallback(req, res, next);
+
+    const key = `${filePath}:${encoding}`;
+    let entry = compressed.get(key);
+    if (!entry || entry.mtimeMs !== stat.mtimeMs) {
+      entry = { mtimeMs: stat.mtimeMs, body: compress(await fs.promises.readFile(filePath), encoding) };
+      compressed.set(key, entry);
+    }
+
+    res.set({
+      "Cache-Control": cacheControlFor(req.path),
+      "Content-Encoding": encoding,
+      Vary: "Accept-Encoding",
+    });
+    res.type(path.extname(filePath)).send(entry.body);
+  };
+}
+
+// SSRしたHTMLを返す（圧縮できれば圧縮する）
+export function sendHtml(req, res, html) {
+  res.set({ "Content-Type": "text/html; charset=utf-8", "Cache-Control": REVALIDATE_CACHE, Vary: "Accept-Encoding" });
+  const encoding = negotiateEncoding(req);
+  if (!encoding || Buffer.byteLength(html) < MIN_COMPRESS_BYTES) {
+    return res.status(200).end(html);
+  }
+  res.set("Content-Encoding", encoding).status(200).end(compress(Buffer.from(html), encoding, { fast: true }));
+}
+
+// SSRマニフェストから、テンプレートにまだ無いJS/CSSのプリロードを作る
+// （コード分割されたチャンクを最初の描画と並行して取得させる）
+function renderPreloadLinks(manifest, template) {
+  const files = new Set(Object.values(manifest).flat());
+  return [...files]
+    .filter((file) => !template.includes(file))
+    .map((file) => {
+      if (file.endsWith(".js")) return `<link rel="modulepreload" crossorigin href="${file}">`;
+      if (file.endsWith(".css")) return `<link rel="stylesheet" href="${file}">`;
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n    ");
+}
+
+// ビルド成果物を読み込み、SSRのテンプレートとrender関数を返す
+export async function loadProductionBuild() {
+  const clientDir = path.join(DIST_DIR, "client");
+  const templateFile = path.join(clientDir, "index.html");
+  const manifestFile = path.join(clientDir, ".vite", "ssr-manifest.json");
+  const serverEntry = path.join(DIST_DIR, "server", "entry-server.js");
+
+  for (const file of [templateFile, manifestFile, serverEntry]) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Production build not found: ${file} (run \`npm run build\` first)`);
+    }
+  }
+
+  const template = fs.readFileSync(templateFile, "utf-8");
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, "utf-8"));
+  const { render } = await import(pathToFileURL(serverEntry).href);
+
+  return {
+    clientDir,
+    template: template.replace("<!-- head -->", renderPreloadLinks(manifest, template)),
+    render,
+  };
+}
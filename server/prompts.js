@@ -0,0 +1,112 @@
+import fs from "fs";
+import { createSerialQueue, writeJsonAtomically } from "./fileUtils.js";
+
+// プロンプトプロファイルの保存先（{ "プロファイル名": "instructions" } 形式のJSON）
+export const PROMPTS_FILE = process.env.PROMPTS_FILE || "./prompts.json";
+
+export const DEFAULT_PROMPT_NAME = "default";
+
+const DEFAULT_PROMPTS = {
+  [DEFAULT_PROMPT_NAME]:
+    "あなたは親切で丁寧なAIアシスタントです。ユーザーの質問に対して分かりやすく回答してください。",
+};
+
+// 日本語などの文字と途中の空白も使える。URLのパスに載せるため '/' などの記号は不可
+const PROFILE_NAME_PATTERN = /^(?! )[\p{L}\p{M}\p{N}_ -]{1,64}(?<! )$/u;
+const MAX_INSTRUCTIONS_LENGTH = 16000;
+// プロファイルは普通のオブジェクトのキーとして扱うため、プロトタイプに関わる名前は使えない
+const RESERVED_PROFILE_NAMES = ["__proto__", "constructor", "prototype"];
+
+// APIから作成・更新するプロファイル名のバリデーション。問題があればエラーメッセージを返す
+export function validateProfileName(name) {
+  if (typeof name !== "string" || !PROFILE_NAME_PATTERN.test(name)) {
+    return "name must be 1-64 characters of letters, digits, spaces, '_' or '-' (no leading or trailing spaces)";
+  }
+  if (RESERVED_PROFILE_NAMES.includes(name)) {
+    return `name must not be one of ${RESERVED_PROFILE_NAMES.join(", ")}`;
+  }
+  return null;
+}
+
+// instructionsのバリデーション。問題があればエラーメッセージを返す
+export function validateInstructions(instructions) {
+  if (typeof instructions !== "string" || instructions.trim() === "") {
+    return "instructions must be a non-empty string";
+  }
+  if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+    return `instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters`;
+  }
+  return null;
+}
+
+// ファイルの中身を使えるプロファイルとそれ以外に分ける
+// 手で編集したファイルでは名前の制限は問わず、instructionsが文字列でない項目だけを除く
+// "__proto__" のような名前も普通の項目として残すよう、プロトタイプの無いオブジェクトに振り分ける
+function splitPromptsFile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("prompts file must contain a JSON object");
+  }
+  const prompts = Object.create(null);
+  const skipped = Object.create(null);
+  for (const [name, instructions] of Object.entries(data)) {
+    const error = validateInstructions(instructions);
+    if (error) {
+      console.warn(`⚠️ プロンプト "${name}" を読み飛ばしました: ${error}`);
+      skipped[name] = instructions;
+    } else {
+      prompts[name] = instructions;
+    }
+  }
+  return { prompts, skipped };
+}
+
+// プロンプトファイルを読み込む。ファイルが無い場合のみデフォルトを返し、JSONとして壊れている場合は例外を投げる
+// skipped は使えなかった項目で、書き込み時にそのまま残す
+function readPromptsFile() {
+  let promptsData;
+  try {
+    promptsData = fs.readFileSync(PROMPTS_FILE, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { prompts: { ...DEFAULT_PROMPTS }, skipped: {} };
+    }
+    throw error;
+  }
+  const { prompts, skipped } = splitPromptsFile(JSON.parse(promptsData));
+  return { prompts: { ...DEFAULT_PROMPTS, ...prompts }, skipped };
+}
+
+// プロンプトファイルを読み込む関数（失敗時はデフォルトにフォールバック）
+export function loadSystemPrompts() {
+  try {
+    console.log(`プロンプトファイルを読み込み中: ${PROMPTS_FILE}`);
+    return readPromptsFile().prompts;
+  } catch (error) {
+    console.error("プロンプトファイルの読み込みに失敗しました:", error);
+    return { ...DEFAULT_PROMPTS };
+  }
+}
+
+// 読み込み→変更→書き込みが同時に走らないよう直列化する
+// mutateがfalseを返した場合は変更なしとして書き込まない
+// 既存ファイルがJSONとして壊れている場合は上書きせずにエラーにする
+const enqueueWrite = createSerialQueue();
+
+export function updatePrompts(mutate) {
+  return enqueueWrite(async () => {
+    const { prompts, skipped } = readPromptsFile();
+    const result = mutate(prompts);
+    if (result !== false) {
+      // 読み飛ばした項目は消さずに残す（同じ名前で保存し直した場合はそちらを優先）
+      await writeJsonAtomically(PROMPTS_FILE, { ...skipped, ...prompts });
+    }
+    return result;
+  });
+}
+
+export function toProfileList(prompts) {
+  return Object.entries(prompts).map(([name, instructions]) => ({
+    name,
+    instructions,
+  }));
+}
@@ -0,0 +1,36 @@
+// メモリ上のスライディングウィンドウ方式のレート制限
+// キー（ユーザー名やIPアドレス）ごとに直近windowMsのリクエスト時刻を保持する
+
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  function recent(key, now) {
+    const timestamps = (hits.get(key) || []).filter((time) => now - time < windowMs);
+    if (timestamps.length > 0) hits.set(key, timestamps);
+    else hits.delete(key);
+    return timestamps;
+  }
+
+  // 古いキーを定期的に掃除する（プロセスの終了は妨げない）
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const key of hits.keys()) recent(key, now);
+  }, windowMs);
+  cleanup.unref();
+
+  return {
+    windowMs,
+    max,
+    // 1回分を消費する。上限に達していれば消費せず retryAfterMs を返す
+    hit(key, now = Date.now()) {
+      if (!max || max <= 0) return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+      const timestamps = recent(key, now);
+      if (timestamps.length >= max) {
+        return { allowed: false, remaining: 0, retryAfterMs: windowMs - (now - timestamps[0]) };
+      }
+      timestamps.push(now);
+      hits.set(key, timestamps);
+      return { allowed: true, remaining: max - timestamps.length, retryAfterMs: 0 };
+    },
+  };
+}
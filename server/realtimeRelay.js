@@ -0,0 +1,143 @@
+import { WebSocket, WebSocketServer } from "ws";
+
+// Realtime APIのWebSocket中継
+// ブラウザとはWebSocket（/relay）でつなぎ、サーバーが持つAPIキーでRealtime APIのWebSocketに接続する
+//   ブラウザ → サーバー: JSONのクライアントイベント、マイクのPCM16（バイナリ）
+//   サーバー → ブラウザ: JSONのサーバーイベント、モデルの音声のPCM16（バイナリ）
+// 音声をバイナリで流すことで、イベントログにはWebRTCのときと同じイベントだけが並ぶ
+
+export const RELAY_PATH = "/relay";
+
+const REALTIME_URL = "wss://api.openai.com/v1/realtime";
+const MAX_CLIENT_PAYLOAD = 1024 * 1024;
+const HEARTBEAT_INTERVAL_MS = 30_000;
+
+// 接続前のエラーはクローズコード 4000 + HTTPステータス、理由にエラーコードを入れて返す
+function reject(client, status, code) {
+  client.close(4000 + status, code);
+}
+
+// prepare(req) は /token と同じ検証（認証・モデル・レート制限）を行い、
+// { model, voice, instructions } か { error: { status, code } } を返す
+// realtimeUrl を変えるとモック（server/mockRealtime.js）などに中継できる
+export function createRealtimeRelay({ apiKey, prepare, realtimeUrl = REALTIME_URL }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_CLIENT_PAYLOAD });
+
+  async function handleClient(client, req) {
+    const session = await prepare(req);
+    if (session.error) {
+      return reject(client, session.error.status, session.error.code);
+    }
+    if (!apiKey) {
+      return reject(client, 500, "missing_api_key");
+    }
+
+    const upstream = new WebSocket(`${realtimeUrl}?model=${encodeURIComponent(session.model)}`, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "OpenAI-Beta": "realtime=v1",
+      },
+    });
+    let isReady = false;
+
+    upstream.on("open", () => {
+      // /token で作るセッションと同じ声とinstructionsにする
+      upstream.send(
+        JSON.stringify({
+          type: "session.update",
+          session: { voice: session.voice, instructions: session.instructions },
+        }),
+      );
+      isReady = true;
+      client.send(JSON.stringify({ type: "relay.ready", model: session.model }));
+      console.log(`🔀 Relay opened (${session.model})`);
+    });
+
+    upstream.on("unexpected-response", (request, response) => {
+      console.error(`Relay error: upstream returned ${response.statusCode}`);
+      reject(client, response.statusCode, "upstream_error");
+      request.destroy();
+    });
+
+    upstream.on("error", (error) => {
+      console.error("Relay upstream error:", error.message);
+      if (!isReady) reject(client, 502, "upstream_unreachable");
+    });
+
+    upstream.on("message", (data, isBinary) => {
+      if (client.readyState !== WebSocket.OPEN || isBinary) return;
+      const text = data.toString("utf-8");
+      let event = null;
+      try {
+        event = JSON.parse(text);
+      } catch {
+        return;
+      }
+      if (event.type === "response.audio.delta") {
+        client.send(Buffer.from(event.delta || "", "base64"), { binary: true });
+        return;
+      }
+      client.send(text);
+    });
+
+    upstream.on("close", (code, reason) => {
+      if (isReady && client.readyState === WebSocket.OPEN) {
+        console.warn(`⚠️ Relay upstream closed (${code}${reason.length ? `: ${reason}` : ""})`);
+        client.close(1011, "upstream_closed");
+      }
+    });
+
+    client.on("message", (data, isBinary) => {
+      if (!isReady || upstream.readyState !== WebSocket.OPEN) return;
+      if (isBinary) {
+        upstream.send(JSON.stringify({ type: "input_audio_buffer.append", audio: data.toString("base64") }));
+        return;
+      }
+      // JSONオブジェクトのイベントだけを通す
+      try {
+        const event = JSON.parse(data.toString("utf-8"));
+        if (typeof event?.type !== "string") return;
+      } catch {
+        return;
+      }
+      upstream.send(data.toString("utf-8"));
+    });
+
+    client.on("close", () => {
+      if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+        upstream.terminate();
+      }
+      if (isReady) console.log("🔀 Relay closed");
+    });
+
+    // 無通信で切るプロキシ対策と、応答のないクライアントの検出
+    let isAlive = true;
+    client.on("pong", () => {
+      isAlive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!isAlive) return client.terminate();
+      isAlive = false;
+      client.ping();
+    }, HEARTBEAT_INTERVAL_MS);
+    client.on("close", () => clearInterval(heartbeat));
+  }
+
+  return {
+    // サーバーの upgrade イベントから RELAY_PATH へのリクエストを渡す
+    handleUpgrade(req, socket, head) {
+      wss.handleUpgrade(req, socket, head, (client) => {
+        handleClient(client, req).catch((error) => {
+          console.error("Relay error:", error);
+          reject(client, 500, "relay_error");
+        });
+      });
+    },
+
+    // 終了処理用: すべての中継を閉じる
+    close() {
+      wss.clients.forEach((client) => client.close(1001, "server_shutdown"));
+      wss.close();
+    },
+  };
+}
@@ -0,0 +1,207 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createSerialQueue, writeJsonAtomically } from "./fileUtils.js";
+
+// 会話セッションの保存先
+// <SESSIONS_DIR>/<id>/meta.json   メタデータ（開始・終了時刻、モデル、プロファイルなど）
+// <SESSIONS_DIR>/<id>/events.jsonl イベント（古い順、1行1イベント）
+// <SESSIONS_DIR>/<id>/recordings/  録音（mic / model / mix のステム）
+export const SESSIONS_DIR = process.env.SESSIONS_DIR || "./data/sessions";
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const META_FIELDS = ["model", "voice", "promptProfile", "endedAt", "resumedFrom", "usage"];
+
+// 使用量として保存する項目（トークン数と料金、すべて数値）
+const USAGE_FIELDS = [
+  "inputText",
+  "inputAudio",
+  "cachedText",
+  "cachedAudio",
+  "outputText",
+  "outputAudio",
+  "costUsd",
+  "responses",
+];
+
+export const RECORDING_STEMS = ["mic", "model", "mix"];
+
+const RECORDING_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+};
+
+const enqueue = createSerialQueue();
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+function sessionDir(id) {
+  return path.join(SESSIONS_DIR, id);
+}
+
+function metaFile(id) {
+  return path.join(sessionDir(id), "meta.json");
+}
+
+function eventsFile(id) {
+  return path.join(sessionDir(id), "events.jsonl");
+}
+
+// 許可されたメタデータ項目だけを取り出す
+function pickMeta(input = {}) {
+  const meta = {};
+  META_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) meta[field] = input[field];
+  });
+  if (meta.usage !== undefined) {
+    const usage = pickUsage(meta.usage);
+    if (usage) meta.usage = usage;
+    else delete meta.usage;
+  }
+  return meta;
+}
+
+function pickUsage(input) {
+  if (!input || typeof input !== "object") return undefined;
+  const usage = {};
+  USAGE_FIELDS.forEach((field) => {
+    const value = Number(input[field]);
+    if (Number.isFinite(value) && value >= 0) usage[field] = value;
+  });
+  return usage;
+}
+
+async function readMeta(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(metaFile(id), "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+export function createSession(input) {
+  return enqueue(async () => {
+    const now = new Date().toISOString();
+    const meta = {
+      id: crypto.randomUUID(),
+      startedAt: now,
+      updatedAt: now,
+      endedAt: null,
+      eventCount: 0,
+      ...pickMeta(input),
+    };
+    await writeJsonAtomically(metaFile(meta.id), meta);
+    await fs.promises.writeFile(eventsFile(meta.id), "", "utf-8");
+    return meta;
+  });
+}
+
+export function appendEvents(id, events) {
+  return enqueue(async () => {
+    const meta = await readMeta(id);
+    if (!meta) return null;
+    if (events.length > 0) {
+      const lines = events.map((event) => JSON.stringify(event)).join("\n") + "\n";
+      await fs.promises.appendFile(eventsFile(id), lines, "utf-8");
+    }
+    meta.eventCount += events.length;
+    meta.updatedAt = new Date().toISOString();
+    await writeJsonAtomically(metaFile(id), meta);
+    return meta;
+  });
+}
+
+export function updateSession(id, input) {
+  return enqueue(async () => {
+    const meta = await readMeta(id);
+    if (!meta) return null;
+    Object.assign(meta, pickMeta(input), { updatedAt: new Date().toISOString() });
+    await writeJsonAtomically(metaFile(id), meta);
+    return meta;
+  });
+}
+
+export async function readSession(id) {
+  const meta = await readMeta(id);
+  if (!meta) return null;
+
+  const contents = await fs.promises.readFile(eventsFile(id), "utf-8").catch((error) => {
+    if (error.code === "ENOENT") return "";
+    throw error;
+  });
+  const events = [];
+  contents.split("\n").forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      // 書き込み途中で終了した行は読み飛ばす
+      console.error(`⚠️ Skipping corrupt event line in session ${id}`);
+    }
+  });
+
+  return { session: meta, events };
+}
+
+export async function listSessions() {
+  if (!fs.existsSync(SESSIONS_DIR)) return [];
+
+  const entries = await fs.promises.readdir(SESSIONS_DIR, { withFileTypes: true });
+  const metas = await Promise.all(
+    entries
+      .filter((entry) => entry.isDirectory() && isValidSessionId(entry.name))
+      .map((entry) => readMeta(entry.name).catch(() => null)),
+  );
+
+  return metas
+    .filter(Boolean)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+}
+
+export function deleteSession(id) {
+  return enqueue(async () => {
+    const meta = await readMeta(id);
+    if (!meta) return false;
+    await fs.promises.rm(sessionDir(id), { recursive: true, force: true });
+    return true;
+  });
+}
+
+// 録音ステムを保存し、メタデータに記録する
+// startedAtは録音の0秒地点（ミリ秒）。イベントのlogged_atと比較して再生位置を求める
+export function saveRecording(id, stem, data, { mimeType, startedAt }) {
+  return enqueue(async () => {
+    const meta = await readMeta(id);
+    if (!meta) return null;
+
+    const baseType = (mimeType || "").split(";")[0].trim();
+    const extension = RECORDING_EXTENSIONS[baseType] || "webm";
+    const file = `${stem}.${extension}`;
+    const dir = path.join(sessionDir(id), "recordings");
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, file), data);
+
+    const recordings = meta.recordings || { startedAt, stems: {} };
+    if (Number.isFinite(startedAt)) recordings.startedAt = startedAt;
+    recordings.stems[stem] = { file, mimeType: baseType || "audio/webm", size: data.length };
+    meta.recordings = recordings;
+    meta.updatedAt = new Date().toISOString();
+    await writeJsonAtomically(metaFile(id), meta);
+    return meta;
+  });
+}
+
+// 録音ファイルのパスとMIMEタイプを返す（無ければnull）
+export async function getRecording(id, stem) {
+  const meta = await readMeta(id);
+  const entry = meta?.recordings?.stems?.[stem];
+  if (!entry) return null;
+  return {
+    path: path.resolve(sessionDir(id), "recordings", entry.file),
+    mimeType: entry.mimeType,
+  };
+}
@@ -0,0 +1,134 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { Worker } from "worker_threads";
+import { validateSchema } from "./jsonSchema.js";
+
+// サーバー側ツールの置き場所（1ファイル1ツール）
+// 秘密情報やファイルシステムへのアクセスが必要なツールはブラウザではなくここで実行する
+const TOOLS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "tools");
+const WORKER_FILE = fileURLToPath(new URL("./toolWorker.js", import.meta.url));
+
+export const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+// ルートでHTTPステータスと構造化エラーに変換されるエラー
+export class ToolError extends Error {
+  constructor(code, message, status, details) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        ...(this.details ? { details: this.details } : {}),
+      },
+    };
+  }
+}
+
+// tools/ 以下のツール定義を読み込む
+export async function loadServerTools(dir = TOOLS_DIR) {
+  const tools = new Map();
+  if (!fs.existsSync(dir)) return tools;
+
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith(".js"));
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const { default: tool } = await import(pathToFileURL(filePath).href);
+    if (!tool || typeof tool.name !== "string" || typeof tool.handler !== "function") {
+      console.error(`⚠️ Skipping invalid server tool: ${file}`);
+      continue;
+    }
+    if (tools.has(tool.name)) {
+      throw new Error(`Duplicate server tool name: ${tool.name}`);
+    }
+    tools.set(tool.name, { ...tool, file: filePath });
+  }
+
+  console.log(`🛠️ Loaded ${tools.size} server tool(s)`);
+  return tools;
+}
+
+// クライアントに公開する宣言（handlerやファイルパスは含めない）
+export function describeServerTools(tools) {
+  return [...tools.values()].map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+    timeoutMs: tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+  }));
+}
+
+// ワーカースレッドでハンドラーを実行し、タイムアウト時はワーカーごと停止する
+function runInWorker(tool, args) {
+  const timeoutMs = tool.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { file: tool.file, args },
+    });
+    let settled = false;
+
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback();
+    };
+
+    const timer = setTimeout(() => {
+      finish(() =>
+        reject(
+          new ToolError(
+            "timeout",
+            `Tool "${tool.name}" timed out after ${timeoutMs}ms`,
+            504,
+          ),
+        ),
+      );
+    }, timeoutMs);
+
+    worker.once("message", (message) => {
+      finish(() => {
+        if (message.ok) {
+          resolve(message.output);
+        } else {
+          reject(new ToolError("tool_error", message.message, 500));
+        }
+      });
+    });
+
+    worker.once("error", (error) => {
+      finish(() => reject(new ToolError("tool_error", error.message, 500)));
+    });
+
+    worker.once("exit", (code) => {
+      finish(() =>
+        reject(
+          new ToolError("tool_error", `Tool "${tool.name}" exited with code ${code}`, 500),
+        ),
+      );
+    });
+  });
+}
+
+export async function invokeServerTool(tools, name, args) {
+  const tool = tools.get(name);
+  if (!tool) {
+    throw new ToolError("unknown_tool", `Unknown server tool: ${name}`, 404);
+  }
+
+  const errors = validateSchema(tool.parameters, args);
+  if (errors.length > 0) {
+    throw new ToolError("invalid_arguments", "Arguments do not match the tool schema", 400, errors);
+  }
+
+  return runInWorker(tool, args);
+}
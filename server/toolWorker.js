@@ -0,0 +1,13 @@
+import { parentPort, workerData } from "worker_threads";
+import { pathToFileURL } from "url";
+
+// ツールハンドラーを1回だけ実行して結果を親スレッドに返す
+const { file, args } = workerData;
+
+try {
+  const { default: tool } = await import(pathToFileURL(file).href);
+  const output = await tool.handler(args);
+  parentPort.postMessage({ ok: true, output: output ?? null });
+} catch (error) {
+  parentPort.postMessage({ ok: false, message: error?.message || String(error) });
+}
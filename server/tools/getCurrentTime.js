@@ -0,0 +1,25 @@
+// サーバーの現在時刻を指定タイムゾーンで返すツール
+export default {
+  name: "get_current_time",
+  description: "Call this function when the user asks for the current date or time.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: "IANA time zone name such as Asia/Tokyo. Defaults to the server time zone.",
+      },
+    },
+    additionalProperties: false,
+  },
+  timeoutMs: 2000,
+  async handler({ timezone }) {
+    const now = new Date();
+    const formatted = new Intl.DateTimeFormat("ja-JP", {
+      dateStyle: "full",
+      timeStyle: "long",
+      timeZone: timezone,
+    }).format(now);
+    return { iso: now.toISOString(), formatted, timezone: timezone || null };
+  },
+};
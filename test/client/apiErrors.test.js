@@ -0,0 +1,62 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { login, onUnauthorized } from "../../client/lib/authApi";
+import { fetchModels } from "../../client/lib/modelsApi";
+import { fetchPromptProfiles } from "../../client/lib/promptsApi";
+import { fetchSessions } from "../../client/lib/sessionsApi";
+import { invokeServerTool } from "../../client/tools";
+
+function stubResponse(status, body) {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } })),
+  );
+}
+
+describe("API client errors", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it.each([
+    ["prompts", fetchPromptProfiles],
+    ["sessions", fetchSessions],
+    ["models", fetchModels],
+  ])("reads the message of structured errors (%s)", async (_, call) => {
+    stubResponse(429, { error: { code: "rate_limited", message: "Too many requests", retryAfter: 10 } });
+
+    await expect(call()).rejects.toThrow("Too many requests");
+  });
+
+  it("notifies the login gate on 401", async () => {
+    const listener = vi.fn();
+    const unsubscribe = onUnauthorized(listener);
+    stubResponse(401, { error: { code: "unauthorized", message: "Login required" } });
+
+    await expect(fetchPromptProfiles()).rejects.toThrow("Login required");
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    await expect(fetchModels()).rejects.toThrow("Login required");
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not treat a failed login as an expired login", async () => {
+    const listener = vi.fn();
+    const unsubscribe = onUnauthorized(listener);
+    stubResponse(401, { error: { code: "invalid_credentials", message: "Invalid username or password" } });
+
+    await expect(login("alice", "wrong")).rejects.toMatchObject({ code: "invalid_credentials" });
+    expect(listener).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it("gives the model the code and details of tool errors", async () => {
+    stubResponse(400, {
+      error: { code: "invalid_arguments", message: "Invalid arguments", details: ["city is required"] },
+    });
+
+    await expect(invokeServerTool("get_weather", {})).rejects.toThrow(
+      "invalid_arguments: Invalid arguments (city is required)",
+    );
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, expect, it } from "vitest";
+import {
+  appendLogEvent,
+  buildEventLog,
+  coalesceDeltaEvents,
+  EMPTY_EVENT_LOG,
+  entryEventCount,
+  filterLogEntries,
+  isClientEvent,
+  MAX_GROUP_EVENTS,
+} from "../../client/lib/eventLog";
+import vadSession from "../fixtures/events/vad-session.json";
+import pushToTalkSession from "../fixtures/events/push-to-talk-session.json";
+
+// App.jsxの events と同じく新しい順にする
+const events = [...vadSession].reverse();
+
+function deltaEntries(entries, type) {
+  return entries.filter((entry) => entry.kind === "deltas" && entry.type === type);
+}
+
+describe("coalesceDeltaEvents", () => {
+  const entries = coalesceDeltaEvents(events);
+
+  it("merges each run of transcript deltas into the assembled text", () => {
+    const transcripts = deltaEntries(entries, "response.audio_transcript.delta");
+    const done = events.filter((event) => event.type === "response.audio_transcript.done");
+
+    // 新しい順なので、2つ目の音声応答が先に来る
+    expect(transcripts.map((entry) => entry.text)).toEqual(done.map((event) => event.transcript));
+  });
+
+  it("merges function call arguments", () => {
+    const [args] = deltaEntries(entries, "response.function_call_arguments.delta");
+    const done = events.find((event) => event.type === "response.function_call_arguments.done");
+
+    expect(JSON.parse(args.text)).toEqual(JSON.parse(done.arguments));
+    expect(args.events).toHaveLength(5);
+  });
+
+  it("counts the bytes of audio deltas instead of showing base64", () => {
+    const audio = deltaEntries(entries, "response.audio.delta");
+    const deltas = events.filter((event) => event.type === "response.audio.delta");
+
+    expect(audio).toHaveLength(2);
+    expect(audio.every((entry) => entry.isAudio && entry.text === "")).toBe(true);
+    expect(audio.reduce((sum, entry) => sum + entry.count, 0)).toBe(deltas.length);
+    // フィクスチャの音声は "AAAA"（3バイト）に置き換えてある
+    expect(audio.reduce((sum, entry) => sum + entry.byteLength, 0)).toBe(deltas.length * 3);
+  });
+
+  it("keeps every other event in order", () => {
+    const others = entries.filter((entry) => entry.kind === "event").map((entry) => entry.event);
+
+    expect(others).toEqual(events.filter((event) => !event.type.endsWith(".delta")));
+  });
+
+  it("keeps the deltas of a group in arrival order", () => {
+    const [latest] = deltaEntries(entries, "response.audio_transcript.delta");
+    const arrived = vadSession.filter(
+      (event) => event.type === "response.audio_transcript.delta" && event.item_id === latest.events[0].item_id,
+    );
+
+    expect(latest.events).toEqual(arrived);
+  });
+
+  it("starts a new group after a non-delta event", () => {
+    const delta = (delta) => ({ type: "response.text.delta", item_id: "item_1", content_index: 0, delta });
+    const grouped = coalesceDeltaEvents(
+      [delta("d"), delta("c"), { type: "rate_limits.updated", event_id: "event_x" }, delta("b"), delta("a")],
+    );
+
+    expect(grouped.map((entry) => entry.text ?? entry.event.type)).toEqual(["cd", "rate_limits.updated", "ab"]);
+  });
+
+  it("gives every entry a unique key", () => {
+    const keys = coalesceDeltaEvents([...events, { type: "output_audio_buffer.started" }]).map((entry) => entry.key);
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it("returns an empty list for no events", () => {
+    expect(coalesceDeltaEvents([])).toEqual([]);
+  });
+});
+
+describe("filterLogEntries", () => {
+  const entries = coalesceDeltaEvents([...pushToTalkSession].reverse());
+
+  it("filters by direction", () => {
+    const client = filterLogEntries(entries, { direction: "client" });
+    const server = filterLogEntries(entries, { direction: "server" });
+
+    expect(client.map((entry) => entry.event.type)).toEqual([
+      "response.create",
+      "input_audio_buffer.commit",
+      "input_audio_buffer.clear",
+      "session.update",
+    ]);
+    expect(client.length + server.length).toBe(entries.length);
+  });
+
+  it("filters by event type", () => {
+    const filtered = filterLogEntries(entries, { type: "response.text.delta" });
+
+    expect(filtered).toHaveLength(1);
+    expect(filtered[0].count).toBe(11);
+  });
+
+  it("searches payloads case-insensitively", () => {
+    const filtered = filterLogEntries(entries, { query: "TURN_DETECTION" });
+
+    expect(filtered.map((entry) => entry.event.type)).toEqual(["session.updated", "session.update"]);
+  });
+
+  it("searches the assembled text of merged deltas", () => {
+    const [textEntry] = deltaEntries(entries, "response.text.delta");
+    // delta同士の境目をまたぐ文字列でも見つかる
+    const query = textEntry.text.slice(2, 8);
+
+    expect(filterLogEntries(entries, { type: "response.text.delta", query })).toEqual([textEntry]);
+  });
+
+  it("returns everything without a filter", () => {
+    expect(filterLogEntries(entries)).toEqual(entries);
+  });
+});
+
+describe("appendLogEvent", () => {
+  const appendAll = (chronological, limit) =>
+    chronological.reduce((log, event) => appendLogEvent(log, event, limit), EMPTY_EVENT_LOG);
+
+  it("builds the same log one event at a time", () => {
+    expect(appendAll(vadSession)).toEqual(buildEventLog(events));
+    expect(appendAll(pushToTalkSession)).toEqual(buildEventLog([...pushToTalkSession].reverse()));
+  });
+
+  it("does not change the entries of earlier logs", () => {
+    const deltas = vadSession.filter((event) => event.type === "response.audio_transcript.delta");
+    const before = appendAll(deltas.slice(0, 2));
+    const text = before.entries[0].text;
+
+    appendLogEvent(before, deltas[2]);
+
+    expect(before.entries[0].text).toBe(text);
+    expect(before.entries[0].events).toHaveLength(2);
+  });
+
+  it("keeps only the first raw deltas of a long group but counts them all", () => {
+    const deltas = Array.from({ length: MAX_GROUP_EVENTS * 5 }, (_, i) => ({
+      type: "response.audio.delta",
+      event_id: `event_${i}`,
+      item_id: "item_1",
+      content_index: 0,
+      delta: "AAAA",
+    }));
+    const log = appendAll(deltas);
+    const [group] = log.entries;
+
+    expect(log.entries).toHaveLength(1);
+    expect(group.count).toBe(deltas.length);
+    expect(group.byteLength).toBe(deltas.length * 3);
+    expect(group.events).toEqual(deltas.slice(0, MAX_GROUP_EVENTS));
+    expect(buildEventLog([...deltas].reverse())).toEqual(log);
+  });
+
+  it("drops the oldest entries over the limit", () => {
+    const log = appendAll(vadSession, 10);
+
+    expect(log.entries).toHaveLength(10);
+    expect(log.entries).toEqual(coalesceDeltaEvents(events).slice(0, 10));
+    expect(log.count).toBe(vadSession.length);
+    expect(log.dropped + log.entries.reduce((sum, entry) => sum + entryEventCount(entry), 0)).toBe(
+      vadSession.length,
+    );
+    expect(buildEventLog(events, 10)).toEqual(log);
+  });
+
+  it("lists the distinct types in order", () => {
+    const log = appendAll(vadSession.slice(0, 3).concat(vadSession.slice(0, 3)));
+
+    expect(log.types).toEqual([...new Set(vadSession.slice(0, 3).map((event) => event.type))].sort());
+  });
+});
+
+describe("isClientEvent", () => {
+  it("tells client events from server events by event_id", () => {
+    const sessionCreated = vadSession.find((event) => event.type === "session.created");
+    const sessionUpdate = vadSession.find((event) => event.type === "session.update");
+
+    expect(isClientEvent(sessionCreated)).toBe(false);
+    expect(isClientEvent(sessionUpdate)).toBe(true);
+    expect(isClientEvent({ type: "output_audio_buffer.started" })).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildRecordingStopEvents,
+  getPushToTalkAction,
+  isTextInputTarget,
+  MIN_UTTERANCE_MS,
+} from "../../client/lib/pushToTalk";
+import pushToTalkSession from "../fixtures/events/push-to-talk-session.json";
+
+const HOLD = { code: "Space", mode: "hold" };
+const TOGGLE = { code: "Space", mode: "toggle" };
+
+const keydown = (code = "Space", extra = {}) => ({ type: "keydown", code, repeat: false, target: null, ...extra });
+const keyup = (code = "Space") => ({ type: "keyup", code, target: null });
+
+// App.jsxと同じように、キー操作ごとに録音状態を進めて送るイベントを集める
+function runKeys(keys, settings, durationMs = 1000) {
+  let isRecording = false;
+  const actions = [];
+  const sent = [];
+  keys.forEach((event) => {
+    const action = getPushToTalkAction(event, settings, isRecording);
+    if (!action) return;
+    actions.push(action);
+    if (action === "start") {
+      isRecording = true;
+      sent.push({ type: "input_audio_buffer.clear" });
+    } else {
+      isRecording = false;
+      sent.push(...buildRecordingStopEvents(durationMs));
+    }
+  });
+  return { actions, sent, isRecording };
+}
+
+describe("getPushToTalkAction", () => {
+  it("starts on keydown and stops on keyup in hold mode", () => {
+    expect(getPushToTalkAction(keydown(), HOLD, false)).toBe("start");
+    expect(getPushToTalkAction(keyup(), HOLD, true)).toBe("stop");
+  });
+
+  it("ignores keyup when not recording", () => {
+    expect(getPushToTalkAction(keyup(), HOLD, false)).toBeNull();
+  });
+
+  it("toggles on each keydown and ignores keyup in toggle mode", () => {
+    expect(getPushToTalkAction(keydown(), TOGGLE, false)).toBe("start");
+    expect(getPushToTalkAction(keyup(), TOGGLE, true)).toBeNull();
+    expect(getPushToTalkAction(keydown(), TOGGLE, true)).toBe("stop");
+  });
+
+  it("ignores auto-repeated keydown while holding", () => {
+    expect(getPushToTalkAction(keydown("Space", { repeat: true }), HOLD, true)).toBeNull();
+    expect(getPushToTalkAction(keydown("Space", { repeat: true }), TOGGLE, true)).toBeNull();
+  });
+
+  it("ignores other keys", () => {
+    expect(getPushToTalkAction(keydown("KeyA"), HOLD, false)).toBeNull();
+    expect(getPushToTalkAction(keyup("KeyA"), HOLD, true)).toBeNull();
+    expect(getPushToTalkAction(keydown("KeyT"), { code: "KeyT", mode: "hold" }, false)).toBe("start");
+  });
+
+  it("ignores keys typed into text inputs", () => {
+    const target = { tagName: "INPUT", type: "text" };
+    expect(getPushToTalkAction(keydown("Space", { target }), HOLD, false)).toBeNull();
+    expect(getPushToTalkAction(keydown("Space", { target: { tagName: "BUTTON" } }), HOLD, false)).toBe("start");
+  });
+
+  it("runs a full hold sequence with key repeat", () => {
+    const { actions, isRecording } = runKeys(
+      [keydown(), keydown("Space", { repeat: true }), keydown("Space", { repeat: true }), keyup(), keyup()],
+      HOLD,
+    );
+    expect(actions).toEqual(["start", "stop"]);
+    expect(isRecording).toBe(false);
+  });
+
+  it("runs a full toggle sequence", () => {
+    const { actions, isRecording } = runKeys([keydown(), keyup(), keydown(), keyup(), keydown()], TOGGLE);
+    expect(actions).toEqual(["start", "stop", "start"]);
+    expect(isRecording).toBe(true);
+  });
+});
+
+describe("buildRecordingStopEvents", () => {
+  it("discards utterances shorter than the minimum", () => {
+    expect(buildRecordingStopEvents(MIN_UTTERANCE_MS - 1)).toEqual([{ type: "input_audio_buffer.clear" }]);
+  });
+
+  it("commits the buffer and requests a response", () => {
+    expect(buildRecordingStopEvents(MIN_UTTERANCE_MS)).toEqual([
+      { type: "input_audio_buffer.commit" },
+      { type: "response.create" },
+    ]);
+  });
+
+  it("matches the client events of a recorded push-to-talk turn", () => {
+    const recorded = pushToTalkSession
+      .filter((event) => event.type.startsWith("input_audio_buffer.") || event.type === "response.create")
+      .filter((event) => !event.event_id.startsWith("event_"))
+      .map(({ type }) => ({ type }));
+
+    const { sent } = runKeys([keydown(), keyup()], HOLD, 500);
+
+    expect(sent).toEqual(recorded);
+  });
+});
+
+describe("isTextInputTarget", () => {
+  it("treats text fields and editable content as text input", () => {
+    expect(isTextInputTarget({ tagName: "TEXTAREA" })).toBe(true);
+    expect(isTextInputTarget({ tagName: "INPUT" })).toBe(true);
+    expect(isTextInputTarget({ tagName: "DIV", isContentEditable: true })).toBe(true);
+  });
+
+  it("does not treat buttons and checkboxes as text input", () => {
+    expect(isTextInputTarget({ tagName: "INPUT", type: "checkbox" })).toBe(false);
+    expect(isTextInputTarget({ tagName: "BUTTON" })).toBe(false);
+    expect(isTextInputTarget(null)).toBe(false);
+  });
+});
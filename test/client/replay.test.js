@@ -0,0 +1,177 @@
+import { describe, expect, it } from "vitest";
+import { buildEventLog } from "../../client/lib/eventLog";
+import {
+  buildReplayState,
+  buildTimelineMarkers,
+  createReplayer,
+  elapsedAt,
+  parseEventLog,
+} from "../../client/lib/replay";
+import { buildTranscript } from "../../client/lib/transcript";
+import { isToolEvent } from "../../client/tools";
+import vadSession from "../fixtures/events/vad-session.json";
+
+const session = { id: "s1", model: "gpt-4o-realtime-preview", startedAt: "2026-01-01T00:00:00.000Z" };
+
+function stepAfter(type, occurrence = 0) {
+  const indexes = vadSession.flatMap((event, index) => (event.type === type ? [index] : []));
+  return indexes[occurrence] + 1;
+}
+
+describe("parseEventLog", () => {
+  it("reads a session export", () => {
+    const parsed = parseEventLog(JSON.stringify({ session, events: vadSession }));
+
+    expect(parsed.session).toEqual(session);
+    expect(parsed.events).toEqual(vadSession);
+  });
+
+  it("reads a plain array of events", () => {
+    expect(parseEventLog(JSON.stringify(vadSession))).toEqual({ session: null, events: vadSession });
+  });
+
+  it("reads JSONL", () => {
+    const jsonl = vadSession.map((event) => JSON.stringify(event)).join("\n") + "\n";
+
+    expect(parseEventLog(jsonl).events).toEqual(vadSession);
+  });
+
+  it("rejects text that is not JSON", () => {
+    expect(() => parseEventLog("not json")).toThrow("JSONまたはJSONLとして読み込めません");
+  });
+
+  it("rejects logs without events", () => {
+    expect(() => parseEventLog(JSON.stringify({ session }))).toThrow("イベントの配列が見つかりません");
+  });
+
+  it("points at the first entry that is not an event", () => {
+    expect(() => parseEventLog(JSON.stringify([{ type: "session.created" }, { foo: 1 }]))).toThrow("2件目");
+  });
+});
+
+describe("buildReplayState", () => {
+  it("shows nothing before the first event", () => {
+    const state = buildReplayState(vadSession, 0, session);
+
+    expect(state.eventLog.entries).toEqual([]);
+    expect(state.turns).toEqual([]);
+    expect(state.toolEvents).toEqual([]);
+    expect(state.serverSession).toBeNull();
+    expect(state.sessionUsage.responses).toEqual([]);
+    expect(state.isAssistantSpeaking).toBe(false);
+  });
+
+  it("gives the log, turns and tool events as App.jsx keeps them", () => {
+    const state = buildReplayState(vadSession, vadSession.length, session);
+    const newestFirst = [...vadSession].reverse();
+
+    expect(state.eventLog).toEqual(buildEventLog(newestFirst));
+    expect(state.turns).toEqual(buildTranscript(newestFirst));
+    expect(state.toolEvents).toEqual(newestFirst.filter(isToolEvent));
+  });
+
+  it("does not modify the loaded events", () => {
+    const events = [...vadSession];
+    buildReplayState(events, 10, session);
+
+    expect(events).toEqual(vadSession);
+  });
+
+  it("follows the server session through session.updated", () => {
+    const created = buildReplayState(vadSession, stepAfter("session.created"), session);
+    const updated = buildReplayState(vadSession, stepAfter("session.updated"), session);
+
+    expect(created.serverSession).toEqual(vadSession[0].session);
+    expect(updated.serverSession.turn_detection).toMatchObject({ type: "server_vad" });
+  });
+
+  it("adds up the usage of the responses done so far", () => {
+    const first = buildReplayState(vadSession, stepAfter("response.done", 0), session);
+    const all = buildReplayState(vadSession, vadSession.length, session);
+
+    expect(first.sessionUsage.model).toBe(session.model);
+    expect(first.sessionUsage.responses).toHaveLength(1);
+    expect(all.sessionUsage.responses).toHaveLength(3);
+    expect(all.sessionUsage.responses[0].id).toBe(vadSession.findLast((e) => e.type === "response.done").response.id);
+  });
+
+  it("tracks whether the assistant is responding", () => {
+    expect(buildReplayState(vadSession, stepAfter("response.created"), session).isAssistantSpeaking).toBe(true);
+    expect(buildReplayState(vadSession, stepAfter("response.done"), session).isAssistantSpeaking).toBe(false);
+  });
+
+  it("rebuilds the transcript as it was at each point", () => {
+    const midResponse = buildReplayState(vadSession, stepAfter("response.audio_transcript.delta", 2)).turns;
+    const finished = buildReplayState(vadSession, stepAfter("response.done")).turns;
+    const transcript = vadSession.find((event) => event.type === "response.audio_transcript.done").transcript;
+
+    const assistantTurn = (turns) => turns.find((turn) => turn.role === "assistant");
+    expect(assistantTurn(midResponse).isPartial).toBe(true);
+    expect(transcript.startsWith(assistantTurn(midResponse).text)).toBe(true);
+    expect(assistantTurn(finished)).toMatchObject({ text: transcript, isPartial: false });
+  });
+});
+
+describe("createReplayer", () => {
+  it("gives the same state when playing forward one event at a time", () => {
+    const replayer = createReplayer(vadSession, session);
+
+    for (let step = 0; step <= vadSession.length; step++) {
+      expect(replayer.stateAt(step)).toEqual(buildReplayState(vadSession, step, session));
+    }
+  });
+
+  it("gives the same state after seeking back", () => {
+    const replayer = createReplayer(vadSession, session);
+    replayer.stateAt(vadSession.length);
+
+    expect(replayer.stateAt(10)).toEqual(buildReplayState(vadSession, 10, session));
+    expect(replayer.stateAt(stepAfter("response.done"))).toEqual(
+      buildReplayState(vadSession, stepAfter("response.done"), session),
+    );
+  });
+
+  it("returns the same state object for the same step", () => {
+    const replayer = createReplayer(vadSession, session);
+
+    expect(replayer.stateAt(20)).toBe(replayer.stateAt(20));
+  });
+});
+
+describe("buildTimelineMarkers", () => {
+  it("marks user turns, responses and function calls", () => {
+    expect(buildTimelineMarkers(vadSession).map((marker) => marker.kind)).toEqual([
+      "user",
+      "assistant",
+      "tool",
+      "assistant",
+    ]);
+    expect(buildTimelineMarkers(vadSession)[0].step).toBe(stepAfter("input_audio_buffer.committed"));
+  });
+
+  it("marks errors and typed user messages", () => {
+    const events = [
+      { type: "conversation.item.create", event_id: "c1", item: { type: "message", role: "user" } },
+      { type: "error", event_id: "event_1", error: { message: "boom" } },
+    ];
+
+    expect(buildTimelineMarkers(events)).toEqual([
+      { step: 1, kind: "user", type: "conversation.item.create" },
+      { step: 2, kind: "error", type: "error" },
+    ]);
+  });
+});
+
+describe("elapsedAt", () => {
+  it("measures from the first recorded time", () => {
+    const events = [{ type: "a", logged_at: 1000 }, { type: "b" }, { type: "c", logged_at: 3500 }];
+
+    expect(elapsedAt(events, 1)).toBe(0);
+    expect(elapsedAt(events, 2)).toBe(0);
+    expect(elapsedAt(events, 3)).toBe(2500);
+  });
+
+  it("returns null for logs without recorded times", () => {
+    expect(elapsedAt(vadSession, 10)).toBeNull();
+  });
+});
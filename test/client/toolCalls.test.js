@@ -0,0 +1,161 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  buildFunctionCallOutput,
+  buildToolResults,
+  createToolRegistry,
+  dispatchFunctionCall,
+  getFunctionCalls,
+  registry,
+  takePendingFunctionCalls,
+} from "../../client/tools";
+import vadSession from "../fixtures/events/vad-session.json";
+
+// App.jsxの events と同じく新しい順にする
+const events = [...vadSession].reverse();
+
+function responseDone(id, output) {
+  return { type: "response.done", event_id: `event_${id}`, response: { id: `resp_${id}`, output } };
+}
+
+function functionCall(name, args = {}, callId = `call_${name}`) {
+  return { type: "function_call", name, call_id: callId, arguments: JSON.stringify(args) };
+}
+
+describe("takePendingFunctionCalls", () => {
+  it("returns the function call of the recorded session once", () => {
+    const handled = new Set();
+
+    const pending = takePendingFunctionCalls(events, handled);
+
+    expect(pending).toHaveLength(1);
+    expect(pending[0]).toHaveLength(1);
+    expect(pending[0][0]).toMatchObject({ type: "function_call", name: "display_color_palette" });
+    // 3つのresponse.doneすべてを処理済みにする（関数呼び出しの無い応答も含む）
+    expect(handled.size).toBe(3);
+    expect(takePendingFunctionCalls(events, handled)).toEqual([]);
+  });
+
+  it("returns calls of new responses only, oldest first", () => {
+    const handled = new Set();
+    takePendingFunctionCalls(events, handled);
+
+    const first = responseDone("a", [functionCall("first")]);
+    const second = responseDone("b", [functionCall("second"), functionCall("third")]);
+    const pending = takePendingFunctionCalls([second, first, ...events], handled);
+
+    expect(pending.map((calls) => calls.map((call) => call.name))).toEqual([["first"], ["second", "third"]]);
+  });
+
+  it("falls back to the response id when there is no event_id", () => {
+    const handled = new Set();
+    const event = { type: "response.done", response: { id: "resp_x", output: [functionCall("f")] } };
+
+    expect(takePendingFunctionCalls([event], handled)).toHaveLength(1);
+    expect(handled.has("resp_x")).toBe(true);
+  });
+});
+
+describe("getFunctionCalls", () => {
+  it("ignores messages and other events", () => {
+    const message = { type: "message", role: "assistant", content: [] };
+
+    expect(getFunctionCalls(responseDone("m", [message, functionCall("f")])).map((call) => call.name)).toEqual(["f"]);
+    expect(getFunctionCalls({ type: "response.created", response: { output: [functionCall("f")] } })).toEqual([]);
+    expect(getFunctionCalls(null)).toEqual([]);
+  });
+});
+
+describe("dispatchFunctionCall", () => {
+  const [[recordedCall]] = takePendingFunctionCalls(events, new Set());
+
+  it("runs the recorded call with the built-in tool and returns the output", async () => {
+    const result = await dispatchFunctionCall(recordedCall, {}, registry);
+
+    expect(result.error).toBeUndefined();
+    expect(result.args.theme).toBe("海");
+    expect(result.output).toMatchObject({ displayed: true, count: 5 });
+
+    const output = buildFunctionCallOutput(result);
+    expect(output).toMatchObject({
+      type: "conversation.item.create",
+      item: { type: "function_call_output", call_id: recordedCall.call_id },
+    });
+    expect(JSON.parse(output.item.output)).toEqual(result.output);
+  });
+
+  it("passes the parsed arguments and context to the handler", async () => {
+    const handler = vi.fn(async () => "ok");
+    const tools = createToolRegistry([{ name: "echo", handler }]);
+    const context = { sendClientEvent: vi.fn() };
+
+    const result = await dispatchFunctionCall(functionCall("echo", { text: "hi" }), context, tools);
+
+    expect(handler).toHaveBeenCalledWith({ text: "hi" }, context);
+    expect(buildFunctionCallOutput(result).item.output).toBe("ok");
+  });
+
+  it("returns errors for unknown tools, invalid arguments and failing handlers", async () => {
+    const tools = createToolRegistry([
+      {
+        name: "broken",
+        handler: async () => {
+          throw new Error("boom");
+        },
+      },
+    ]);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const unknown = await dispatchFunctionCall(functionCall("missing"), {}, tools);
+    const invalid = await dispatchFunctionCall({ ...functionCall("broken"), arguments: "{" }, {}, tools);
+    const failed = await dispatchFunctionCall(functionCall("broken"), {}, tools);
+
+    expect(unknown.error).toBe("Unknown tool: missing");
+    expect(invalid.error).toMatch(/^Invalid arguments/);
+    expect(failed.error).toBe("boom");
+    expect(JSON.parse(buildFunctionCallOutput(failed).item.output)).toEqual({ error: "boom" });
+    vi.restoreAllMocks();
+  });
+});
+
+describe("buildToolResults", () => {
+  const outputIndex = vadSession.findIndex(
+    (event) => event.type === "conversation.item.create" && event.item.type === "function_call_output",
+  );
+  const upTo = (count) => vadSession.slice(0, count).reverse();
+
+  it("has no result until the output was sent back", () => {
+    expect(buildToolResults(upTo(outputIndex))).toEqual({});
+  });
+
+  it("pairs the recorded call with its output", () => {
+    const results = buildToolResults(upTo(outputIndex + 1));
+
+    expect(Object.keys(results)).toEqual(["display_color_palette"]);
+    expect(results.display_color_palette.args.theme).toBe("海");
+    expect(results.display_color_palette.output).toEqual(JSON.parse(vadSession[outputIndex].item.output));
+  });
+
+  it("restores errors and keeps the latest result per tool", () => {
+    const first = functionCall("lookup", { q: 1 }, "call_1");
+    const second = functionCall("lookup", { q: 2 }, "call_2");
+    const output = (callId, value) => ({
+      type: "conversation.item.create",
+      event_id: `client_${callId}`,
+      item: { type: "function_call_output", call_id: callId, output: value },
+    });
+
+    const results = buildToolResults(
+      [
+        responseDone("a", [first]),
+        output("call_1", "plain text"),
+        responseDone("b", [second]),
+        output("call_2", JSON.stringify({ error: "not found" })),
+      ].reverse(),
+    );
+
+    expect(results.lookup).toEqual({ call: second, args: { q: 2 }, error: "not found" });
+    expect(buildToolResults([output("call_1", "plain text"), responseDone("a", [first])]).lookup.output).toBe(
+      "plain text",
+    );
+  });
+});
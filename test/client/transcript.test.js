@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { buildTranscript, createTranscriptBuilder } from "../../client/lib/transcript";
+import vadSession from "../fixtures/events/vad-session.json";
+import pushToTalkSession from "../fixtures/events/push-to-talk-session.json";
+
+describe("createTranscriptBuilder", () => {
+  it.each([
+    ["vad", vadSession],
+    ["push-to-talk", pushToTalkSession],
+  ])("builds the same turns as buildTranscript (%s)", (_, session) => {
+    const builder = createTranscriptBuilder();
+    session.forEach((event) => builder.add(event));
+
+    expect(builder.turns()).toEqual(buildTranscript([...session].reverse()));
+  });
+
+  it("reports whether the turns changed", () => {
+    const builder = createTranscriptBuilder();
+
+    expect(builder.add({ type: "rate_limits.updated" })).toBe(false);
+    expect(builder.add({ type: "response.audio.delta", item_id: "item_1", delta: "AAAA" })).toBe(false);
+    expect(builder.add({ type: "response.text.delta", item_id: "item_1", delta: "こん" })).toBe(true);
+    expect(builder.add({ type: "response.done", response: { output: [{ id: "item_1" }] } })).toBe(true);
+    expect(builder.add({ type: "response.done", response: { output: [{ id: "item_1" }] } })).toBe(false);
+  });
+
+  it("does not change turns it returned before", () => {
+    const builder = createTranscriptBuilder();
+    builder.add({ type: "response.text.delta", item_id: "item_1", delta: "こん" });
+    const [before] = builder.turns();
+
+    builder.add({ type: "response.text.delta", item_id: "item_1", delta: "にちは" });
+    builder.add({ type: "response.done", response: { output: [{ id: "item_1" }] } });
+
+    expect(before).toMatchObject({ text: "こん", isPartial: true });
+    expect(builder.turns()[0]).toMatchObject({ text: "こんにちは", isPartial: false });
+  });
+});
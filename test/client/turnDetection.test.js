@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildTurnDetectionUpdate,
+  DEFAULT_TURN_DETECTION,
+  toTurnDetectionPayload,
+  validateTurnDetection,
+} from "../../client/lib/turnDetection";
+import vadSession from "../fixtures/events/vad-session.json";
+import pushToTalkSession from "../fixtures/events/push-to-talk-session.json";
+
+// 記録したセッションでクライアントが送ったsession.update（event_idとtimestampを除く）
+function recordedSessionUpdate(events) {
+  const { event_id, timestamp, ...event } = events.find((e) => e.type === "session.update");
+  return event;
+}
+
+describe("toTurnDetectionPayload", () => {
+  it("sends only the server_vad fields", () => {
+    expect(toTurnDetectionPayload({ ...DEFAULT_TURN_DETECTION, eagerness: "high" })).toEqual({
+      type: "server_vad",
+      threshold: 0.5,
+      prefix_padding_ms: 300,
+      silence_duration_ms: 500,
+    });
+  });
+
+  it("sends only the eagerness for semantic_vad", () => {
+    expect(toTurnDetectionPayload({ ...DEFAULT_TURN_DETECTION, type: "semantic_vad", eagerness: "low" })).toEqual({
+      type: "semantic_vad",
+      eagerness: "low",
+    });
+  });
+
+  it("sends null for manual turn detection", () => {
+    expect(toTurnDetectionPayload({ ...DEFAULT_TURN_DETECTION, type: "none" })).toBeNull();
+  });
+});
+
+describe("validateTurnDetection", () => {
+  it("accepts the defaults", () => {
+    expect(validateTurnDetection(DEFAULT_TURN_DETECTION)).toEqual([]);
+  });
+
+  it("rejects out-of-range values and a threshold of 1.0", () => {
+    expect(validateTurnDetection({ ...DEFAULT_TURN_DETECTION, silence_duration_ms: 50 })).toHaveLength(1);
+    expect(validateTurnDetection({ ...DEFAULT_TURN_DETECTION, threshold: 1 })).toHaveLength(1);
+  });
+
+  it("rejects unknown types and eagerness values", () => {
+    expect(validateTurnDetection({ ...DEFAULT_TURN_DETECTION, type: "client_vad" })).toHaveLength(1);
+    expect(
+      validateTurnDetection({ ...DEFAULT_TURN_DETECTION, type: "semantic_vad", eagerness: "extreme" }),
+    ).toHaveLength(1);
+  });
+});
+
+describe("buildTurnDetectionUpdate", () => {
+  it("builds the session.update recorded for a server_vad session", () => {
+    const { event, errors } = buildTurnDetectionUpdate(DEFAULT_TURN_DETECTION);
+
+    expect(errors).toEqual([]);
+    expect(event).toEqual(recordedSessionUpdate(vadSession));
+  });
+
+  it("fills in missing fields from the defaults", () => {
+    const { event } = buildTurnDetectionUpdate({ threshold: 0.8 });
+
+    expect(event.session.turn_detection).toEqual({
+      type: "server_vad",
+      threshold: 0.8,
+      prefix_padding_ms: 300,
+      silence_duration_ms: 500,
+    });
+  });
+
+  it("turns off server turn detection during push-to-talk", () => {
+    const { event } = buildTurnDetectionUpdate(DEFAULT_TURN_DETECTION, { isPushToTalkEnabled: true });
+
+    expect(event).toEqual(recordedSessionUpdate(pushToTalkSession));
+  });
+
+  it("ignores invalid settings during push-to-talk", () => {
+    const { event, errors } = buildTurnDetectionUpdate(
+      { ...DEFAULT_TURN_DETECTION, threshold: 2 },
+      { isPushToTalkEnabled: true },
+    );
+
+    expect(errors).toEqual([]);
+    expect(event.session.turn_detection).toBeNull();
+  });
+
+  it("does not build an event for invalid settings", () => {
+    const { event, errors } = buildTurnDetectionUpdate({ ...DEFAULT_TURN_DETECTION, threshold: 2 });
+
+    expect(event).toBeNull();
+    expect(errors.length).toBeGreaterThan(0);
+  });
+});
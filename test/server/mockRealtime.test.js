@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import http from "http";
+import { WebSocket } from "ws";
+import { createMockRealtime } from "../../server/mockRealtime.js";
+import { buildTranscript } from "../../client/lib/transcript.js";
+
+const API_KEY = "relay-key";
+// PCM16・24kHz・モノラルの100ミリ秒分
+const AUDIO_CHUNK = Buffer.alloc(4800).toString("base64");
+
+describe("mock Realtime API", () => {
+  let mockRealtime;
+  let server;
+  let ws;
+
+  beforeEach(async () => {
+    mockRealtime = createMockRealtime({ fixture: "default", apiKey: API_KEY });
+    server = http.createServer();
+    server.on("upgrade", (req, socket, head) => mockRealtime.handleUpgrade(req, socket, head));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(async () => {
+    ws?.terminate();
+    mockRealtime.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  // 接続してから、until を満たすイベントが届くまでのサーバーイベントを古い順に返す
+  function connect(onOpen, until) {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/mock/realtime?model=gpt-4o-realtime-preview`, {
+        headers: { Authorization: `Bearer ${API_KEY}` },
+      });
+      ws.on("open", () => onOpen((event) => ws.send(JSON.stringify(event))));
+      ws.on("message", (data) => {
+        const event = JSON.parse(data.toString("utf-8"));
+        events.push(event);
+        if (until(event)) resolve(events);
+      });
+      ws.on("error", reject);
+    });
+  }
+
+  it("uses one item id from speech_started to the transcription", async () => {
+    const events = await connect(
+      (send) => {
+        send({ type: "session.update", session: { input_audio_transcription: { model: "whisper-1" } } });
+        for (let i = 0; i < 15; i++) {
+          send({ type: "input_audio_buffer.append", audio: AUDIO_CHUNK });
+        }
+      },
+      (event) => event.type === "response.done",
+    );
+
+    const inputTypes = [
+      "input_audio_buffer.speech_started",
+      "input_audio_buffer.speech_stopped",
+      "input_audio_buffer.committed",
+      "conversation.item.input_audio_transcription.completed",
+    ];
+    const itemIds = events.filter((event) => inputTypes.includes(event.type)).map((event) => event.item_id);
+    const created = events.find((event) => event.type === "conversation.item.created" && event.item.role === "user");
+    expect(itemIds).toHaveLength(4);
+    expect(new Set([...itemIds, created.item.id]).size).toBe(1);
+
+    const turns = buildTranscript([...events].reverse());
+    expect(turns.map(({ role, text, isPartial }) => ({ role, text, isPartial }))).toEqual([
+      { role: "user", text: "こんにちは、聞こえますか？", isPartial: false },
+      { role: "assistant", text: "こんにちは！モックのアシスタントです。オフラインでも会話の流れを確認できます。", isPartial: false },
+    ]);
+  });
+});
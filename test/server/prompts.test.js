@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// PROMPTS_FILE はモジュールの読み込み時に決まるため、一時ファイルを指定してから読み込み直す
+async function createAppWithPrompts(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "talktive-prompts-"));
+  const file = path.join(dir, "prompts.json");
+  fs.writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  vi.stubEnv("PROMPTS_FILE", file);
+  vi.resetModules();
+  const { createApp } = await import("../../server/app.js");
+  const { app } = await createApp({ apiKey: "sk-test" });
+  return { app, file, dir };
+}
+
+function readFile(file) {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+describe("/prompts", () => {
+  let dir;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("lists profiles with Japanese names and spaces", async () => {
+    let app;
+    ({ app, dir } = await createAppWithPrompts({ default: "標準", 面接官: "面接をします", "code review": "レビュー" }));
+
+    const res = await request(app).get("/prompts").expect(200);
+
+    expect(res.body.prompts.map((profile) => profile.name)).toEqual(["default", "面接官", "code review"]);
+  });
+
+  it("skips only the broken entries and keeps them on write", async () => {
+    let app;
+    let file;
+    ({ app, file, dir } = await createAppWithPrompts({ default: "標準", 空: "", 数値: 1, 面接官: "面接をします" }));
+
+    const res = await request(app).get("/prompts").expect(200);
+    expect(res.body.prompts.map((profile) => profile.name)).toEqual(["default", "面接官"]);
+
+    await request(app).post("/prompts").send({ name: "通訳", instructions: "通訳します" }).expect(201);
+    expect(readFile(file)).toEqual({ 空: "", 数値: 1, default: "標準", 面接官: "面接をします", 通訳: "通訳します" });
+  });
+
+  it("edits and deletes profiles whose names the API would not accept", async () => {
+    let app;
+    let file;
+    ({ app, file, dir } = await createAppWithPrompts({ default: "標準", "a.b": "旧" }));
+
+    await request(app).put(`/prompts/${encodeURIComponent("a.b")}`).send({ instructions: "新" }).expect(200);
+    expect(readFile(file)["a.b"]).toBe("新");
+
+    await request(app).delete(`/prompts/${encodeURIComponent("a.b")}`).expect(204);
+    expect(readFile(file)).toEqual({ default: "標準" });
+
+    const res = await request(app).delete(`/prompts/${encodeURIComponent("a.b")}`).expect(404);
+    expect(res.body.error.code).toBe("prompt_not_found");
+  });
+
+  it("validates the names of new profiles", async () => {
+    let app;
+    ({ app, dir } = await createAppWithPrompts({ default: "標準" }));
+
+    const res = await request(app).post("/prompts").send({ name: "a/b", instructions: "x" }).expect(400);
+    expect(res.body.error).toMatchObject({ code: "invalid_request", message: expect.stringContaining("name must be") });
+    await request(app).post("/prompts").send({ name: " 先頭に空白", instructions: "x" }).expect(400);
+    await request(app).post("/prompts").send({ name: "x".repeat(65), instructions: "x" }).expect(400);
+    await request(app).post("/prompts").send({ name: "新しい プロファイル", instructions: "x" }).expect(201);
+  });
+
+  it("rejects names reserved by JavaScript objects", async () => {
+    let app;
+    let file;
+    ({ app, file, dir } = await createAppWithPrompts({ default: "標準" }));
+
+    for (const name of ["__proto__", "constructor", "prototype"]) {
+      const res = await request(app).post("/prompts").send({ name, instructions: "x" }).expect(400);
+      expect(res.body.error.code).toBe("invalid_request");
+    }
+    expect(readFile(file)).toEqual({ default: "標準" });
+  });
+
+  it("keeps a hand-edited __proto__ entry as a plain profile", async () => {
+    let app;
+    let file;
+    ({ app, file, dir } = await createAppWithPrompts('{ "default": "標準", "__proto__": "手で追加" }'));
+
+    const res = await request(app).get("/prompts").expect(200);
+    expect(res.body.prompts.map((profile) => profile.name)).toEqual(["default", "__proto__"]);
+
+    await request(app).put("/prompts/__proto__").send({ instructions: "更新" }).expect(200);
+    expect(Object.entries(readFile(file))).toEqual([
+      ["default", "標準"],
+      ["__proto__", "更新"],
+    ]);
+  });
+
+  it("falls back to the default when the file is not JSON", async () => {
+    let app;
+    ({ app, dir } = await createAppWithPrompts("{ broken"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await request(app).get("/prompts").expect(200);
+    expect(res.body.prompts.map((profile) => profile.name)).toEqual(["default"]);
+    // 壊れたファイルは上書きしない
+    await request(app).post("/prompts").send({ name: "新規", instructions: "x" }).expect(500);
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// SESSIONS_DIR はモジュールの読み込み時に決まるため、一時ディレクトリを指定してから読み込み直す
+async function createAppWithSessions() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "talktive-sessions-"));
+  vi.stubEnv("SESSIONS_DIR", dir);
+  vi.resetModules();
+  const { createApp } = await import("../../server/app.js");
+  const { app } = await createApp({ apiKey: "sk-test" });
+  return { app, dir };
+}
+
+describe("/sessions/:id/recordings/:stem", () => {
+  let app;
+  let dir;
+  let sessionId;
+
+  beforeEach(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    ({ app, dir } = await createAppWithSessions());
+    const res = await request(app).post("/sessions").send({ model: "gpt-4o-realtime-preview" }).expect(201);
+    sessionId = res.body.id;
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("serves an uploaded stem", async () => {
+    await request(app)
+      .post(`/sessions/${sessionId}/recordings/mic?startedAt=0`)
+      .set("Content-Type", "audio/webm")
+      .send(Buffer.from("audio"))
+      .expect(201);
+
+    const res = await request(app).get(`/sessions/${sessionId}/recordings/mic`).expect(200);
+    expect(res.headers["content-type"]).toContain("audio/webm");
+  });
+
+  it("rejects stems it does not record", async () => {
+    for (const stem of ["other", "__proto__", "constructor"]) {
+      const res = await request(app).get(`/sessions/${sessionId}/recordings/${stem}`).expect(400);
+      expect(res.body.error.code).toBe("unknown_recording_stem");
+    }
+  });
+
+  it("reports a stem that was not uploaded", async () => {
+    const res = await request(app).get(`/sessions/${sessionId}/recordings/mix`).expect(404);
+    expect(res.body.error.code).toBe("recording_not_found");
+  });
+});
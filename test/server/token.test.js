@@ -0,0 +1,183 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../../server/app.js";
+import { createMockRealtime } from "../../server/mockRealtime.js";
+import { DEFAULT_MODEL } from "../../server/models.js";
+import { DEFAULT_VOICE } from "../../client/lib/voices.js";
+import prompts from "../fixtures/prompt-profiles.json";
+
+const SESSIONS_URL = "https://api.openai.com/v1/realtime/sessions";
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// OpenAIに送ったセッション作成リクエストの本文
+function upstreamBody(fetchMock, index = 0) {
+  return JSON.parse(fetchMock.mock.calls[index][1].body);
+}
+
+describe("GET /token", () => {
+  let app;
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = vi.fn(async () =>
+      jsonResponse(200, { id: "sess_123", client_secret: { value: "ek_123", expires_at: 0 } }),
+    );
+    vi.stubGlobal("fetch", fetchMock);
+    ({ app } = await createApp({ apiKey: "sk-test" }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("creates a session with the default prompt, voice and model", async () => {
+    const res = await request(app).get("/token");
+
+    expect(res.status).toBe(200);
+    expect(res.body.client_secret.value).toBe("ek_123");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(SESSIONS_URL);
+    expect(init.method).toBe("POST");
+    expect(init.headers.Authorization).toBe("Bearer sk-test");
+    expect(upstreamBody(fetchMock)).toEqual({
+      model: DEFAULT_MODEL,
+      voice: DEFAULT_VOICE,
+      instructions: prompts.default,
+    });
+  });
+
+  it("uses the instructions of the selected prompt profile", async () => {
+    await request(app).get("/token").query({ prompt: "interviewer", voice: "coral" }).expect(200);
+
+    expect(upstreamBody(fetchMock)).toMatchObject({
+      voice: "coral",
+      instructions: prompts.interviewer,
+    });
+  });
+
+  it("falls back to the default prompt for an unknown profile", async () => {
+    await request(app).get("/token").query({ prompt: "no-such-profile" }).expect(200);
+
+    expect(upstreamBody(fetchMock).instructions).toBe(prompts.default);
+  });
+
+  it("adds the model to the response when the upstream omits it", async () => {
+    const res = await request(app).get("/token").query({ model: "gpt-4o-mini-realtime-preview" });
+
+    expect(res.status).toBe(200);
+    expect(upstreamBody(fetchMock).model).toBe("gpt-4o-mini-realtime-preview");
+    expect(res.body.model).toBe("gpt-4o-mini-realtime-preview");
+  });
+
+  it("keeps the model returned by the upstream", async () => {
+    fetchMock.mockResolvedValueOnce(
+      jsonResponse(200, { model: "gpt-4o-realtime-preview", client_secret: { value: "ek_456" } }),
+    );
+
+    const res = await request(app).get("/token").query({ model: "gpt-4o-mini-realtime-preview" });
+
+    expect(res.body.model).toBe("gpt-4o-realtime-preview");
+  });
+
+  it("rejects an unsupported voice without calling the upstream", async () => {
+    const res = await request(app).get("/token").query({ voice: "robot" });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: { code: "unsupported_voice", message: "Unsupported voice: robot" } });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("rejects a model that is not allowed", async () => {
+    const res = await request(app).get("/token").query({ model: "gpt-4" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe("unsupported_model");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("passes through the upstream status and error body", async () => {
+    const upstreamError = {
+      error: { type: "invalid_request_error", code: "invalid_api_key", message: "Incorrect API key provided" },
+    };
+    fetchMock.mockResolvedValueOnce(jsonResponse(401, upstreamError));
+
+    const res = await request(app).get("/token");
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual(upstreamError);
+  });
+
+  it("reports an invalid upstream response", async () => {
+    fetchMock.mockResolvedValueOnce(new Response("<html>Bad Gateway</html>", { status: 502 }));
+
+    const res = await request(app).get("/token");
+
+    expect(res.status).toBe(502);
+    expect(res.body.error.code).toBe("invalid_upstream_response");
+  });
+
+  it("returns 502 when the upstream is unreachable", async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError("fetch failed"));
+
+    const res = await request(app).get("/token");
+
+    expect(res.status).toBe(502);
+    expect(res.body.error.code).toBe("upstream_unreachable");
+  });
+
+  it("rate limits token requests per IP", async () => {
+    let res;
+    for (let i = 0; i < 31; i++) {
+      res = await request(app).get("/token");
+    }
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe("rate_limited");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    expect(fetchMock).toHaveBeenCalledTimes(30);
+  });
+});
+
+describe("GET /token without an API key", () => {
+  it("returns missing_api_key", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    const { app } = await createApp({ apiKey: undefined });
+
+    const res = await request(app).get("/token");
+
+    expect(res.status).toBe(500);
+    expect(res.body.error.code).toBe("missing_api_key");
+    expect(fetchMock).not.toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+});
+
+describe("GET /token with the mock Realtime API", () => {
+  it("only offers the relay and does not mint keys", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    const mockRealtime = createMockRealtime({ fixture: "default", apiKey: "relay-key" });
+    const { app } = await createApp({ apiKey: undefined, mockRealtime });
+
+    const res = await request(app).get("/token").query({ prompt: "interviewer" });
+
+    expect(res.status).toBe(501);
+    expect(res.body.error.code).toBe("mock_relay_only");
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const config = await request(app).get("/realtime");
+    expect(config.body).toEqual({ mock: "default", transports: ["relay"] });
+
+    mockRealtime.close();
+    vi.unstubAllGlobals();
+  });
+});
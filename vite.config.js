@@ -1,4 +1,5 @@
 import { join, dirname, resolve } from "path";
+import { tmpdir } from "os";
 import { fileURLToPath } from "url";
 import react from "@vitejs/plugin-react";
 
@@ -7,4 +8,18 @@ const path = fileURLToPath(import.meta.url);
 export default {
   root: join(dirname(path), "client"),
   plugins: [react()],
+  // npm test（Vitest）の設定。テストは test/ 以下に置く
+  test: {
+    root: dirname(path),
+    include: ["test/**/*.test.{js,jsx}"],
+    environment: "node",
+    // 開発用の .env や prompts.json に左右されないよう、テスト用の設定で動かす
+    env: {
+      AUTH_MODE: "none",
+      OPENAI_MODEL: "",
+      OPENAI_ALLOWED_MODELS: "",
+      PROMPTS_FILE: join(dirname(path), "test/fixtures/prompt-profiles.json"),
+      AUDIT_LOG_FILE: join(tmpdir(), "talktive-test", "audit.jsonl"),
+    },
+  },
 };